@@ -1,6 +1,6 @@
 /**
  * Archive Handler - 使用 libarchive.js 處理壓縮檔
- * 支援 ZIP 和 7z 格式
+ * 支援 ZIP、7z、RAR、tar、tar.gz / tgz 格式，並遞迴處理壓縮檔內的壓縮檔
  */
 import { Archive } from './lib/libarchive/libarchive.js';
 
@@ -10,48 +10,106 @@ Archive.init({
 });
 
 /**
- * 從壓縮檔中提取 .xls 檔案
- * @param {File} archiveFile - 壓縮檔 (zip 或 7z)
- * @returns {Promise<File[]>} - 提取出的 .xls 檔案陣列
+ * 巢狀壓縮檔的最大遞迴深度（最外層為 0，避免惡意的多層壓縮檔）
+ * Maximum nesting depth of archives inside archives (outermost is 0)
  */
-export async function extractXlsFromArchive(archiveFile) {
+const MAX_ARCHIVE_DEPTH = 5;
+
+/**
+ * 取得翻譯訊息（見 i18n.js 的 formatMessage）；CLI 以 Node 匯入本模組時沒有語言包，使用英文訊息
+ * Look up a translated message, falling back to English where i18n.js is not loaded (CLI)
+ *
+ * @param {string} key - 訊息鍵值
+ * @param {Object} params - 參數
+ * @param {string} fallback - 英文訊息
+ * @returns {string}
+ */
+const archiveMessage = (key, params, fallback) => (typeof formatMessage === 'function' ? formatMessage(key, params) : fallback);
+
+/**
+ * 從壓縮檔中提取可處理的輸入檔（.xls / .xlsx / .csv / .txt）
+ * 壓縮檔內的壓縮檔會遞迴解壓，檔名保留完整路徑，例如 'inner.zip/BOM/ABC12345678_20260115083000.xls'
+ * （parseFilename 只解析最後一段檔名）
+ *
+ * @param {File} archiveFile - 壓縮檔 (zip / 7z / rar / tar / tar.gz / tgz)
+ * @param {Object} archiveApi - libarchive 的 Archive 類別（CLI 傳入 Node 版本，預設為瀏覽器版本）
+ * @param {Function} isInputFile - 輸入檔過濾函數（預設為 consolidator.js 的 isInputFileName；CLI 由 vm 環境傳入）
+ * @param {Function} isArchiveFile - 壓縮檔過濾函數（預設為 consolidator.js 的 isArchiveFileName；CLI 由 vm 環境傳入）
+ * @returns {Promise<File[]>} - 提取出的輸入檔陣列
+ * @throws {Error} 壓縮檔（含巢狀壓縮檔）無法開啟或巢狀層數超過 MAX_ARCHIVE_DEPTH 時拋出錯誤
+ */
+export async function extractXlsFromArchive(archiveFile, archiveApi = Archive, isInputFile = isInputFileName, isArchiveFile = isArchiveFileName) {
     const xlsFiles = [];
 
     try {
-        // 開啟壓縮檔
-        const archive = await Archive.open(archiveFile);
+        await extractArchive(archiveFile, archiveApi, { isInputFile, isArchiveFile }, '', 0, xlsFiles);
+    } catch (error) {
+        console.error(archiveMessage('consoleArchiveFailed', {}, 'Archive extraction error:'), error);
+        throw error;
+    }
 
+    return xlsFiles;
+}
+
+/**
+ * 解壓單一壓縮檔，將輸入檔加入結果並遞迴處理巢狀壓縮檔
+ * Extract one archive, collecting input files and recursing into nested archives
+ *
+ * @param {File} archiveFile - 壓縮檔
+ * @param {Object} archiveApi - libarchive 的 Archive 類別
+ * @param {Object} filters - {isInputFile, isArchiveFile}
+ * @param {string} basePath - 此壓縮檔在外層壓縮檔中的路徑（最外層為空字串）
+ * @param {number} depth - 巢狀層數
+ * @param {File[]} xlsFiles - 結果陣列（會被修改）
+ */
+async function extractArchive(archiveFile, archiveApi, filters, basePath, depth, xlsFiles) {
+    if (depth > MAX_ARCHIVE_DEPTH) {
+        throw new Error(archiveMessage('archiveTooDeep', { depth: MAX_ARCHIVE_DEPTH, path: basePath },
+            `Archive nesting deeper than ${MAX_ARCHIVE_DEPTH} levels: ${basePath}`));
+    }
+
+    // 開啟壓縮檔（巢狀壓縮檔的錯誤訊息加上路徑，便於找出有問題的檔案）
+    let archive;
+    try {
+        archive = await archiveApi.open(archiveFile);
+    } catch (error) {
+        throw basePath
+            ? new Error(archiveMessage('archiveNestedFailed', { path: basePath, message: error.message }, `Cannot open nested archive ${basePath}: ${error.message}`))
+            : error;
+    }
+    const nestedArchives = [];
+
+    try {
         // 提取所有檔案
         const filesObject = await archive.extractFiles();
 
-        // 遞迴處理檔案物件，找出所有 .xls 檔案
+        // 遞迴處理檔案物件，找出所有輸入檔與巢狀壓縮檔
         function processFiles(obj, path = '') {
             for (const key in obj) {
                 const item = obj[key];
+                // 保留完整路徑作為檔名
+                const fullPath = path ? `${path}/${key}` : key;
                 if (item instanceof File) {
-                    // 檢查是否為 .xls 檔案（排除 .xlsx）
-                    const fileName = item.name.toLowerCase();
-                    if (fileName.endsWith('.xls') && !fileName.endsWith('.xlsx')) {
-                        // 保留完整路徑作為檔名
-                        const fullPath = path ? `${path}/${key}` : key;
+                    if (filters.isArchiveFile(item.name)) {
+                        nestedArchives.push({ file: item, path: fullPath });
+                    } else if (filters.isInputFile(item.name)) {
                         xlsFiles.push(new File([item], fullPath, { type: item.type }));
                     }
                 } else if (typeof item === 'object' && item !== null) {
                     // 遞迴處理子目錄
-                    processFiles(item, path ? `${path}/${key}` : key);
+                    processFiles(item, fullPath);
                 }
             }
         }
 
-        processFiles(filesObject);
-
+        processFiles(filesObject, basePath);
+    } finally {
         // 關閉壓縮檔
         await archive.close();
-
-    } catch (error) {
-        console.error('Archive extraction error:', error);
-        throw error;
     }
 
-    return xlsFiles;
+    // 依序處理巢狀壓縮檔（一次只開啟一個，避免同時佔用多個 libarchive worker）
+    for (const nested of nestedArchives) {
+        await extractArchive(nested.file, archiveApi, filters, nested.path, depth + 1, xlsFiles);
+    }
 }
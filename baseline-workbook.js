@@ -0,0 +1,139 @@
+/**
+ * 增量合併 (Incremental Append)
+ * 以先前匯出的 *_consolidated_data.xlsx 為基準，只處理新的輸入檔並輸出更新後的合併結果
+ *
+ * 流程 (Flow):
+ *   1. readBaselineWorkbook 讀取基準活頁簿的資料工作表（任一語言的名稱，例如 'BOM Data'、'BOM 資料'）
+ *   2. 略過模式：getBaselineVersions 的結果傳給 processFileList 的 existingVersions 選項，
+ *      基準中已存在的 Product / Version 不再處理（報告中記錄為 skipped）
+ *      取代模式：所有檔案都處理，合併時移除基準中被取代的版本
+ *   3. mergeWithBaseline 依欄位名稱對齊基準與新資料（新資料多出的欄位加在最後），基準資料列在前
+ *
+ * 注意：
+ *   - Version 為 YYYY/M/D，同一天的兩個檔案視為同一版本（與 bom-diff.js 相同）
+ *   - 'Files'、'Issues' 工作表與 Where-used 反查只包含本次處理的檔案
+ *
+ * 依賴全域 (Globals required):
+ *   - XLSX (SheetJS)
+ *   - translations、currentLanguage、SUPPORTED_LANGUAGES、formatMessage (i18n.js)
+ *   - productVersionKey、alignOutputHeaders (consolidator.js)、findHeaderIndex (bom-diff.js)
+ */
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * 基準活頁簿中合併資料的工作表名稱（見 buildWorkbook；工作表名稱依匯出時的語言，任一語言都接受）
+ * Names of the sheet holding the consolidated data in a baseline workbook (any language)
+ */
+const BASELINE_SHEET_NAMES = [...new Set(SUPPORTED_LANGUAGES.map(language => translations[language].bomDataSheet))];
+
+// ##################################################################################################################################################
+// 工具函數區塊 (Utility Functions)
+// ##################################################################################################################################################
+
+/**
+ * 查找 Product / Version 欄位索引
+ * Find the Product / Version column indices
+ *
+ * @param {Array<string>} headers - 標題列
+ * @returns {Object} {product, version}，未找到為 -1
+ */
+const findProductVersionColumns = (headers) => {
+    const trans = translations[currentLanguage];
+    return {
+        product: findHeaderIndex(headers, trans.productHeader),
+        version: findHeaderIndex(headers, trans.versionHeader)
+    };
+};
+
+/**
+ * 讀取基準活頁簿（先前匯出的 *_consolidated_data.xlsx）
+ * Read a baseline workbook (a previously exported *_consolidated_data.xlsx)
+ *
+ * @param {ArrayBuffer} arrayBuffer - 活頁簿內容
+ * @returns {Array<Array>} 資料工作表的資料陣列（含標題列）
+ * @throws {Error} 不是活頁簿、沒有資料工作表（見 BASELINE_SHEET_NAMES）或缺少 Product / Version 欄位時拋出錯誤
+ */
+const readBaselineWorkbook = (arrayBuffer) => {
+    if (detectFileFormat(arrayBuffer) !== 'ooxml') {
+        throw new Error(formatMessage('baselineNotWorkbook'));
+    }
+
+    const workbook = XLSX.read(new Uint8Array(arrayBuffer), { type: 'array' });
+    const sheetName = workbook.SheetNames.find(name => BASELINE_SHEET_NAMES.includes(name));
+    if (!sheetName) {
+        throw new Error(formatMessage('baselineNoSheet', {
+            sheet: translations[currentLanguage].bomDataSheet,
+            available: workbook.SheetNames.join(', ')
+        }));
+    }
+    const sheet = workbook.Sheets[sheetName];
+
+    // 保留原始值（數字欄位仍為數字），空白儲存格為 null，與 formatOutputData 的輸出相同
+    const data = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: null, blankrows: false });
+    const columns = findProductVersionColumns(data[0] || []);
+    if (columns.product === -1 || columns.version === -1) {
+        throw new Error(formatMessage('baselineNoColumns', { sheet: sheetName }));
+    }
+
+    return data;
+};
+
+/**
+ * 取得資料中所有 Product / Version 組合
+ * Get every Product / Version pair in the data
+ *
+ * @param {Array<Array>} data - 合併資料陣列（含標題列）
+ * @returns {Set<string>} 鍵值集合（見 productVersionKey）
+ */
+const getBaselineVersions = (data) => {
+    const [headers = [], ...rows] = data;
+    const columns = findProductVersionColumns(headers);
+    return new Set(rows.map(row => productVersionKey(row[columns.product], row[columns.version])));
+};
+
+/**
+ * 將新的合併結果加入基準資料
+ * Append newly consolidated data to the baseline
+ *
+ * @param {Array<Array>} baselineData - 基準資料陣列（含標題列，見 readBaselineWorkbook）
+ * @param {Array<Array>} newData - 本次處理的合併資料陣列（含標題列，可為空陣列）
+ * @param {boolean} replace - 是否移除基準中與新資料相同 Product / Version 的資料列
+ * @returns {Array<Array>} 合併後的資料陣列
+ *
+ * 欄位依名稱對齊（重複的名稱依出現順序對應，見 alignOutputHeaders）：以基準的標題列為主，
+ * 新資料多出的欄位（例如追蹤欄位）加在最後，缺少的欄位為 null
+ */
+const mergeWithBaseline = (baselineData, newData, replace = false) => {
+    if (newData.length <= 1) return baselineData;
+    if (baselineData.length === 0) return newData;
+
+    const [baselineHeaders, ...baselineRows] = baselineData;
+    const [newHeaders, ...newRows] = newData;
+
+    // 與合併時相同的對齊方式：重複的欄位名稱依出現順序分別對應，新資料多出的欄位加在最後
+    const headers = [...baselineHeaders];
+    const newOrder = alignOutputHeaders(newHeaders, headers);
+    const baselineOrder = alignOutputHeaders(baselineHeaders, headers);
+
+    // 各來源欄位在合併標題列中的位置（null 表示順序相同）
+    const toMergedRow = (order) => (order
+        ? row => order.map(i => (i === -1 ? null : row[i] ?? null))
+        : row => headers.map((_, i) => row[i] ?? null));
+
+    let keptRows = baselineRows;
+    if (replace) {
+        const newColumns = findProductVersionColumns(newHeaders);
+        const baselineColumns = findProductVersionColumns(baselineHeaders);
+        const replaced = new Set(newRows.map(row => productVersionKey(row[newColumns.product], row[newColumns.version])));
+        keptRows = baselineRows.filter(row => !replaced.has(productVersionKey(row[baselineColumns.product], row[baselineColumns.version])));
+    }
+
+    return [
+        headers,
+        ...keptRows.map(toMergedRow(baselineOrder)),
+        ...newRows.map(toMergedRow(newOrder))
+    ];
+};
@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+/**
+ * BOMHierarchyProcessor 效能比較 (Benchmark)
+ * 以相同的合成 BOM 資料比較 v2.13.0（凍結副本）與目前版本，並確認 SYS_CPN / Ttl. Usage 完全一致
+ *
+ * 用法 (Usage):
+ *   node benchmarks/bom-processor.bench.js [rows ...] [--legacy-max N] [--trace] [--seed N]
+ *
+ *   rows          - 每次測試的行數（預設 10000 100000 1000000）
+ *   --legacy-max  - 超過此行數時不執行 v2.13.0（預設 100000，舊版在大量重複料號時接近 O(n²)）
+ *   --trace       - 以 process(true) 執行並一併比較 SYS_CPN Rule / SYS_CPN Path / Usage Factors
+ *   --seed        - 亂數種子（預設 42，相同種子產生相同資料）
+ *
+ * 結束代碼 (Exit codes):
+ *   0 - 所有比較結果一致
+ *   1 - 有輸出不一致
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * 比較對象：名稱與處理器腳本
+ * Implementations under comparison
+ */
+const IMPLEMENTATIONS = {
+    legacy: path.join(__dirname, 'bom_processor.v2.13.0.js'),
+    current: path.join(ROOT, 'bom_processor.js')
+};
+
+/**
+ * 比較的輸出欄位
+ * Compared output columns
+ */
+const OUTPUT_COLUMNS = ['SYS_CPN', 'Ttl. Usage'];
+const TRACE_COLUMNS = ['SYS_CPN Rule', 'SYS_CPN Path', 'Usage Factors'];
+
+/**
+ * 合成資料的料號前綴（權重越高出現越多）
+ * Material prefixes of the synthetic data (weighted)
+ */
+const MATERIAL_PREFIXES = [
+    ['45', 3], ['43', 4], ['64', 1], ['X75', 1], ['DCS', 2], ['DC02', 1], ['HG', 1],
+    ['R', 10], ['C', 10], ['U', 4], ['PCB', 2]
+];
+
+/**
+ * 每個 LV 0 產品的行數
+ * Rows per LV 0 product
+ */
+const ROWS_PER_PRODUCT = 5000;
+
+// ##################################################################################################################################################
+// 工具函數區塊 (Utility Functions)
+// ##################################################################################################################################################
+
+/**
+ * 解析命令列參數
+ * Parse command line arguments
+ *
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} {sizes: number[], legacyMax: number, trace: boolean, seed: number}
+ */
+const parseArgs = (argv) => {
+    const options = { sizes: [], legacyMax: 100000, trace: false, seed: 42 };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--legacy-max') {
+            options.legacyMax = Number(argv[++i]);
+        } else if (arg === '--seed') {
+            options.seed = Number(argv[++i]);
+        } else if (arg === '--trace') {
+            options.trace = true;
+        } else {
+            options.sizes.push(Number(arg));
+        }
+    }
+
+    if (options.sizes.length === 0) {
+        options.sizes = [10000, 100000, 1000000];
+    }
+    if (options.sizes.some(n => !Number.isInteger(n) || n <= 0) || isNaN(options.legacyMax) || isNaN(options.seed)) {
+        throw new Error('Row counts, --legacy-max and --seed must be numbers');
+    }
+
+    return options;
+};
+
+/**
+ * 可重現的亂數產生器（mulberry32）
+ * Seeded pseudo-random generator (mulberry32)
+ *
+ * @param {number} seed - 亂數種子
+ * @returns {Function} 回傳 [0, 1) 的函數
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * 以靜音的 console 載入處理器腳本，各實作使用獨立的 vm 環境
+ * Load a processor script into its own vm context with a silent console
+ *
+ * @param {string} file - 腳本路徑
+ * @returns {Function} BOMHierarchyProcessor 類別
+ */
+const loadProcessor = (file) => {
+    const silent = { log() {}, warn() {}, error: console.error };
+    const context = vm.createContext({ console: silent });
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    return vm.runInContext('BOMHierarchyProcessor', context);
+};
+
+/**
+ * 讀取 consolidator.js 的預設 FIXED_PATTERN 與 SPECIAL_LV_RULES
+ * Read the default FIXED_PATTERN and SPECIAL_LV_RULES from consolidator.js
+ *
+ * @returns {Object} {pattern, lvSpecialRules}
+ */
+const loadDefaultRules = () => {
+    const context = vm.createContext({ console: { log() {}, warn() {}, error() {} } });
+    ['i18n.js', 'bom_processor.js', 'where-used.js', 'consolidator.js'].forEach(name => {
+        const file = path.join(ROOT, name);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+    const config = vm.runInContext('CONFIG', context);
+    return { pattern: config.FIXED_PATTERN, lvSpecialRules: config.SPECIAL_LV_RULES };
+};
+
+// ##################################################################################################################################################
+// 合成資料區塊 (Synthetic Data)
+// ##################################################################################################################################################
+
+/**
+ * 產生合成 BOM 資料（與 convertToDataObjects 的輸出格式相同）
+ * Generate a synthetic BOM in the shape produced by convertToDataObjects
+ *
+ * 涵蓋：重複使用的共用料號與子組件、43/45/DCS 等規則前綴、LV 跳階、
+ * 找不到父層的 Part Number、小數與空白的 Unit Usg
+ *
+ * @param {number} rowCount - 行數
+ * @param {number} seed - 亂數種子
+ * @returns {Array<Object>}
+ */
+const generateBom = (rowCount, seed) => {
+    const random = createRandom(seed);
+    const totalWeight = MATERIAL_PREFIXES.reduce((sum, [, weight]) => sum + weight, 0);
+    const usages = [1, 1, 1, 2, 4, 0.5, 0.25, 1.5, 0.001, 3.3, '', 0];
+
+    const pickPrefix = () => {
+        let r = random() * totalWeight;
+        for (const [prefix, weight] of MATERIAL_PREFIXES) {
+            r -= weight;
+            if (r < 0) return prefix;
+        }
+        return MATERIAL_PREFIXES[0][0];
+    };
+
+    // 約一半的料號來自共用料號池，使 materialIndex 中同一料號出現多次
+    const commonPool = Array.from({ length: 500 }, (_, i) => `${pickPrefix()}${String(i).padStart(7, '0')}`);
+    let uniqueCounter = 0;
+    const nextMaterial = () => random() < 0.5
+        ? commonPool[Math.floor(random() * commonPool.length)]
+        : `${pickPrefix()}U${String(uniqueCounter++).padStart(8, '0')}`;
+
+    const rows = [];
+    const stack = [];
+
+    for (let i = 0; i < rowCount; i++) {
+        let lv;
+        if (i % ROWS_PER_PRODUCT === 0) {
+            lv = 0;
+        } else {
+            const previous = rows[i - 1].LV;
+            const r = random();
+            // 多數向下一層或維持同層，偶爾回到較高層或跳階
+            lv = r < 0.35 ? previous + 1 : r < 0.7 ? previous : r < 0.995 ? 1 + Math.floor(random() * Math.max(previous, 1)) : previous + 2;
+            lv = Math.min(Math.max(lv, 1), 25);
+        }
+
+        const material = lv === 0 ? `P${String(i / ROWS_PER_PRODUCT).padStart(10, '0')}` : nextMaterial();
+        let partNumber = lv === 0 ? '' : (stack[lv - 1] || stack[stack.length - 1] || '');
+        if (lv > 0 && random() < 0.005) {
+            partNumber = `MISSING${i}`;
+        }
+
+        stack.length = lv;
+        stack[lv] = material;
+
+        rows.push({
+            LN: i + 1,
+            LV: lv,
+            Material: material,
+            'Part Number': partNumber,
+            'Unit Usg': usages[Math.floor(random() * usages.length)]
+        });
+    }
+
+    return rows;
+};
+
+// ##################################################################################################################################################
+// 執行區塊 (Run)
+// ##################################################################################################################################################
+
+/**
+ * 執行一個實作並計時
+ * Run one implementation and measure it
+ *
+ * @param {Function} Processor - BOMHierarchyProcessor 類別
+ * @param {Array<Object>} rows - 合成資料
+ * @param {Object} rules - {pattern, lvSpecialRules}
+ * @param {boolean} trace - 是否輸出追蹤欄位
+ * @returns {Object} {result, constructMs, processMs, statsMs, statsError}
+ */
+const runImplementation = (Processor, rows, rules, trace) => {
+    const t0 = performance.now();
+    const processor = new Processor(rows, rules.pattern, rules.lvSpecialRules);
+    const t1 = performance.now();
+    const result = processor.process(trace);
+    const t2 = performance.now();
+    let statsError = null;
+    try {
+        processor.getStatistics();
+    } catch (e) {
+        // v2.13.0 的 getStatistics 在大量資料時 Math.min(...arr) 會超出呼叫堆疊
+        statsError = e.message;
+    }
+    const t3 = performance.now();
+    return { result, constructMs: t1 - t0, processMs: t2 - t1, statsMs: t3 - t2, statsError };
+};
+
+/**
+ * 比較兩個實作的輸出
+ * Compare the output of both implementations
+ *
+ * @param {Array<Object>} expected - v2.13.0 的結果
+ * @param {Array<Object>} actual - 目前版本的結果
+ * @param {Array<string>} columns - 比較欄位
+ * @returns {Array<string>} 不一致的描述（最多 5 筆）
+ */
+const compareResults = (expected, actual, columns) => {
+    const mismatches = [];
+    if (expected.length !== actual.length) {
+        return [`row count ${expected.length} ≠ ${actual.length}`];
+    }
+    for (let i = 0; i < expected.length && mismatches.length < 5; i++) {
+        columns.forEach(column => {
+            if (!Object.is(expected[i][column], actual[i][column])) {
+                mismatches.push(`LN ${expected[i].LN} ${column}: ${expected[i][column]} ≠ ${actual[i][column]}`);
+            }
+        });
+    }
+    return mismatches;
+};
+
+const formatMs = (ms) => `${ms.toFixed(0).padStart(8)} ms`;
+
+const formatTimings = ({ constructMs, processMs, statsMs, statsError }) =>
+    `construct ${formatMs(constructMs)}  process ${formatMs(processMs)}  stats ${statsError ? `failed: ${statsError}` : formatMs(statsMs)}`;
+
+const main = () => {
+    const options = parseArgs(process.argv.slice(2));
+    const rules = loadDefaultRules();
+    const processors = {
+        legacy: loadProcessor(IMPLEMENTATIONS.legacy),
+        current: loadProcessor(IMPLEMENTATIONS.current)
+    };
+    const columns = options.trace ? [...OUTPUT_COLUMNS, ...TRACE_COLUMNS] : OUTPUT_COLUMNS;
+    let failed = false;
+
+    for (const size of options.sizes) {
+        const rows = generateBom(size, options.seed);
+        console.log(`\n${size.toLocaleString('en-US')} rows`);
+
+        const current = runImplementation(processors.current, rows, rules, options.trace);
+        console.log(`  current  ${formatTimings(current)}`);
+
+        if (size > options.legacyMax) {
+            console.log(`  legacy   skipped (> --legacy-max ${options.legacyMax})`);
+            continue;
+        }
+
+        const legacy = runImplementation(processors.legacy, rows, rules, options.trace);
+        console.log(`  legacy   ${formatTimings(legacy)}`);
+
+        // 速度比只計算建構與 process()（v2.13.0 的 getStatistics 可能失敗）
+        const speedup = (legacy.constructMs + legacy.processMs) / (current.constructMs + current.processMs);
+        console.log(`  speedup  ${speedup.toFixed(1)}×`);
+
+        const mismatches = compareResults(legacy.result, current.result, columns);
+        if (mismatches.length > 0) {
+            failed = true;
+            console.log(`  ✗ output differs (${columns.join(', ')})`);
+            mismatches.forEach(m => console.log(`    ${m}`));
+        } else {
+            console.log(`  ✓ identical ${columns.join(', ')}`);
+        }
+    }
+
+    process.exitCode = failed ? 1 : 0;
+};
+
+main();
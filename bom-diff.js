@@ -0,0 +1,255 @@
+/**
+ * BOM 版本比較 (BOM Version Diff)
+ * 比較同一產品不同版本（不同日期的 ZSDR392 檔案）的合併結果，產生 'Changes' 工作表
+ *
+ * 比對方式 (Matching):
+ *   - 依 Product 分組，同一產品的版本依日期排序後兩兩相鄰比較（v1→v2、v2→v3 ...）
+ *   - 每行以 LV 階層還原的 Material 路徑為鍵值（例如 'PRODUCT > 45ABC > R0001'）
+ *   - 同一父層下重複出現的相同路徑以 #2、#3 區分
+ *
+ * 變更類型 (Change types):
+ *   - Added / Removed：新增或移除的元件
+ *   - Unit Usg / Ttl. Usage：用量變更
+ *   - SYS_CPN：SYS_CPN 歸屬變更
+ *
+ * 注意：版本以合併後的 Version 欄位（YYYY/M/D）分組，同一天的兩個檔案會視為同一版本
+ */
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * 變更類型
+ * Change types
+ */
+const CHANGE_TYPES = {
+    ADDED: 'Added',
+    REMOVED: 'Removed',
+    UNIT_USG: 'Unit Usg',
+    TTL_USAGE: 'Ttl. Usage',
+    SYS_CPN: 'SYS_CPN'
+};
+
+/**
+ * 'Changes' 工作表標題列
+ * 'Changes' sheet headers
+ */
+const CHANGES_HEADERS = ['Product', 'Old Version', 'New Version', 'Change', 'Path', 'Material', 'LV', 'Old Value', 'New Value'];
+
+/**
+ * 路徑分隔符號
+ * Path separator
+ */
+const PATH_SEPARATOR = ' > ';
+
+// ##################################################################################################################################################
+// 工具函數區塊 (Utility Functions)
+// ##################################################################################################################################################
+
+/**
+ * 在標題列中查找欄位索引（不分大小寫）
+ * Find a column index in the header row (case-insensitive)
+ *
+ * @param {Array<string>} headers - 標題列
+ * @param {string} name - 欄位名稱
+ * @returns {number} 欄位索引，未找到返回 -1
+ */
+const findHeaderIndex = (headers, name) =>
+    headers.findIndex(h => String(h ?? '').trim().toLowerCase() === name.toLowerCase());
+
+/**
+ * 將版本字串轉換為可排序的數值
+ * Convert a version string to a sortable number
+ *
+ * @param {string} version - YYYY/M/D 或數字版本字串
+ * @returns {number}
+ */
+const versionSortKey = (version) => {
+    const match = String(version ?? '').match(/^(\d{4})\/(\d{1,2})\/(\d{1,2})/);
+    if (match) {
+        return Number(match[1]) * 10000 + Number(match[2]) * 100 + Number(match[3]);
+    }
+    const num = parseFloat(version);
+    return isNaN(num) ? 0 : num;
+};
+
+/**
+ * 比較兩個數值是否相等（容許浮點誤差）
+ * Compare two values, tolerating floating point error
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+const valuesEqual = (a, b) => {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Math.abs(a - b) < 1e-9;
+    }
+    return String(a ?? '') === String(b ?? '');
+};
+
+// ##################################################################################################################################################
+// 比較處理區塊 (Diff Processing)
+// ##################################################################################################################################################
+
+/**
+ * 依 Product 與 Version 分組合併資料
+ * Group consolidated rows by Product and Version
+ *
+ * @param {Array<Array>} rows - 資料列（不含標題列）
+ * @param {Object} cols - 欄位索引
+ * @returns {Map<string, Map<string, Array<Array>>>} Product → Version → 資料列
+ */
+const groupRowsByVersion = (rows, cols) => {
+    const groups = new Map();
+
+    rows.forEach(row => {
+        const product = String(row[cols.product] ?? '');
+        const version = String(row[cols.version] ?? '');
+
+        if (!groups.has(product)) {
+            groups.set(product, new Map());
+        }
+        const versions = groups.get(product);
+        if (!versions.has(version)) {
+            versions.set(version, []);
+        }
+        versions.get(version).push(row);
+    });
+
+    return groups;
+};
+
+/**
+ * 以 LV 階層還原每行的 Material 路徑
+ * Build the Material path of every row from the LV hierarchy
+ *
+ * @param {Array<Array>} rows - 同一版本的資料列（依原始順序）
+ * @param {Object} cols - 欄位索引
+ * @returns {Map<string, Array>} 路徑鍵值 → 資料列
+ */
+const buildComponentPaths = (rows, cols) => {
+    const paths = new Map();
+    const occurrences = new Map();
+    const stack = [];
+
+    rows.forEach(row => {
+        const lv = Number(row[cols.lv]);
+        const material = String(row[cols.material] ?? '').trim();
+        const depth = Number.isInteger(lv) && lv >= 0 ? lv : stack.length;
+
+        // 截斷至目前層級，再放入自身（LV 跳階時中間層為空）
+        stack.length = Math.min(stack.length, depth);
+        stack[depth] = material;
+        const path = stack.filter(m => m !== undefined).join(PATH_SEPARATOR);
+
+        const count = (occurrences.get(path) || 0) + 1;
+        occurrences.set(path, count);
+        paths.set(count > 1 ? `${path} #${count}` : path, row);
+    });
+
+    return paths;
+};
+
+/**
+ * 比較同一產品的兩個版本
+ * Compare two versions of the same product
+ *
+ * @param {string} product - 產品代碼
+ * @param {string} oldVersion - 舊版本
+ * @param {Array<Array>} oldRows - 舊版本資料列
+ * @param {string} newVersion - 新版本
+ * @param {Array<Array>} newRows - 新版本資料列
+ * @param {Object} cols - 欄位索引
+ * @returns {Array<Array>} 'Changes' 工作表資料列
+ */
+const compareVersionRows = (product, oldVersion, oldRows, newVersion, newRows, cols) => {
+    const oldPaths = buildComponentPaths(oldRows, cols);
+    const newPaths = buildComponentPaths(newRows, cols);
+    const changes = [];
+
+    const pushChange = (type, path, row, oldValue, newValue) => {
+        changes.push([
+            product, oldVersion, newVersion, type, path,
+            row[cols.material], row[cols.lv],
+            oldValue ?? null, newValue ?? null
+        ]);
+    };
+
+    // 移除與數值變更（依舊版本順序）
+    oldPaths.forEach((oldRow, path) => {
+        const newRow = newPaths.get(path);
+        if (!newRow) {
+            pushChange(CHANGE_TYPES.REMOVED, path, oldRow, cols.unitUsg !== -1 ? oldRow[cols.unitUsg] : null, null);
+            return;
+        }
+
+        [
+            [CHANGE_TYPES.UNIT_USG, cols.unitUsg],
+            [CHANGE_TYPES.TTL_USAGE, cols.ttlUsage],
+            [CHANGE_TYPES.SYS_CPN, cols.sysCpn]
+        ].forEach(([type, idx]) => {
+            if (idx !== -1 && !valuesEqual(oldRow[idx], newRow[idx])) {
+                pushChange(type, path, newRow, oldRow[idx], newRow[idx]);
+            }
+        });
+    });
+
+    // 新增（依新版本順序）
+    newPaths.forEach((newRow, path) => {
+        if (!oldPaths.has(path)) {
+            pushChange(CHANGE_TYPES.ADDED, path, newRow, null, cols.unitUsg !== -1 ? newRow[cols.unitUsg] : null);
+        }
+    });
+
+    return changes;
+};
+
+/**
+ * 比較合併資料中每個產品的相鄰版本
+ * Compare adjacent versions of every product in the consolidated data
+ *
+ * @param {Array<Array>} data - 合併後的資料陣列（含標題列）
+ * @returns {Array<Array>} 'Changes' 工作表資料（含標題列）
+ *
+ * Added / Removed 的 Old Value / New Value 為 Unit Usg
+ */
+const compareBomVersions = (data) => {
+    const changes = [CHANGES_HEADERS];
+    if (data.length <= 1) {
+        return changes;
+    }
+
+    const headers = data[0];
+    const cols = {
+        product: findHeaderIndex(headers, translations[currentLanguage].productHeader),
+        version: findHeaderIndex(headers, translations[currentLanguage].versionHeader),
+        lv: findHeaderIndex(headers, 'lv'),
+        material: findHeaderIndex(headers, 'material'),
+        unitUsg: findHeaderIndex(headers, 'unit usg'),
+        ttlUsage: findHeaderIndex(headers, 'ttl. usage'),
+        sysCpn: findHeaderIndex(headers, 'sys_cpn')
+    };
+
+    if (cols.product === -1 || cols.version === -1 || cols.lv === -1 || cols.material === -1) {
+        console.warn(formatMessage('consoleCompareSkipped'));
+        return changes;
+    }
+
+    groupRowsByVersion(data.slice(1), cols).forEach((versions, product) => {
+        const ordered = Array.from(versions.keys()).sort((a, b) => versionSortKey(a) - versionSortKey(b));
+
+        for (let i = 1; i < ordered.length; i++) {
+            changes.push(...compareVersionRows(
+                product,
+                ordered[i - 1], versions.get(ordered[i - 1]),
+                ordered[i], versions.get(ordered[i]),
+                cols
+            ));
+        }
+    });
+
+    console.log(formatMessage('consoleCompareDone', { count: changes.length - 1 }));
+    return changes;
+};
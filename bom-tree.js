@@ -0,0 +1,178 @@
+/**
+ * BOM 樹狀預覽 (BOM Tree Preview)
+ * 將合併資料依 Product / Version 分組，並以 LV 與 Part Number 建立階層，供下載前檢查
+ *
+ * 樹狀結構 (Tree structure):
+ *   {headers, columns, groups: [{key, product, version, rowCount, diffCount, children: [node]}]}
+ *   node: {id, row, lv, different, children}
+ *   - 資料列依原順序（深度優先）走訪：父節點為最近一個 LV 較小且 Material 等於此列 Part Number 的列；
+ *     沒有相符的 Part Number 時使用最近一個 LV 較小的列
+ *   - different：LV > 1 且 SYS_CPN 與 Material 不同（與 BOMHierarchyProcessor.getSamples 相同的條件）
+ *
+ * 顯示狀態 (View state, 見 flattenBomTree):
+ *   {expanded: Set<群組鍵值>, collapsed: Set<node.id>, query: Material 關鍵字, filters: 各欄位關鍵字,
+ *    diffOnly: 只顯示 SYS_CPN ≠ Material, sort: {column, descending} | null}
+ *   有搜尋或篩選條件時只顯示符合的列與其上層，並全部展開
+ *
+ * 依賴全域 (Globals required):
+ *   - translations、currentLanguage (i18n.js)
+ *   - productVersionKey (consolidator.js)、findHeaderIndex (bom-diff.js)
+ */
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * 預覽表格最多顯示的列數（群組列與資料列合計）
+ * Maximum number of rows rendered in the preview table (group and data rows)
+ */
+const BOM_TREE_ROW_LIMIT = 2000;
+
+// ##################################################################################################################################################
+// 樹狀結構建立區塊 (Tree Building)
+// ##################################################################################################################################################
+
+/**
+ * 建立 BOM 樹狀結構
+ * Build the BOM tree of consolidated data
+ *
+ * @param {Array<Array>} data - 合併資料陣列（含標題列）
+ * @returns {Object} {headers, columns: {product, version, lv, partNumber, material, sysCpn}（欄位索引，未找到為 -1）, groups}
+ */
+const buildBomTree = (data) => {
+    const trans = translations[currentLanguage];
+    const [headers = [], ...rows] = data;
+    const columns = {
+        product: findHeaderIndex(headers, trans.productHeader),
+        version: findHeaderIndex(headers, trans.versionHeader),
+        lv: findHeaderIndex(headers, 'LV'),
+        partNumber: findHeaderIndex(headers, 'Part Number'),
+        material: findHeaderIndex(headers, 'Material'),
+        sysCpn: findHeaderIndex(headers, 'SYS_CPN')
+    };
+    const cell = (row, index) => (index === -1 ? '' : String(row[index] ?? '').trim());
+
+    const groups = new Map();
+    let group = null;
+    let stack = [];
+
+    rows.forEach((row, i) => {
+        const key = productVersionKey(row[columns.product], row[columns.version]);
+        if (!group || group.key !== key) {
+            group = groups.get(key);
+            if (!group) {
+                group = { key, product: cell(row, columns.product), version: cell(row, columns.version), rowCount: 0, diffCount: 0, children: [] };
+                groups.set(key, group);
+            }
+            stack = [];
+        }
+
+        const lv = Number(cell(row, columns.lv));
+        const node = {
+            id: i + 1,
+            row,
+            lv,
+            different: lv > 1 && columns.sysCpn !== -1 && cell(row, columns.sysCpn) !== cell(row, columns.material),
+            children: []
+        };
+        group.rowCount++;
+        if (node.different) group.diffCount++;
+
+        // 移除不是上層的節點；LV 無法解析時視為新的根節點
+        if (Number.isNaN(lv)) {
+            stack = [];
+        } else {
+            while (stack.length > 0 && !(stack[stack.length - 1].lv < lv)) stack.pop();
+        }
+
+        // 優先使用 Material 等於 Part Number 的上層
+        const partNumber = cell(row, columns.partNumber);
+        const parent = [...stack].reverse().find(ancestor => partNumber && cell(ancestor.row, columns.material) === partNumber) ||
+            stack[stack.length - 1];
+        (parent ? parent.children : group.children).push(node);
+        if (!Number.isNaN(lv)) stack.push(node);
+    });
+
+    return { headers, columns, groups: [...groups.values()] };
+};
+
+// ##################################################################################################################################################
+// 顯示區塊 (View Functions)
+// ##################################################################################################################################################
+
+/**
+ * 比較兩個儲存格（數字依數值，其他依文字；空白排在最後）
+ * Compare two cells (numbers numerically, text naturally; blanks last)
+ *
+ * @param {*} a - 儲存格
+ * @param {*} b - 儲存格
+ * @returns {number}
+ */
+const compareBomTreeCells = (a, b) => {
+    const blankA = a === null || a === undefined || a === '';
+    const blankB = b === null || b === undefined || b === '';
+    if (blankA || blankB) return blankA === blankB ? 0 : blankA ? 1 : -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+/**
+ * 將樹狀結構展開為要顯示的列
+ * Flatten the tree into the rows to render
+ *
+ * @param {Object} tree - buildBomTree 的結果
+ * @param {Object} state - 顯示狀態（見檔案開頭說明）
+ * @param {number} limit - 最多回傳的列數
+ * @returns {Object} {rows: [{type: 'group', group, expanded} | {type: 'node', node, depth, expanded, matched}],
+ *                    total: 所有可顯示的列數, matched: 符合條件的資料列數（沒有條件時為 null）}
+ */
+const flattenBomTree = (tree, state, limit = BOM_TREE_ROW_LIMIT) => {
+    const query = (state.query || '').trim().toLowerCase();
+    const filters = (state.filters || []).map((filter, i) => [i, String(filter ?? '').trim().toLowerCase()]).filter(([, text]) => text);
+    const filtering = Boolean(query || filters.length > 0 || state.diffOnly);
+
+    const matches = (node) =>
+        (!query || (tree.columns.material !== -1 && String(node.row[tree.columns.material] ?? '').toLowerCase().includes(query))) &&
+        filters.every(([i, text]) => String(node.row[i] ?? '').toLowerCase().includes(text)) &&
+        (!state.diffOnly || node.different);
+
+    // 篩選時保留符合的列與其上層（visible: 節點 → 是否符合）
+    const visible = new Map();
+    const mark = (node) => {
+        const childVisible = node.children.map(mark).some(Boolean);
+        const matched = matches(node);
+        if (matched || childVisible) visible.set(node, matched);
+        return matched || childVisible;
+    };
+    if (filtering) tree.groups.forEach(group => group.children.forEach(mark));
+
+    const sort = state.sort;
+    const order = (items, cellOf) => (sort
+        ? [...items].sort((a, b) => compareBomTreeCells(cellOf(a), cellOf(b)) * (sort.descending ? -1 : 1))
+        : items);
+
+    const rows = [];
+    let total = 0;
+    const push = (row) => {
+        total++;
+        if (rows.length < limit) rows.push(row);
+    };
+
+    const walk = (nodes, depth) => {
+        order(nodes.filter(node => !filtering || visible.has(node)), node => node.row[sort.column]).forEach(node => {
+            const expanded = filtering || !state.collapsed.has(node.id);
+            push({ type: 'node', node, depth, expanded, matched: filtering && visible.get(node) });
+            if (expanded) walk(node.children, depth + 1);
+        });
+    };
+
+    order(tree.groups, group => group.children[0]?.row[sort.column]).forEach(group => {
+        if (filtering && !group.children.some(node => visible.has(node))) return;
+        const expanded = filtering || state.expanded.has(group.key);
+        push({ type: 'group', group, expanded });
+        if (expanded) walk(group.children, 0);
+    });
+
+    return { rows, total, matched: filtering ? [...visible.values()].filter(Boolean).length : null };
+};
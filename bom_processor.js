@@ -1,18 +1,46 @@
 /**
  * BOM層級處理器
- * 版本：v2.10.0 (2026-01-16)
+ * 版本：v2.17.0 (2026-10-19)
  * 功能：
  *   - 支持簡化的LV限制規則 {lv: 2, prefix: 'DCS'}
- *   - operator 固定為 <= (自動)
+ *   - LV 條件支持 <、<=、=、>=、> 與範圍（例如 '>=3'、'2-4'；單純數字為 <=）
  *   - 支持單個或多個特殊LV規則
- *   - prefix 支持 | 分隔多個前綴（LV群組功能）
+ *   - prefix 支持 | 分隔多個前綴（LV群組功能）、! 排除前綴與 /正規表達式/
  *   - 自動TTL使用量計算
  *   - Material層級索引和快速查詢
  *   - LN 自動重新編號（修正原始檔案錯誤）
  *   - 嚴格向上查找限制（禁止向下查找）
- *   - 43/45 料號優先級處理（延迟返回机制）
+ *   - 料號優先順序鏈（預設 45 > 43，延迟返回机制）
+ *   - 父層路徑查詢（供 Where-used 反查使用）
+ *   - SYS_CPN 追蹤欄位（決定規則、向上查找路徑、用量乘數）
+ *   - BOM 資料完整性驗證（validate）
+ *   - 百萬行等級效能（單次掃描建立父層索引、迭代式向上查找、記憶祖先行的查找結果）
+ *   - 主控台訊息與 validate() 問題訊息依目前語言輸出（i18n.js）
  *
  * 更新記錄：
+ *   v2.17.0 (2026-10-19) - 效能：記憶每個祖先行（Material, LN）向上查找回溯後的 SYS_CPN 與相乘的 Unit Usg 個數，
+ *                          兄弟行與後代行不再重複比對整條路徑的規則；SYS_CPN / Ttl. Usage / 追蹤欄位輸出與 v2.16.0 完全相同
+ *                          - 路徑循環以每個 Material 的位元聯集（materialBits / climbBits）快速排除，位元重疊時逐層查找
+ *                          - 用量仍依原順序逐層相乘（重新結合乘法會改變浮點數結果）
+ *                          - _parseUnitUsg 的數字不再經字串轉換
+ *   v2.16.0 (2026-10-19) - 新增：主控台訊息與 validate() 的問題訊息改由語言包提供（BOMHierarchyProcessor.message），
+ *                          SYS_CPN / Ttl. Usage / 追蹤欄位輸出不變；未載入 i18n.js 時輸出訊息鍵值
+ *   v2.15.0 (2026-10-19) - 新增：宣告式規則，預設規則的 SYS_CPN / Ttl. Usage / 追蹤欄位輸出與 v2.14.0 完全相同
+ *                          - 43→45 改由 priorityChains 設定（預設 [['45', '43']]），可設定多條、多層的優先順序鏈
+ *                          - SPECIAL_LV_RULES 的 lv 支持 <、<=、=、>=、> 與範圍（parseLvCondition）
+ *                          - prefix 支持 ! 排除前綴與 /正規表達式/（parseMaterialMatcher）
+ *                          - 移除 _is43Pattern()、_is45Pattern() 與 _checkSingleRule()
+ *   v2.14.0 (2026-10-19) - 效能：重新設計以支援百萬行資料，SYS_CPN / Ttl. Usage 輸出與 v2.13.0 完全相同
+ *                          - 建構子改為逐行淺拷貝，取代 JSON 深拷貝
+ *                          - _buildMaterialIndex 單次掃描同時記錄每行的父層索引與 Unit Usg（記憶每個 (Material, LN) 的父層查詢結果）
+ *                          - _findMaterialBeforeLN 改為二分搜尋
+ *                          - _traverseHierarchyUnified 改為迭代式，移除未使用的 cache 與 visited
+ *                          - SPECIAL_LV_RULES 前綴於建構時預先拆分
+ *                          - getStatistics 不再以展開運算子呼叫 Math.min/max（大量資料時堆疊溢位）
+ *                          - 比較基準：benchmarks/bom-processor.bench.js
+ *   v2.13.0 (2026-10-19) - 新增：validate() 公開方法，回報 process() 靜默容忍的資料問題
+ *   v2.12.0 (2026-10-19) - 新增：process(trace) 選項，輸出 SYS_CPN Rule / SYS_CPN Path / Usage Factors 追蹤欄位
+ *   v2.11.0 (2026-10-19) - 新增：getParentChain() 公開方法，回傳指定行向上至 LV 0 的父層路徑
  *   v2.10.0 (2026-01-16) - 新增：43/45 料號優先級處理邏輯
  *                          - 當找到 43 料號時，繼續向上查找是否有 45 料號
  *                          - 如果找到 45，返回 45；否則返回 43
@@ -33,6 +61,19 @@
  *   v1.0.0 (2024-12-22) - 基礎功能
  */
 
+/**
+ * SYS_CPN 決定規則標籤（追蹤欄位 'SYS_CPN Rule' 使用）
+ * P4 的標籤會附加向上查找時實際命中的規則，例如 'P4 → FIXED_PATTERN'
+ * 依優先順序鏈改用上階料號時附加鏈中的前綴，例如 'P2 FIXED_PATTERN 43→45'
+ */
+const SYS_CPN_RULES = {
+    LV: 'P1 LV<=1',
+    PATTERN: 'P2 FIXED_PATTERN',
+    SPECIAL_LV: 'P3 SPECIAL_LV_RULES',
+    CLIMB: 'P4',
+    NO_PART_NUMBER: 'P4 no Part Number'
+};
+
 class BOMHierarchyProcessor {
     /**
      * BOM層級處理器
@@ -43,19 +84,48 @@ class BOMHierarchyProcessor {
      *        - null: 無特殊規則
      *        - {lv: 2, prefix: 'DCS'}: LV <= 2 返回自身，LV > 2 向上尋找
      *        - {lv: 2, prefix: 'DCS|DC02'}: LV <= 2 的 DCS 或 DC02 元件返回自身
-     *        - [{lv: 2, prefix: 'DCS|DC02'}, {lv: 3, prefix: 'XYZ'}]: 多個規則
+     *        - [{lv: 2, prefix: 'DCS|DC02'}, {lv: '>=3', prefix: 'XYZ'}]: 多個規則
+     * @param {Array<Array<string>>} priorityChains - 優先順序鏈，每條鏈由高至低排列 Material 比對條件
+     *        - [['45', '43']]（預設）: 43 料號向上找到 45 時返回 45（v2.10.0 的行為）
+     *        - [['45', '43', '64']]: 45 優先於 43，43 優先於 64
+     *        - []: 不使用優先順序鏈
      *
-     * 行為（固定 operator 為 <=）：
-     *   LV <= 規則中的 lv 值 → 返回自身
-     *   LV > 規則中的 lv 值 → 向上尋找
+     * lv 條件（v2.15.0，見 parseLvCondition）：
+     *   2 或 '<=2' → LV <= 2 返回自身，LV > 2 向上尋找
+     *   '<3'、'=2'、'>=3'、'>2'、'2-4'（2 <= LV <= 4）
      *
-     * prefix 支持 | 分隔多個前綴（v2.6.0）：
-     *   'DCS|DC02' 表示同時匹配 DCS 和 DC02 開頭的元件
+     * prefix 比對條件（見 parseMaterialMatcher）：
+     *   'DCS|DC02' 表示同時匹配 DCS 和 DC02 開頭的元件（v2.6.0）
+     *   'DC|!DC99' 表示 DC 開頭但不是 DC99 開頭的元件
+     *   '/^DC\d{2}$/' 表示符合正規表達式的元件
      */
-    constructor(data, pattern, lvSpecialRules = null) {
-        this.data = JSON.parse(JSON.stringify(data)); // 深拷貝
+    constructor(data, pattern, lvSpecialRules = null, priorityChains = [['45', '43']]) {
+        this.data = this._copyRows(data);
         this.pattern = pattern;
         this.lvSpecialRules = lvSpecialRules;
+        this.priorityChains = priorityChains || [];
+
+        // 預先編譯 LV 條件與 prefix，避免每次檢查規則時重複解析；無效的規則略過
+        this.compiledLvRules = [];
+        (Array.isArray(lvSpecialRules) ? lvSpecialRules : lvSpecialRules ? [lvSpecialRules] : []).forEach(rule => {
+            const matchesLv = BOMHierarchyProcessor.compileLvCondition(rule.lv);
+            try {
+                if (!matchesLv) throw new Error(BOMHierarchyProcessor.message('processorInvalidLvCondition', { lv: String(rule.lv) }));
+                this.compiledLvRules.push({ matchesLv, matchesMaterial: BOMHierarchyProcessor.compileMaterialMatcher(rule.prefix) });
+            } catch (e) {
+                console.error(BOMHierarchyProcessor.message('processorInvalidLvRule'), rule, e.message);
+            }
+        });
+
+        // 預先編譯優先順序鏈 {label: 原始條件, matches}
+        this.compiledChains = this.priorityChains.map(chain => chain.map(entry => {
+            try {
+                return { label: String(entry).trim(), matches: BOMHierarchyProcessor.compileMaterialMatcher(entry) };
+            } catch (e) {
+                console.error(BOMHierarchyProcessor.message('processorInvalidChainEntry'), entry, e.message);
+                return { label: String(entry).trim(), matches: () => false };
+            }
+        }));
 
         // 重新編號 LN（修正原始檔案的錯誤編號）
         this._reindexLN();
@@ -64,14 +134,24 @@ class BOMHierarchyProcessor {
         try {
             this.materialPattern = new RegExp(`^(${pattern})`);
         } catch (e) {
-            console.error('Invalid pattern:', pattern);
+            console.error(BOMHierarchyProcessor.message('processorInvalidPattern'), pattern);
             this.materialPattern = /^$/;
         }
 
         // 初始化Material索引
         this.materialIndex = new Map();
-        this.cache = new Map();
-        this.visited = new Set();
+        this.parentIndex = new Int32Array(this.data.length).fill(-1); // 每行 Part Number 的父層索引（-1 表示找不到）
+        this.unitUsages = new Float64Array(this.data.length);         // 每行解析後的 Unit Usg
+        this.materialBits = new Int32Array(this.data.length);         // 每行 Material 的位元（路徑循環的快速檢查）
+
+        // 向上查找結果的記憶（依起始行索引，見 _traverseHierarchyUnified；追蹤模式不使用）
+        this.climbResults = new Array(this.data.length);              // 回溯後的 SYS_CPN（undefined 表示尚未記憶）
+        this.climbSteps = new Int32Array(this.data.length);           // 向上查找的層數（maxDepth 檢查）
+        this.climbFactors = new Int32Array(this.data.length);         // 相乘的 Unit Usg 個數
+        this.climbBits = new Int32Array(this.data.length);            // 路徑上所有 Material 位元的聯集
+
+        // 目前處理行的追蹤紀錄（僅 process(true) 時使用）
+        this.trace = null;
 
         // 構建Material索引
         this._buildMaterialIndex();
@@ -79,7 +159,158 @@ class BOMHierarchyProcessor {
         // 統計信息
         this._printStats();
     }
-    
+
+    /**
+     * 取得目前語言的訊息（見 i18n.js 的 formatMessage）
+     * 未載入 i18n.js 時（例如 benchmarks 單獨載入本檔案）返回訊息鍵值
+     *
+     * @param {string} key - 訊息鍵值
+     * @param {Object} params - 參數
+     * @returns {string}
+     */
+    static message(key, params = {}) {
+        return typeof formatMessage === 'function' ? formatMessage(key, params) : key;
+    }
+
+    /**
+     * 解析 LV 條件
+     *
+     * 格式：
+     *   2 或 '<=2' → LV <= 2（v2.4.0 起的預設 operator）
+     *   '<3'、'=2'、'>=3'、'>2'
+     *   '2-4'      → 2 <= LV <= 4
+     *
+     * @param {number|string} condition - LV 條件
+     * @returns {Object|null} {operator: '<'|'<='|'='|'>='|'>'|'range', value: number, max: number|undefined}，
+     *                        不是非負整數或格式錯誤時返回 null
+     */
+    static parseLvCondition(condition) {
+        if (typeof condition === 'number') {
+            return Number.isInteger(condition) && condition >= 0 ? { operator: '<=', value: condition } : null;
+        }
+
+        const text = String(condition ?? '').replace(/\s+/g, '');
+        const range = /^(\d+)-(\d+)$/.exec(text);
+        if (range) {
+            const min = Number(range[1]);
+            const max = Number(range[2]);
+            return min <= max ? { operator: 'range', value: min, max } : null;
+        }
+
+        const comparison = /^(<=|<|=|>=|>)?(\d+)$/.exec(text);
+        return comparison ? { operator: comparison[1] || '<=', value: Number(comparison[2]) } : null;
+    }
+
+    /**
+     * 編譯 LV 條件
+     *
+     * @param {number|string} condition - LV 條件（見 parseLvCondition）
+     * @returns {Function|null} (lv) => boolean，格式錯誤時返回 null
+     */
+    static compileLvCondition(condition) {
+        const parsed = BOMHierarchyProcessor.parseLvCondition(condition);
+        if (!parsed) {
+            return null;
+        }
+
+        const { operator, value, max } = parsed;
+        switch (operator) {
+            case '<': return lv => lv < value;
+            case '=': return lv => Number(lv) === value;
+            case '>=': return lv => lv >= value;
+            case '>': return lv => lv > value;
+            case 'range': return lv => lv >= value && lv <= max;
+            default: return lv => lv <= value;
+        }
+    }
+
+    /**
+     * 解析 Material 比對條件（SPECIAL_LV_RULES 的 prefix 與優先順序鏈的項目）
+     *
+     * 格式：
+     *   'DCS|DC02'     → DCS 或 DC02 開頭
+     *   'DC|!DC99'     → DC 開頭但不是 DC99 開頭（! 表示排除前綴）
+     *   '/^DC\d{2}$/i' → 正規表達式（整個條件以 / 包住，可加旗標；不支援 | 以外的前綴語法混用）
+     *
+     * @param {string} text - 比對條件
+     * @returns {Object} {regex: RegExp|null, includes: Array<string>, excludes: Array<string>}
+     * @throws {SyntaxError} 正規表達式無效時
+     */
+    static parseMaterialMatcher(text) {
+        const source = String(text ?? '').trim();
+        const regex = /^\/(.+)\/([a-z]*)$/.exec(source);
+        if (regex) {
+            // 移除 g / y 旗標，避免 test() 因 lastIndex 而結果不一致
+            return { regex: new RegExp(regex[1], regex[2].replace(/[gy]/g, '')), includes: [], excludes: [] };
+        }
+
+        const segments = source.split('|').map(p => p.trim());
+        return {
+            regex: null,
+            includes: segments.filter(p => !p.startsWith('!')),
+            excludes: segments.filter(p => p.startsWith('!')).map(p => p.slice(1).trim())
+        };
+    }
+
+    /**
+     * 編譯 Material 比對條件
+     *
+     * @param {string} text - 比對條件（見 parseMaterialMatcher）
+     * @returns {Function} (material: 已去除前後空白的字串) => boolean
+     * @throws {SyntaxError} 正規表達式無效時
+     */
+    static compileMaterialMatcher(text) {
+        const { regex, includes, excludes } = BOMHierarchyProcessor.parseMaterialMatcher(text);
+        if (regex) {
+            return material => regex.test(material);
+        }
+        if (excludes.length === 0) {
+            return material => includes.some(prefix => material.startsWith(prefix));
+        }
+        return material => includes.some(prefix => material.startsWith(prefix)) &&
+            !excludes.some(prefix => material.startsWith(prefix));
+    }
+
+    /**
+     * 逐行淺拷貝資料
+     * 資料列只含字串、數字與 null，結果與 JSON 深拷貝相同（undefined 欄位省略、非有限數值轉為 null）
+     *
+     * @param {Array<Object>} data - BOM數據
+     * @returns {Array<Object>}
+     * @private
+     */
+    _copyRows(data) {
+        const rows = new Array(data.length);
+        for (let i = 0; i < data.length; i++) {
+            const source = data[i];
+            const row = {};
+            for (const key in source) {
+                const value = source[key];
+                if (value !== undefined) {
+                    row[key] = typeof value === 'number' && !isFinite(value) ? null : value;
+                }
+            }
+            rows[i] = row;
+        }
+        return rows;
+    }
+
+    /**
+     * 解析 Unit Usg（空值、0 或非數字視為 1）
+     *
+     * @param {*} value - Unit Usg 欄位值
+     * @returns {number}
+     * @private
+     */
+    _parseUnitUsg(value) {
+        // 數字不經字串轉換（結果與 parseFloat 相同）
+        if (typeof value === 'number') {
+            return value || 1.0;
+        }
+        const unitUsg = value || 1.0;
+        return isNaN(unitUsg) ? 1.0 : parseFloat(unitUsg);
+    }
+
     /**
      * 重新編號 LN 列
      * 修正原始檔案中可能存在的錯誤編號，從 1 開始順序編號
@@ -95,24 +326,45 @@ class BOMHierarchyProcessor {
             this.data[i].LN = sequence++;
         }
 
-        console.log(`✓ LN 重新編號完成：1-${sequence - 1}`);
+        console.log(BOMHierarchyProcessor.message('processorRenumbered', { last: sequence - 1 }));
     }
 
     /**
      * 構建Material索引
      * 存儲所有Material出現的位置（支持重複Material）
+     *
+     * 同一次掃描中記錄每行的父層索引：LN 已依序編號，
+     * 因此在加入自身之前，Part Number 的最後一次出現即為 _findMaterialBeforeLN(Part Number, LN) 的結果
+     *
+     * 父層刻意不以 LV 堆疊（前方最近一個 LV-1 行）決定：Part Number 與該行不一致時（validate() 回報的問題），
+     * 兩者結果不同，而 process() 自 v2.9.0 起一律以 Part Number 查找
+     *
+     * 每個 Material 依首次出現的順序分配 32 個位元之一（materialBits），供 _traverseHierarchyUnified 快速排除路徑循環
      * @private
      */
     _buildMaterialIndex() {
         for (let idx = 0; idx < this.data.length; idx++) {
             const row = this.data[idx];
             const material = String(row.Material || '').trim();
+            const partNumber = String(row['Part Number'] || '').trim();
+
+            this.unitUsages[idx] = this._parseUnitUsg(row['Unit Usg']);
+
+            if (partNumber) {
+                const parentIndices = this.materialIndex.get(partNumber);
+                if (parentIndices) {
+                    this.parentIndex[idx] = parentIndices[parentIndices.length - 1];
+                }
+            }
 
             if (material && material !== '') {
-                if (!this.materialIndex.has(material)) {
+                const indices = this.materialIndex.get(material);
+                if (!indices) {
+                    this.materialBits[idx] = 1 << (this.materialIndex.size & 31);
                     this.materialIndex.set(material, [idx]);
                 } else {
-                    this.materialIndex.get(material).push(idx);
+                    this.materialBits[idx] = this.materialBits[indices[0]];
+                    indices.push(idx);
                 }
             }
         }
@@ -131,16 +383,21 @@ class BOMHierarchyProcessor {
             return undefined;
         }
 
-        // 從後往前查找，找到第一個 LN < beforeLN 的行
-        for (let i = indices.length - 1; i >= 0; i--) {
-            const idx = indices[i];
-            const rowLN = this.data[idx].LN || 0;
-            if (rowLN < beforeLN) {
-                return idx;
+        // 出現位置依 LN 遞增排列，二分搜尋最後一個 LN < beforeLN 的行
+        let found;
+        let low = 0;
+        let high = indices.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if ((this.data[indices[mid]].LN || 0) < beforeLN) {
+                found = indices[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
             }
         }
 
-        return undefined;
+        return found;
     }
     
     /**
@@ -155,31 +412,29 @@ class BOMHierarchyProcessor {
             totalMaterialOccurrences += indices.length;
         }
 
-        console.log('✓ BOM Hierarchy Processor 初始化成功');
-        console.log(`  - 總行數：${this.data.length}`);
-        console.log(`  - Material索引數：${this.materialIndex.size} (總出現次數：${totalMaterialOccurrences})`);
-        console.log(`  - 搜尋Pattern：${this.pattern}`);
-
-        if (this.lvSpecialRules) {
-            if (Array.isArray(this.lvSpecialRules)) {
-                console.log(`  - 特殊規則數：${this.lvSpecialRules.length}`);
-                this.lvSpecialRules.forEach((rule, idx) => {
-                    const prefixes = rule.prefix.split('|').map(p => p.trim());
-                    const prefixDisplay = prefixes.length > 1
-                        ? `前綴群組=[${prefixes.join(', ')}]`
-                        : `前綴='${rule.prefix}'`;
-                    console.log(`    └─ 規則${idx + 1}：LV <= ${rule.lv} 且 ${prefixDisplay} (返回自身)`);
-                });
-            } else {
-                const prefixes = this.lvSpecialRules.prefix.split('|').map(p => p.trim());
-                const prefixDisplay = prefixes.length > 1
-                    ? `前綴群組=[${prefixes.join(', ')}]`
-                    : `前綴='${this.lvSpecialRules.prefix}'`;
-                console.log(`  - 特殊規則：LV <= ${this.lvSpecialRules.lv} 且 ${prefixDisplay} (返回自身)`);
-            }
+        const message = BOMHierarchyProcessor.message;
+        console.log(message('processorReady'));
+        console.log(message('processorRowCount', { count: this.data.length }));
+        console.log(message('processorMaterialIndex', { count: this.materialIndex.size, occurrences: totalMaterialOccurrences }));
+        console.log(message('processorPattern', { pattern: this.pattern }));
+
+        const lvRules = Array.isArray(this.lvSpecialRules) ? this.lvSpecialRules : this.lvSpecialRules ? [this.lvSpecialRules] : [];
+        if (lvRules.length > 0) {
+            console.log(message('processorLvRuleCount', { count: lvRules.length }));
+            lvRules.forEach((rule, idx) => {
+                const condition = BOMHierarchyProcessor.parseLvCondition(rule.lv);
+                const lvDisplay = !condition ? message('processorLvRuleInvalid', { lv: String(rule.lv) })
+                    : condition.operator === 'range' ? `${condition.value} <= LV <= ${condition.max}`
+                    : `LV ${condition.operator} ${condition.value}`;
+                console.log(message('processorLvRule', { index: idx + 1, condition: lvDisplay, prefix: rule.prefix }));
+            });
+        }
+
+        if (this.priorityChains.length > 0) {
+            console.log(message('processorChains', { chains: this.priorityChains.map(chain => chain.join(' > ')).join('；') }));
         }
 
-        console.log(`  - Product數量：${uniqueProducts}`);
+        console.log(message('processorProductCount', { count: uniqueProducts }));
     }
     
     /**
@@ -195,34 +450,37 @@ class BOMHierarchyProcessor {
     }
 
     /**
-     * 檢查Material是否為43料號
+     * 取得Material在優先順序鏈中的位置
      * @param {string} material - Material值
-     * @returns {boolean}
-     */
-    _is43Pattern(material) {
-        return /^43/.test(String(material || '').trim());
-    }
-
-    /**
-     * 檢查Material是否為45料號
-     * @param {string} material - Material值
-     * @returns {boolean}
+     * @returns {Object|null} {chain: 鏈索引, rank: 鏈中的索引（0 為最高優先度）, label: 鏈中的比對條件}，不在任何鏈中時返回 null
+     * @private
      */
-    _is45Pattern(material) {
-        return /^45/.test(String(material || '').trim());
+    _getChainPosition(material) {
+        const trimmedMaterial = String(material || '').trim();
+        for (let chain = 0; chain < this.compiledChains.length; chain++) {
+            const entries = this.compiledChains[chain];
+            for (let rank = 0; rank < entries.length; rank++) {
+                if (entries[rank].matches(trimmedMaterial)) {
+                    return { chain, rank, label: entries[rank].label };
+                }
+            }
+        }
+        return null;
     }
 
     /**
-     * 檢查Material是否以指定前綴開頭
-     * @param {string} material
-     * @param {string} prefix
+     * 檢查上階料號是否優先於下階料號（同一條優先順序鏈中排序較前）
+     * 預設鏈 ['45', '43'] 時等同於「下階為 43 且上階為 45」
+     *
+     * @param {Object|null} lower - 下階料號的鏈位置（_getChainPosition 的結果）
+     * @param {Object|null} upper - 上階料號的鏈位置
      * @returns {boolean}
      * @private
      */
-    _startsWith(material, prefix) {
-        return String(material || '').trim().startsWith(prefix);
+    _prefersUpper(lower, upper) {
+        return Boolean(lower && upper && lower.chain === upper.chain && upper.rank < lower.rank);
     }
-    
+
     /**
      * 檢查是否符合特殊LV規則（返回自身）
      * 
@@ -230,6 +488,8 @@ class BOMHierarchyProcessor {
      * {lv: 2, prefix: 'DCS'}
      *   - LV <= 2 時返回自身
      *   - LV > 2 時向上尋找
+     * {lv: '2-4', prefix: 'DC|!DC99'}
+     *   - LV 2 至 4 的 DC 元件（DC99 除外）返回自身
      * 
      * @param {number} lv
      * @param {string} material
@@ -237,159 +497,326 @@ class BOMHierarchyProcessor {
      * @private
      */
     _matchesLVSpecialRule(lv, material) {
-        if (!this.lvSpecialRules) {
-            return false;
-        }
-        
-        // 如果是陣列，檢查是否符合任一規則
-        if (Array.isArray(this.lvSpecialRules)) {
-            return this.lvSpecialRules.some(rule =>
-                this._checkSingleRule(lv, material, rule)
-            );
+        // 單個物件或陣列皆已於建構時轉為 compiledLvRules，檢查是否符合任一規則
+        // 先比較 LV，向上查找時多數父層在此即可排除
+        const trimmedMaterial = String(material || '').trim();
+        for (let i = 0; i < this.compiledLvRules.length; i++) {
+            const rule = this.compiledLvRules[i];
+            if (rule.matchesLv(lv) && rule.matchesMaterial(trimmedMaterial)) {
+                return true;
+            }
         }
-        
-        // 單個物件
-        return this._checkSingleRule(lv, material, this.lvSpecialRules);
+        return false;
     }
-    
-    /**
-     * 檢查單個規則是否匹配（返回自身）
-     * 固定 operator 為 <=
-     *
-     * @param {number} lv - 層級值
-     * @param {string} material - Material 值
-     * @param {Object} rule - 規則物件 {lv: number, prefix: string}
-     *                        prefix 支持 | 分隔多個前綴，例如 'DCS|DC02'
-     * @returns {boolean}
-     * @private
-     */
-    _checkSingleRule(lv, material, rule) {
-        // 檢查前綴（支持 | 分隔的多個前綴）
-        const prefixes = rule.prefix.split('|').map(p => p.trim());
-        const matchesPrefix = prefixes.some(prefix => this._startsWith(material, prefix));
 
-        if (!matchesPrefix) {
-            return false;
-        }
-
-        // 固定使用 <= 判斷
-        return lv <= rule.lv;
-    }
-    
     /**
-     * 統一的層級遞迴遍歷函數
+     * 統一的層級向上遍歷函數
+     *
+     * 自 v2.14.0 起以迴圈實作，行為與原本的遞迴版本完全相同：
+     *   - 每一層以預先計算的 parentIndex 取得父層（取代重複的 _findMaterialBeforeLN 查詢）
+     *   - Ttl. Usage 依相同順序逐層相乘，浮點數結果與遞迴版本一致
+     *   - 父層符合 FIXED_PATTERN 時記錄於 frames，抵達頂端後由上往下回溯決定 SYS_CPN（含優先順序鏈，例如 43→45）
+     *   - 同一路徑重複出現的 Material（循環）與超過 maxDepth 時提前結束
+     *
+     * v2.17.0 起記憶每個祖先行（即每個 (Material, LN)）向上查找的結果：
+     *   - 自然結束（抵達頂端、找不到父層或符合 SPECIAL_LV_RULES）時，路徑上每一行都記錄
+     *     回溯後的 SYS_CPN、層數、相乘的 Unit Usg 個數與路徑 Material 的位元聯集
+     *   - 之後走到已記憶的行時直接使用該結果，條件是剩餘層數不超過 maxDepth，
+     *     且目前路徑的 Material 位元與記憶路徑不重疊（不會形成循環；位元重疊時照常逐層查找）
+     *   - 用量乘積不記憶為單一數值：(a × b) × c 與 a × (b × c) 的浮點數結果可能不同，
+     *     因此仍沿 parentIndex 依原順序相乘記憶的 Unit Usg 個數，只省去比對規則與循環檢查
+     *   - 追蹤模式（process(true)）需要逐層記錄路徑，不讀取也不寫入記憶
+     *
      * @param {string} startMaterial - 起始Material
      * @param {number} initialUsage - 初始用量
-     * @param {number} depth - 遞迴深度
-     * @param {number} maxDepth - 最大遞迴深度
      * @param {number} currentLN - 當前行的LN（用於限制只向上查找）
+     * @param {number} maxDepth - 最大遞迴深度
+     * @returns {Array} [SYS_CPN, Ttl. Usage]
      * @private
      */
-    _traverseHierarchyUnified(startMaterial, initialUsage = 1.0, depth = 0, maxDepth = 20, currentLN = Infinity) {
-        if (depth > maxDepth) {
+    _traverseHierarchyUnified(startMaterial, initialUsage = 1.0, currentLN = Infinity, maxDepth = 20) {
+        // 追蹤：起始 Material 與目前路徑末端不同時（例如從 Part Number 開始查找）加入路徑
+        if (this.trace && this.trace.path[this.trace.path.length - 1] !== startMaterial) {
+            this.trace.path.push(startMaterial);
+        }
+
+        // 只查找LN小於currentLN的Material
+        let idx = this._findMaterialBeforeLN(startMaterial, currentLN);
+        if (idx === undefined) {
             return [startMaterial, initialUsage];
         }
 
-        try {
-            // 只查找LN小於currentLN的Material
-            const currentIdx = this._findMaterialBeforeLN(startMaterial, currentLN);
-            if (currentIdx === undefined) {
-                return [startMaterial, initialUsage];
+        const memoize = !this.trace;
+        const visited = new Set();
+        const frames = []; // 符合 FIXED_PATTERN 的父層 {material, position: 優先順序鏈位置, step: 所在層}
+        const steps = [];  // 每一層的行索引
+        let material = startMaterial;
+        let usage = initialUsage;
+        let depth = 0;
+        let visitedBits = 0;
+        let result;
+        let complete = memoize; // 自然結束（非循環或 maxDepth）時才記憶
+        let lastStep;           // 結束時所在的層
+        let factorCount;        // 相乘的 Unit Usg 個數
+        let suffixBits = 0;     // 使用記憶時，記憶路徑的 Material 位元聯集
+
+        while (true) {
+            // 已記憶的祖先：結果與繼續逐層查找相同
+            if (memoize && this.climbResults[idx] !== undefined
+                && depth + this.climbSteps[idx] <= maxDepth && (visitedBits & this.climbBits[idx]) === 0) {
+                for (let i = 0, ancestorIdx = idx; i < this.climbFactors[idx]; i++) {
+                    ancestorIdx = this.parentIndex[ancestorIdx];
+                    usage = usage * this.unitUsages[ancestorIdx];
+                }
+                result = this.climbResults[idx];
+                lastStep = steps.length + this.climbSteps[idx];
+                factorCount = steps.length + this.climbFactors[idx];
+                suffixBits = this.climbBits[idx];
+                break;
+            }
+
+            if (visited.has(material)) {
+                result = material;
+                complete = false;
+                break;
             }
+            visited.add(material);
+            visitedBits |= this.materialBits[idx];
+            steps.push(idx);
 
-            const currentRow = this.data[currentIdx];
-            const currentRowLN = currentRow.LN || 0;
+            const currentRow = this.data[idx];
             const currentLV = currentRow.LV || -1;
+            const parentPartNumber = currentRow['Part Number'] || '';
 
-            if (this.visited.has(startMaterial)) {
-                return [startMaterial, initialUsage];
+            if (currentLV <= 0 || !parentPartNumber || parentPartNumber === '') {
+                result = material;
+                lastStep = steps.length - 1;
+                factorCount = steps.length - 1;
+                break;
             }
 
-            this.visited.add(startMaterial);
+            const parentIdx = this.parentIndex[idx];
+            if (parentIdx === -1) {
+                result = material;
+                lastStep = steps.length - 1;
+                factorCount = steps.length - 1;
+                break;
+            }
 
-            try {
-                const parentPartNumber = currentRow['Part Number'] || '';
+            const parentRow = this.data[parentIdx];
+            const parentMaterial = String(parentPartNumber).trim();
+            const parentUnitUsg = this.unitUsages[parentIdx];
+            usage = usage * parentUnitUsg;
 
-                if (currentLV <= 0 || !parentPartNumber || parentPartNumber === '') {
-                    return [startMaterial, initialUsage];
-                }
+            if (this.trace) {
+                this.trace.path.push(parentMaterial);
+                this.trace.factors.push([parentRow.Material, parentUnitUsg]);
+            }
 
-                const parentMaterial = String(parentPartNumber).trim();
-                // 只查找LN小於當前行的父層Material
-                const parentIdx = this._findMaterialBeforeLN(parentMaterial, currentRowLN);
+            // 優先檢查父層是否符合 FIXED_PATTERN（主要規則），繼續向上查找以累計 Ttl. Usage
+            if (this.matchesPattern(parentRow.Material)) {
+                frames.push({ material: parentRow.Material, position: this._getChainPosition(parentRow.Material), step: steps.length - 1 });
+            } else if (this._matchesLVSpecialRule(parentRow.LV || -1, parentRow.Material)) {
+                // 再檢查父層是否符合 SPECIAL_LV_RULES（補充規則）
+                this._traceDecision('SPECIAL_LV_RULES');
+                result = parentRow.Material;
+                lastStep = steps.length - 1;
+                factorCount = steps.length;
+                break;
+            }
 
-                if (parentIdx === undefined) {
-                    return [startMaterial, initialUsage];
+            // 否則繼續向上查找
+            depth++;
+            if (depth > maxDepth) {
+                result = parentMaterial;
+                complete = false;
+                break;
+            }
+            material = parentMaterial;
+            idx = parentIdx;
+        }
+
+        // 由上往下回溯：父層向上找到優先度較高的料號時（例如 43 找到 45）保留該料號，否則返回該父層
+        // 每一層處理完屬於該層的父層後，即為從該行開始向上查找的結果
+        let resultPosition = frames.length > 0 ? this._getChainPosition(result) : null;
+        let frameIndex = frames.length - 1;
+        for (let step = steps.length - 1; step >= 0; step--) {
+            const frame = frames[frameIndex];
+            if (frame && frame.step === step) {
+                if (this._prefersUpper(frame.position, resultPosition)) {
+                    this._traceDecision(`FIXED_PATTERN ${frame.position.label}→${resultPosition.label}`);
+                } else {
+                    this._traceDecision('FIXED_PATTERN');
+                    result = frame.material;
+                    resultPosition = frame.position;
                 }
+                frameIndex--;
+            }
 
-                const parentRow = this.data[parentIdx];
+            if (complete) {
+                const rowIdx = steps[step];
+                suffixBits |= this.materialBits[rowIdx];
+                this.climbResults[rowIdx] = result;
+                this.climbSteps[rowIdx] = lastStep - step;
+                this.climbFactors[rowIdx] = factorCount - step;
+                this.climbBits[rowIdx] = suffixBits;
+            }
+        }
+
+        return [result, usage];
+    }
 
-                let parentUnitUsg = parentRow['Unit Usg'] || 1.0;
-                if (isNaN(parentUnitUsg)) {
-                    parentUnitUsg = 1.0;
+    /**
+     * 記錄向上查找時決定 SYS_CPN 的規則
+     * 外層遞迴在內層返回後才記錄，因此最終保留的是實際決定回傳值的那一層
+     *
+     * @param {string} decision - 規則名稱
+     * @private
+     */
+    _traceDecision(decision) {
+        if (this.trace) {
+            this.trace.decision = decision;
+        }
+    }
+
+    /**
+     * 記錄目前處理行的 SYS_CPN 決定規則
+     *
+     * @param {string} rule - SYS_CPN_RULES 中的標籤
+     * @private
+     */
+    _traceRule(rule) {
+        if (this.trace) {
+            this.trace.rule = rule;
+        }
+    }
+
+    /**
+     * 取得指定行的父層路徑（嚴格向上查找，直到 LV 0）
+     *
+     * @param {number} idx - 資料索引
+     * @param {number} maxDepth - 最大查找深度
+     * @returns {Array<string>} 父層 Material 陣列，由直接父層到頂層
+     *                          找不到父層時，以 Part Number 作為最後一個元素
+     */
+    getParentChain(idx, maxDepth = 20) {
+        const chain = [];
+        const seen = new Set();
+        let currentIdx = idx;
+
+        while (currentIdx !== -1 && (this.data[currentIdx].LV || 0) > 0 && chain.length < maxDepth) {
+            const parentMaterial = String(this.data[currentIdx]['Part Number'] || '').trim();
+            if (!parentMaterial || seen.has(parentMaterial)) {
+                break;
+            }
+            seen.add(parentMaterial);
+
+            chain.push(parentMaterial);
+            currentIdx = this.parentIndex[currentIdx];
+        }
+
+        return chain;
+    }
+
+    /**
+     * 驗證 BOM 資料完整性（不影響 process() 的結果）
+     *
+     * 檢查項目：
+     *   - Unit Usg 為空、非數字或為 0（process() 以 1 計算）
+     *   - LV 不是非負整數
+     *   - LV 比前一行增加超過 1（跳階）
+     *   - Part Number 為空，或與前方最近一個 LV-1 行的 Material 不一致
+     *   - 找不到父層（_findMaterialBeforeLN 查無 Part Number，向上查找提前結束）
+     *   - 循環參照（Material 出現在自己的父層路徑中，向上查找時會被截斷）
+     *   - 父層路徑超過 maxDepth（Ttl. Usage 停止向上累乘）
+     *
+     * @param {number} maxDepth - 最大遞迴深度（與 _traverseHierarchyUnified 相同）
+     * @returns {Array<Object>} 問題列表 {ln, severity: 'error'|'warning', message}（message 依目前語言，見 BOMHierarchyProcessor.message）
+     */
+    validate(maxDepth = 20) {
+        const issues = [];
+        const addIssue = (row, severity, key, params) => issues.push({ ln: row.LN, severity, message: BOMHierarchyProcessor.message(key, params) });
+        const lvMaterials = []; // lvMaterials[lv] = 該層級最近一行的 Material
+        let previousLV = null;
+
+        for (let idx = 0; idx < this.data.length; idx++) {
+            const row = this.data[idx];
+            const material = String(row.Material || '').trim();
+            const partNumber = String(row['Part Number'] || '').trim();
+            const unitUsg = row['Unit Usg'];
+            const lv = row.LV;
+
+            // Unit Usg
+            if (unitUsg == null || unitUsg === '') {
+                addIssue(row, 'warning', 'issueUsageEmpty', { material });
+            } else if (isNaN(unitUsg)) {
+                addIssue(row, 'warning', 'issueUsageNotNumeric', { material, usage: String(unitUsg) });
+            } else if (Number(unitUsg) === 0) {
+                addIssue(row, 'warning', 'issueUsageZero', { material });
+            }
+
+            // LV 無效時無法檢查層級結構
+            if (!Number.isInteger(lv) || lv < 0) {
+                addIssue(row, 'error', 'issueLvInvalid', { material, lv: String(lv ?? '') });
+                continue;
+            }
+
+            if (previousLV !== null && lv > previousLV + 1) {
+                addIssue(row, 'warning', 'issueLvJump', { material, from: previousLV, to: lv });
+            }
+            previousLV = lv;
+
+            if (lv > 0) {
+                if (!partNumber) {
+                    addIssue(row, 'warning', 'issuePartNumberEmpty', { material, lv });
                 } else {
-                    parentUnitUsg = parseFloat(parentUnitUsg);
+                    const expectedParent = lvMaterials[lv - 1];
+                    if (expectedParent !== undefined && expectedParent !== partNumber) {
+                        addIssue(row, 'error', 'issueParentMismatch', { material, partNumber, lv: lv - 1, parent: expectedParent });
+                    }
+                    if (this._findMaterialBeforeLN(partNumber, row.LN || 0) === undefined) {
+                        addIssue(row, 'error', 'issueParentMissing', { material, partNumber, ln: String(row.LN) });
+                    }
                 }
+            }
 
-                const newUsage = initialUsage * parentUnitUsg;
-
-                // 優先檢查父層是否符合 FIXED_PATTERN（主要規則）
-                if (this.matchesPattern(parentRow.Material)) {
-                    // 特殊處理：43 料號需要繼續向上查找是否有 45
-                    if (this._is43Pattern(parentRow.Material)) {
-                        // 繼續向上查找
-                        const [upstreamMaterial, finalTtlUsage] = this._traverseHierarchyUnified(
-                            parentMaterial,
-                            newUsage,
-                            depth + 1,
-                            maxDepth,
-                            currentRowLN
-                        );
-
-                        // 如果向上找到了 45，返回 45；否則返回當前的 43
-                        if (this._is45Pattern(upstreamMaterial)) {
-                            return [upstreamMaterial, finalTtlUsage];
-                        } else {
-                            return [parentRow.Material, finalTtlUsage];
-                        }
-                    }
+            lvMaterials.length = lv;
+            lvMaterials[lv] = material;
 
-                    // 其他 pattern（包括 45、64、X75 等）：繼續向上查找以累計 Ttl. Usage
-                    const [_, finalTtlUsage] = this._traverseHierarchyUnified(
-                        parentMaterial,
-                        newUsage,
-                        depth + 1,
-                        maxDepth,
-                        currentRowLN  // 傳遞當前LN限制
-                    );
-                    return [parentRow.Material, finalTtlUsage];
-                }
+            // 循環與深度：沿 Part Number 向上走訪（與 _traverseHierarchyUnified 相同的查找方式）
+            const seen = new Set();
+            let current = row;
+            let depth = 0;
 
-                // 再檢查父層是否符合 SPECIAL_LV_RULES（補充規則）
-                const parentLV = parentRow.LV || -1;
-                if (this._matchesLVSpecialRule(parentLV, parentRow.Material)) {
-                    return [parentRow.Material, newUsage];
+            while (current && (current.LV || 0) > 0 && depth <= maxDepth + 1) {
+                const parentMaterial = String(current['Part Number'] || '').trim();
+                if (!parentMaterial) {
+                    break;
+                }
+                if (parentMaterial === material) {
+                    addIssue(row, 'error', 'issueCycle', { material });
+                    break;
                 }
+                if (seen.has(parentMaterial)) {
+                    break; // 上層的循環，已於該行回報
+                }
+                seen.add(parentMaterial);
+                depth++;
 
-                // 否則繼續向上遞迴查找
-                const [parentSysCpn, parentTtlUsage] = this._traverseHierarchyUnified(
-                    parentMaterial,
-                    newUsage,
-                    depth + 1,
-                    maxDepth,
-                    currentRowLN  // 傳遞當前LN限制
-                );
+                const parentIdx = this._findMaterialBeforeLN(parentMaterial, current.LN || 0);
+                current = parentIdx === undefined ? null : this.data[parentIdx];
+            }
 
-                return [parentSysCpn, parentTtlUsage];
-            } finally {
-                this.visited.delete(startMaterial);
+            // 只在第一個超過上限的行回報，避免子層重複回報
+            if (depth === maxDepth + 1) {
+                addIssue(row, 'warning', 'issueTooDeep', { material, depth: maxDepth });
             }
-        } catch (e) {
-            console.error(`遍歷層級時出錯 (Material: ${startMaterial}):`, e);
-            return [startMaterial, initialUsage];
         }
+
+        console.log(BOMHierarchyProcessor.message('processorValidated', { count: issues.length }));
+        return issues;
     }
-    
+
     /**
      * 處理所有行，返回添加了SYS_CPN和Ttl. Usage欄位的數據
      *
@@ -411,7 +838,7 @@ class BOMHierarchyProcessor {
      *                           ▼              ▼
      *                      ┌────────┐   ┌─────────────────────────────┐
      *                      │返回自身│   │ 優先度 3：SPECIAL_LV_RULES？ │
-     *                      │✅ (P2) │   │ (prefix匹配 且 LV ≤ 設定值)  │
+     *                      │✅ (P2) │   │ (prefix匹配 且 LV 條件成立)  │
      *                      └────────┘   └─────┬───────────────────┬───┘
      *                                         │ YES               │ NO
      *                                         ▼                   ▼
@@ -426,13 +853,17 @@ class BOMHierarchyProcessor {
      *                                             │ (重複上述流程)     │
      *                                             └────────────────────┘
      *
+     * @param {boolean} trace - 是否輸出追蹤欄位：
+     *        SYS_CPN Rule（決定規則）、SYS_CPN Path（向上查找經過的 Material）、
+     *        Usage Factors（相乘的 Unit Usg，格式為 Material(用量) × ...）
      * @returns {Array<Object>}
      */
-    process() {
-        console.log(`\n開始處理 ${this.data.length} 行數據...`);
+    process(trace = false) {
+        console.log(BOMHierarchyProcessor.message('processorStart', { count: this.data.length }));
 
         const sysCpnResults = [];
         const ttlUsageResults = [];
+        const traceResults = [];
 
         for (let idx = 0; idx < this.data.length; idx++) {
             const row = this.data[idx];
@@ -440,15 +871,14 @@ class BOMHierarchyProcessor {
             const currentLV = row.LV;
             const currentLN = row.LN || 0;
 
-            let unitUsg = row['Unit Usg'] || 1.0;
-            if (isNaN(unitUsg)) {
-                unitUsg = 1.0;
-            } else {
-                unitUsg = parseFloat(unitUsg);
-            }
+            const unitUsg = this.unitUsages[idx];
+
+            this.trace = trace ? { rule: null, decision: null, path: [currentMaterial], factors: [[currentMaterial, unitUsg]] } : null;
+            traceResults.push(this.trace);
 
             // 步驟1：LV檢查（頂層）
             if (currentLV <= 1) {
+                this._traceRule(SYS_CPN_RULES.LV);
                 sysCpnResults.push(currentMaterial);
                 ttlUsageResults.push(unitUsg);
                 continue;
@@ -456,78 +886,43 @@ class BOMHierarchyProcessor {
 
             // 步驟2：Material本身已符合Pattern（主要規則）
             if (this.matchesPattern(currentMaterial)) {
-                // 特殊處理：43 料號需要向上查找是否有 45
-                if (this._is43Pattern(currentMaterial)) {
-                    const currentPartNumber = row['Part Number'] || '';
-
-                    if (currentPartNumber && currentPartNumber !== '') {
-                        const parentMaterial = String(currentPartNumber).trim();
-
-                        // 檢查 Part Number 是否是 45
-                        if (this._is45Pattern(parentMaterial)) {
-                            sysCpnResults.push(parentMaterial);
-
-                            // 計算 Ttl. Usage：用 parentMaterial 向上查找
-                            this.visited.clear();
-                            const [_, ttlUsage] = this._traverseHierarchyUnified(
-                                parentMaterial,
-                                unitUsg,
-                                0,
-                                20,
-                                currentLN
-                            );
-                            ttlUsageResults.push(ttlUsage);
-                            continue;
-                        }
-
-                        // Part Number 也是 43，繼續向上查找
-                        if (this._is43Pattern(parentMaterial)) {
-                            this.visited.clear();
-                            const [finalMaterial, ttlUsage] = this._traverseHierarchyUnified(
-                                parentMaterial,
-                                unitUsg,
-                                0,
-                                20,
-                                currentLN
-                            );
-
-                            // 如果向上找到了 45，返回 45；否則返回當前的 43
-                            if (this._is45Pattern(finalMaterial)) {
-                                sysCpnResults.push(finalMaterial);
-                            } else {
-                                sysCpnResults.push(currentMaterial);
-                            }
-                            ttlUsageResults.push(ttlUsage);
-                            continue;
-                        }
-                    }
+                // 優先順序鏈：不是鏈中最高優先度的料號（例如 43）需要向上查找是否有優先度較高的料號（例如 45）
+                const position = this._getChainPosition(currentMaterial);
+                const parentMaterial = String(row['Part Number'] || '').trim();
+                const parentPosition = position && position.rank > 0 && parentMaterial ? this._getChainPosition(parentMaterial) : null;
 
-                    // Part Number 為空或不是 43/45，返回當前的 43
-                    sysCpnResults.push(currentMaterial);
-
-                    // 計算 Ttl. Usage
-                    this.visited.clear();
-                    const [_, ttlUsage] = this._traverseHierarchyUnified(
-                        currentMaterial,
+                // Part Number 優先度較高或相同（例如 43 的 Part Number 是 45 或 43），用 Part Number 向上查找
+                if (parentPosition && parentPosition.chain === position.chain && parentPosition.rank <= position.rank) {
+                    const [finalMaterial, ttlUsage] = this._traverseHierarchyUnified(
+                        parentMaterial,
                         unitUsg,
-                        0,
-                        20,
                         currentLN
                     );
+
+                    // Part Number 向上找到優先度更高的料號時返回該料號，否則 Part Number 優先度較高時返回 Part Number，再否則返回自身
+                    const finalPosition = this._getChainPosition(finalMaterial);
+                    if (this._prefersUpper(parentPosition, finalPosition)) {
+                        this._traceRule(`${SYS_CPN_RULES.PATTERN} ${position.label}→${finalPosition.label}`);
+                        sysCpnResults.push(finalMaterial);
+                    } else if (this._prefersUpper(position, parentPosition)) {
+                        this._traceRule(`${SYS_CPN_RULES.PATTERN} ${position.label}→${parentPosition.label}`);
+                        sysCpnResults.push(parentMaterial);
+                    } else {
+                        this._traceRule(SYS_CPN_RULES.PATTERN);
+                        sysCpnResults.push(currentMaterial);
+                    }
                     ttlUsageResults.push(ttlUsage);
                     continue;
                 }
 
-                // 其他 pattern（45、64、X75 等）
+                // 其他情況（不在鏈中、最高優先度、Part Number 為空或優先度較低）返回自身
+                this._traceRule(SYS_CPN_RULES.PATTERN);
                 sysCpnResults.push(currentMaterial);
 
                 // 計算Ttl. Usage
-                this.visited.clear();
                 const [_, ttlUsage] = this._traverseHierarchyUnified(
                     currentMaterial,
                     unitUsg,
-                    0,
-                    20,
                     currentLN  // 傳遞當前LN，確保只向上查找
                 );
                 ttlUsageResults.push(ttlUsage);
@@ -536,15 +931,13 @@ class BOMHierarchyProcessor {
 
             // 步驟3：特殊LV規則檢查（補充規則，支持單個或多個規則）
             if (this._matchesLVSpecialRule(currentLV, currentMaterial)) {
+                this._traceRule(SYS_CPN_RULES.SPECIAL_LV);
                 sysCpnResults.push(currentMaterial);
 
                 // 計算Ttl. Usage（向上累乘至LV=0）
-                this.visited.clear();
                 const [_, ttlUsage] = this._traverseHierarchyUnified(
                     currentMaterial,
                     unitUsg,
-                    0,
-                    20,
                     currentLN  // 傳遞當前LN，確保只向上查找
                 );
                 ttlUsageResults.push(ttlUsage);
@@ -555,69 +948,62 @@ class BOMHierarchyProcessor {
             const currentPartNumber = row['Part Number'] || '';
 
             if (!currentPartNumber || currentPartNumber === '') {
+                this._traceRule(SYS_CPN_RULES.NO_PART_NUMBER);
                 sysCpnResults.push(currentMaterial);
                 ttlUsageResults.push(unitUsg);
                 continue;
             }
 
-            this.visited.clear();
-
             const parentMaterialStr = String(currentPartNumber).trim();
 
             if (this.matchesPattern(parentMaterialStr)) {
-                // 特殊處理：如果 Part Number 是 43，需要檢查其上階是否有 45
-                if (this._is43Pattern(parentMaterialStr)) {
-                    this.visited.clear();
-                    const [finalMaterial, ttlUsage] = this._traverseHierarchyUnified(
-                        parentMaterialStr,
-                        unitUsg,
-                        0,
-                        20,
-                        currentLN
-                    );
+                const [finalMaterial, ttlUsage] = this._traverseHierarchyUnified(
+                    parentMaterialStr,
+                    unitUsg,
+                    currentLN  // 傳遞當前LN，確保只向上查找
+                );
 
-                    // 如果向上找到了 45，返回 45；否則返回 43
-                    if (this._is45Pattern(finalMaterial)) {
-                        sysCpnResults.push(finalMaterial);
-                    } else {
-                        sysCpnResults.push(parentMaterialStr);
-                    }
-                    ttlUsageResults.push(ttlUsage);
+                // 優先順序鏈：Part Number 向上找到優先度較高的料號時（例如 43 找到 45）返回該料號，否則返回 Part Number
+                const position = this._getChainPosition(parentMaterialStr);
+                const finalPosition = position && position.rank > 0 ? this._getChainPosition(finalMaterial) : null;
+                if (this._prefersUpper(position, finalPosition)) {
+                    this._traceRule(`${SYS_CPN_RULES.CLIMB} → FIXED_PATTERN ${position.label}→${finalPosition.label}`);
+                    sysCpnResults.push(finalMaterial);
                 } else {
-                    // 其他 pattern（45、64、X75 等）
+                    this._traceRule(`${SYS_CPN_RULES.CLIMB} → FIXED_PATTERN`);
                     sysCpnResults.push(parentMaterialStr);
-
-                    this.visited.clear();
-                    const [_, ttlUsage] = this._traverseHierarchyUnified(
-                        parentMaterialStr,
-                        unitUsg,
-                        0,
-                        20,
-                        currentLN  // 傳遞當前LN，確保只向上查找
-                    );
-                    ttlUsageResults.push(ttlUsage);
                 }
+                ttlUsageResults.push(ttlUsage);
             } else {
                 const [sysCpn, ttlUsage] = this._traverseHierarchyUnified(
                     parentMaterialStr,
                     unitUsg,
-                    0,
-                    20,
                     currentLN  // 傳遞當前LN，確保只向上查找
                 );
 
+                if (this.trace) {
+                    this._traceRule(`${SYS_CPN_RULES.CLIMB} → ${this.trace.decision || 'no match'}`);
+                }
                 sysCpnResults.push(sysCpn || currentMaterial);
                 ttlUsageResults.push(ttlUsage);
             }
         }
+        this.trace = null;
 
         // 將結果添加到原數據
         for (let i = 0; i < this.data.length; i++) {
             this.data[i].SYS_CPN = sysCpnResults[i];
             this.data[i]['Ttl. Usage'] = ttlUsageResults[i];
+
+            if (trace) {
+                const { rule, path, factors } = traceResults[i];
+                this.data[i]['SYS_CPN Rule'] = rule;
+                this.data[i]['SYS_CPN Path'] = path.join(' > ');
+                this.data[i]['Usage Factors'] = factors.map(([material, usg]) => `${material}(${usg})`).join(' × ');
+            }
         }
 
-        console.log('✓ 處理完成');
+        console.log(BOMHierarchyProcessor.message('processorDone'));
         return this.data;
     }
     
@@ -628,6 +1014,9 @@ class BOMHierarchyProcessor {
     getStatistics() {
         const sysCpnChanged = this.data.filter(row => row.Material !== row.SYS_CPN).length;
         const ttlUsages = this.data.map(row => row['Ttl. Usage'] || 0).filter(v => !isNaN(v));
+        // 以 reduce 取最小/最大值，Math.min(...arr) 在大量資料時會超出呼叫堆疊
+        const ttlUsageMin = ttlUsages.length > 0 ? ttlUsages.reduce((a, b) => Math.min(a, b)) : 0;
+        const ttlUsageMax = ttlUsages.length > 0 ? ttlUsages.reduce((a, b) => Math.max(a, b)) : 0;
         
         return {
             totalRows: this.data.length,
@@ -636,8 +1025,8 @@ class BOMHierarchyProcessor {
             sysCpnUnchanged: this.data.length - sysCpnChanged,
             sysCpnUnchangedPercent: (((this.data.length - sysCpnChanged) / this.data.length) * 100).toFixed(1),
             ttlUsageAvg: ttlUsages.length > 0 ? (ttlUsages.reduce((a, b) => a + b, 0) / ttlUsages.length).toFixed(4) : 0,
-            ttlUsageMin: ttlUsages.length > 0 ? Math.min(...ttlUsages).toFixed(4) : 0,
-            ttlUsageMax: ttlUsages.length > 0 ? Math.max(...ttlUsages).toFixed(4) : 0,
+            ttlUsageMin: ttlUsages.length > 0 ? ttlUsageMin.toFixed(4) : 0,
+            ttlUsageMax: ttlUsages.length > 0 ? ttlUsageMax.toFixed(4) : 0,
             ttlUsageStd: ttlUsages.length > 0 ? this._calculateStdDev(ttlUsages).toFixed(4) : 0
         };
     }
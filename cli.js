@@ -0,0 +1,609 @@
+#!/usr/bin/env node
+/**
+ * XLS Consolidator 命令列介面 (Headless CLI)
+ * 在無瀏覽器環境下批次合併 ZSDR392 檔案（例如排程工作）
+ *
+ * 用法 (Usage):
+ *   node cli.js <檔案|資料夾|壓縮檔 ...> [-o out.xlsx] [-f xlsx|csv|jsonl|split-zip] [--encoding UTF-8|Big5]
+ *               [-b master.xlsx [--replace]] [-p rules.json] [--simulate candidate.json] [-c] [-t] [-w material ...] [--sheet name] [--schema name|file.json] [-n regex ...] [-e [file=]encoding ...]
+ *               [--fill 'column=methods' ...] [--dedup policy] [--export-preset preset.json] [--build-plan plan.csv] [--lang zh-TW|zh-CN|en|vi] [-s] [-q]
+ *
+ * 與 index.html 共用 i18n.js、bom_processor.js、where-used.js、encoding-detection.js、consolidator.js、rule-profiles.js、rule-simulation.js、schema-profiles.js、filename-templates.js、
+ * fill-rules.js、bom-diff.js、baseline-workbook.js、export-formats.js、export-presets.js、material-requirements.js，
+ * 各腳本以 vm 載入同一個全域環境（等同瀏覽器的 <script> 載入順序），
+ * 因此解碼、清洗、CONFIG 規則與 BOM 處理完全一致，輸出檔相同。
+ *
+ * 結束代碼 (Exit codes):
+ *   0 - 全部檔案處理成功
+ *   1 - 有檔案處理失敗或沒有可處理的檔案（仍會輸出成功的部分；--strict 時不輸出）
+ *   2 - 參數錯誤
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { File } = require('buffer');
+
+const Papa = require('./lib/papaparse.min.js');
+const XLSX = require('./lib/xlsx.full.min.js');
+const JSZip = require('./lib/jszip.min.js');
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * 與 index.html 相同的共用腳本載入順序
+ * Shared scripts in the same load order as index.html
+ */
+const SHARED_SCRIPTS = ['i18n.js', 'bom_processor.js', 'where-used.js', 'encoding-detection.js', 'consolidator.js', 'rule-profiles.js', 'rule-simulation.js', 'schema-profiles.js', 'filename-templates.js', 'fill-rules.js', 'bom-diff.js', 'baseline-workbook.js', 'export-formats.js', 'export-presets.js', 'material-requirements.js'];
+
+const USAGE = `Usage: node cli.js <files|folders|archives ...> [options]
+
+Options:
+  -o, --output <file>  Output file (default: YYYYMMDD.HHMMSS_consolidated_data.<xlsx|csv|jsonl|zip>)
+  -f, --format <format>
+                       Export format: xlsx, csv, jsonl or split-zip (one workbook per product/version, default: xlsx)
+  --encoding <name>    CSV encoding: UTF-8 or Big5 (default: UTF-8)
+  -b, --baseline <file>
+                       Previously exported workbook to append to; product/version pairs already
+                       in it are skipped (e.g. -b master.xlsx -o master.xlsx for a daily update)
+  --replace            With --baseline, reprocess and replace pairs already in the baseline
+  -p, --profile <file> Rule profile JSON exported from the browser (default: built-in Default)
+  --simulate <file>    Candidate rule profile JSON: also process every file with it and add Simulation
+                       (rows whose SYS_CPN or Ttl. Usage would change) and Simulation Summary sheets
+  -c, --compare        Compare versions of the same product (adds a Changes sheet)
+  -t, --trace          Add SYS_CPN trace columns (SYS_CPN Rule, SYS_CPN Path, Usage Factors)
+  -w, --where-used <material>
+                       Look up where a material is used (adds a Where Used sheet, repeatable)
+  --sheet <name>       Worksheet to read from XLS/XLSX workbooks (default: first sheet with LV and Unit Usg)
+  --schema <name|file> Column schema: auto, ZSDR392, CS11, CS12 or a schema profile JSON file
+                       (default: auto, detected per file from the header row)
+  -n, --filename-template <regex>
+                       Filename template with named groups product, version, plant and any extra
+                       field, e.g. '^(?<plant>P\\d{3})-(?<product>\\w+)-(?<version>\\d{8})' (repeatable,
+                       the first matching template wins; default: PRODUCT_YYYYMMDDHHMMSS)
+  -e, --input-encoding <[file=]name>
+                       Decode text inputs with this encoding instead of detecting it: Big5, UTF-8,
+                       GBK, GB18030, UTF-16LE or UTF-16BE; prefix a file name to force it for that
+                       file only, e.g. -e old_export.xls=GBK (repeatable, default: detected per file)
+  --fill <column=methods>
+                       Fill blank cells of a column, e.g. 'Plant Code=forward,back,filename:plant'
+                       (methods: forward, back, ancestor, filename:<group>, none; repeatable, replaces
+                       the default rule of that column; adds a Fills sheet listing every filled cell)
+  --dedup <policy>     Versions to keep when a product appears in several files:
+                       all, latest-product or latest-product-plant (default: all)
+  --export-preset <file>
+                       Export preset JSON exported from the browser: filter rows by product, LV,
+                       material or SYS_CPN, select/order/rename columns and optionally collapse to
+                       one row per SYS_CPN (applies to the data sheet only)
+  --build-plan <file>  Build quantities as CSV ("product, quantity" or "product, version, quantity"
+                       per line, or a forecast CSV with Product / Version / Quantity columns; the
+                       latest version is used when none is given): adds MRP by Material, MRP by
+                       SYS_CPN and MRP Build Plan sheets with the required quantities
+  -s, --strict         Fail the whole run (no output file) if any file fails
+  --lang <code>        Language of messages, report reasons and the data sheet name: zh-TW, zh-CN, en
+                       or vi (default: from LC_ALL / LC_MESSAGES / LANG, otherwise zh-TW)
+  -q, --quiet          Only print errors and the final summary
+  -h, --help           Show this help`;
+
+// ##################################################################################################################################################
+// 工具函數區塊 (Utility Functions)
+// ##################################################################################################################################################
+
+/**
+ * 解析命令列參數
+ * Parse command line arguments
+ *
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} {inputs: string[], output: string|null, format: string, encoding: string, baseline: string|null, replace: boolean, profile: string|null, simulate: string|null, compare: boolean, trace: boolean, whereUsed: string[], sheet: string|null, schema: string, filenameTemplates: string[], inputEncodings: string[], fillRules: string[], dedup: string, exportPreset: string|null, buildPlan: string|null, lang: string|null, strict: boolean, quiet: boolean, help: boolean}
+ * @throws {Error} 參數不正確時拋出錯誤
+ */
+const parseArgs = (argv) => {
+    const options = { inputs: [], output: null, format: 'xlsx', encoding: 'UTF-8', baseline: null, replace: false, profile: null, simulate: null, compare: false, trace: false, whereUsed: [], sheet: null, schema: 'auto', filenameTemplates: [], inputEncodings: [], fillRules: [], dedup: 'all', exportPreset: null, buildPlan: null, lang: null, strict: false, quiet: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-o' || arg === '--output') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.output = argv[++i];
+        } else if (arg === '-f' || arg === '--format') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.format = argv[++i];
+        } else if (arg === '--encoding') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.encoding = argv[++i];
+        } else if (arg === '-b' || arg === '--baseline') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.baseline = argv[++i];
+        } else if (arg === '--replace') {
+            options.replace = true;
+        } else if (arg === '-p' || arg === '--profile') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.profile = argv[++i];
+        } else if (arg === '--simulate') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.simulate = argv[++i];
+        } else if (arg === '-c' || arg === '--compare') {
+            options.compare = true;
+        } else if (arg === '-t' || arg === '--trace') {
+            options.trace = true;
+        } else if (arg === '-w' || arg === '--where-used') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.whereUsed.push(argv[++i]);
+        } else if (arg === '--sheet') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.sheet = argv[++i];
+        } else if (arg === '-n' || arg === '--filename-template') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.filenameTemplates.push(argv[++i]);
+        } else if (arg === '-e' || arg === '--input-encoding') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.inputEncodings.push(argv[++i]);
+        } else if (arg === '--fill') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.fillRules.push(argv[++i]);
+        } else if (arg === '--schema') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.schema = argv[++i];
+        } else if (arg === '--dedup') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.dedup = argv[++i];
+        } else if (arg === '--export-preset') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.exportPreset = argv[++i];
+        } else if (arg === '--build-plan') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.buildPlan = argv[++i];
+        } else if (arg === '--lang') {
+            if (!argv[i + 1]) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options.lang = argv[++i];
+        } else if (arg === '-s' || arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '-q' || arg === '--quiet') {
+            options.quiet = true;
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+
+    return options;
+};
+
+/**
+ * 產生與瀏覽器下載相同格式的預設輸出檔名
+ * Build the default output filename used by the browser download
+ *
+ * @param {string} extension - 匯出格式的副檔名
+ * @returns {string} YYYYMMDD.HHMMSS_consolidated_data.<extension>
+ */
+const defaultOutputName = (extension) => {
+    const timestamp = new Date().toLocaleString('sv-SE').replace(' ', '.').replace(/[-:]/g, '');
+    return `${timestamp}_consolidated_data.${extension}`;
+};
+
+/**
+ * 在獨立的全域環境中載入共用腳本
+ * Load the shared scripts into one global context, as the browser does
+ *
+ * @param {Object} consoleImpl - 提供給腳本使用的 console
+ * @returns {Object} vm 環境，可透過 vm.runInContext 取得全域宣告
+ */
+const loadSharedScripts = (consoleImpl) => {
+    const context = vm.createContext({ console: consoleImpl, TextDecoder, TextEncoder, performance, Papa, XLSX, JSZip });
+
+    for (const script of SHARED_SCRIPTS) {
+        const filename = path.join(__dirname, script);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+
+    return context;
+};
+
+// ##################################################################################################################################################
+// 輸入收集區塊 (Input Collection)
+// ##################################################################################################################################################
+
+/**
+ * 遞迴列出資料夾內的所有檔案（依路徑排序）
+ * Recursively list every file under a folder (sorted by path)
+ *
+ * @param {string} dir - 資料夾路徑
+ * @returns {Array<string>} 檔案路徑陣列
+ */
+const walkFolder = (dir) => {
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const files = [];
+
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...walkFolder(fullPath));
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+
+    return files;
+};
+
+/**
+ * 將命令列輸入展開為 File 物件列表
+ * Expand command line inputs into a list of File objects
+ *
+ * @param {Array<string>} inputs - 檔案、資料夾或壓縮檔路徑
+ * @param {Function} isInputFileName - consolidator.js 的檔名過濾函數（.xls / .xlsx / .csv / .txt）
+ * @param {Function} isArchiveFileName - consolidator.js 的壓縮檔過濾函數（CONFIG.ARCHIVE_EXTENSIONS）
+ * @returns {Promise<Array<File>>}
+ *
+ * 檔名規則與瀏覽器一致 (File names match the browser):
+ * - 檔案/資料夾：僅保留檔名（同 File.name）
+ * - 壓縮檔：保留壓縮檔內的完整路徑（同 extractXlsFromArchive）
+ * - 資料夾內的壓縮檔與拖放時相同，會一併解壓
+ */
+const collectInputFiles = async (inputs, isInputFileName, isArchiveFileName) => {
+    const files = [];
+
+    // 壓縮檔使用 libarchive 的 Node 版本，與瀏覽器共用 archive-handler.js
+    const extractArchive = async (filePath) => {
+        const { Archive } = await import('./lib/libarchive/libarchive-node.mjs');
+        const { extractXlsFromArchive } = await import('./archive-handler.js');
+        const archiveFile = new File([fs.readFileSync(filePath)], path.basename(filePath));
+        return extractXlsFromArchive(archiveFile, Archive, isInputFileName, isArchiveFileName);
+    };
+
+    for (const input of inputs) {
+        if (!fs.existsSync(input)) {
+            throw new Error(`Input not found: ${input}`);
+        }
+
+        if (fs.statSync(input).isDirectory()) {
+            for (const filePath of walkFolder(input)) {
+                if (isArchiveFileName(path.basename(filePath))) {
+                    files.push(...await extractArchive(filePath));
+                } else if (isInputFileName(path.basename(filePath))) {
+                    files.push(new File([fs.readFileSync(filePath)], path.basename(filePath)));
+                }
+            }
+        } else if (isArchiveFileName(path.basename(input))) {
+            files.push(...await extractArchive(input));
+        } else {
+            files.push(new File([fs.readFileSync(input)], path.basename(input)));
+        }
+    }
+
+    return files;
+};
+
+// ##################################################################################################################################################
+// 主要流程 (Main)
+// ##################################################################################################################################################
+
+/**
+ * CLI 主流程
+ * CLI main workflow
+ *
+ * @param {Array<string>} argv - 命令列參數
+ * @returns {Promise<number>} 結束代碼
+ */
+const main = async (argv) => {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`✗ ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (options.inputs.length === 0) {
+        console.error(`✗ No input files\n\n${USAGE}`);
+        return 2;
+    }
+
+    const consoleImpl = options.quiet ? { ...console, log: () => {}, warn: () => {} } : console;
+    const context = loadSharedScripts(consoleImpl);
+    const {
+        processFileList, buildExport, buildIssueRows, buildFileReportRows, isInputFileName, isArchiveFileName, parseRuleProfilesJson,
+        compareBomVersions, whereUsedIndex, WhereUsedIndex, EXPORT_FORMATS, CSV_ENCODINGS, CONFIG,
+        readBaselineWorkbook, getBaselineVersions, mergeWithBaseline, SCHEMA_AUTO, SCHEMA_PROFILES, parseSchemaProfilesJson,
+        parseFilenameTemplates, parseFillRules, buildFillRows, getActiveRuleProfile, setActiveRuleProfile,
+        createRuleSimulation, buildRuleSimulationRows, buildRuleSimulationSummaryRows, SUPPORTED_LANGUAGES, resolveLanguage, detectLanguage, setLanguage,
+        parseExportPresetsJson, applyExportPreset, isFullExportPreset, createDefaultExportPreset,
+        decodeFileContent, parseBuildPlan, calculateMaterialRequirements, buildMaterialRequirementSheets
+    } = vm.runInContext(
+        `({ processFileList, buildExport, buildIssueRows, buildFileReportRows, isInputFileName, isArchiveFileName, parseRuleProfilesJson,
+            compareBomVersions, whereUsedIndex, WhereUsedIndex, EXPORT_FORMATS, CSV_ENCODINGS, CONFIG,
+            readBaselineWorkbook, getBaselineVersions, mergeWithBaseline, SCHEMA_AUTO, SCHEMA_PROFILES, parseSchemaProfilesJson,
+            parseFilenameTemplates, parseFillRules, buildFillRows, getActiveRuleProfile: () => activeRuleProfile, setActiveRuleProfile: p => { activeRuleProfile = p; },
+            createRuleSimulation, buildRuleSimulationRows, buildRuleSimulationSummaryRows, SUPPORTED_LANGUAGES, resolveLanguage, detectLanguage,
+            setLanguage: language => { currentLanguage = language; },
+            parseExportPresetsJson, applyExportPreset, isFullExportPreset, createDefaultExportPreset,
+            decodeFileContent, parseBuildPlan, calculateMaterialRequirements, buildMaterialRequirementSheets })`,
+        context
+    );
+
+    // 匯出格式、編碼與合併策略在處理前檢查，避免處理完才發現參數錯誤
+    if (!EXPORT_FORMATS[options.format]) {
+        console.error(`✗ Unknown format: ${options.format} (available: ${Object.keys(EXPORT_FORMATS).join(', ')})\n\n${USAGE}`);
+        return 2;
+    }
+    if (!CSV_ENCODINGS.includes(options.encoding)) {
+        console.error(`✗ Unknown encoding: ${options.encoding} (available: ${CSV_ENCODINGS.join(', ')})\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (!CONFIG.DEDUP_POLICIES.includes(options.dedup)) {
+        console.error(`✗ Unknown consolidation policy: ${options.dedup} (available: ${CONFIG.DEDUP_POLICIES.join(', ')})\n\n${USAGE}`);
+        return 2;
+    }
+
+    // 訊息語言：--lang 優先，否則依環境變數（例如 LANG=vi_VN.UTF-8），與瀏覽器依 navigator.languages 相同
+    const language = options.lang
+        ? resolveLanguage(options.lang)
+        : detectLanguage([process.env.LC_ALL, process.env.LC_MESSAGES, process.env.LANG].filter(Boolean));
+    if (!language) {
+        console.error(`✗ Unknown language: ${options.lang} (available: ${SUPPORTED_LANGUAGES.join(', ')})\n\n${USAGE}`);
+        return 2;
+    }
+    setLanguage(language);
+
+    // 套用匯出的規則設定檔（與瀏覽器相同的驗證）；檔案含多個設定檔時使用第一個
+    if (options.profile) {
+        try {
+            setActiveRuleProfile(parseRuleProfilesJson(fs.readFileSync(options.profile, 'utf8'))[0]);
+        } catch (error) {
+            console.error(`✗ Invalid rule profile ${options.profile}: ${error.message}`);
+            return 2;
+        }
+    }
+
+    // 規則模擬：候選規則設定檔（與 -p 相同的驗證），與目前使用的設定檔比較
+    let simulation = null;
+    if (options.simulate) {
+        try {
+            simulation = createRuleSimulation(getActiveRuleProfile(), parseRuleProfilesJson(fs.readFileSync(options.simulate, 'utf8'))[0]);
+        } catch (error) {
+            console.error(`✗ Invalid rule profile ${options.simulate}: ${error.message}`);
+            return 2;
+        }
+    }
+
+    // 欄位結構：內建設定檔名稱，或設定檔 JSON（與瀏覽器相同的驗證，檔案含多個設定檔時使用第一個）
+    let schema = SCHEMA_AUTO;
+    if (options.schema.toLowerCase().endsWith('.json')) {
+        try {
+            schema = parseSchemaProfilesJson(fs.readFileSync(options.schema, 'utf8'))[0];
+        } catch (error) {
+            console.error(`✗ Invalid schema profile ${options.schema}: ${error.message}`);
+            return 2;
+        }
+    } else if (options.schema.toLowerCase() !== SCHEMA_AUTO) {
+        schema = SCHEMA_PROFILES.find(profile => profile.name.toLowerCase() === options.schema.toLowerCase());
+        if (!schema) {
+            console.error(`✗ Unknown schema profile: ${options.schema} (available: ${[SCHEMA_AUTO, ...SCHEMA_PROFILES.map(p => p.name)].join(', ')})\n\n${USAGE}`);
+            return 2;
+        }
+    }
+
+    // 檔名範本（與瀏覽器相同的驗證）
+    let filenameTemplates = null;
+    try {
+        filenameTemplates = parseFilenameTemplates(options.filenameTemplates.join('\n'));
+    } catch (error) {
+        console.error(`✗ Invalid filename template ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    // 欄位填充規則（與瀏覽器相同的驗證）
+    let fillRules = null;
+    try {
+        fillRules = parseFillRules(options.fillRules.join('\n'));
+    } catch (error) {
+        console.error(`✗ Invalid fill rule ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    // 指定的輸入編碼：'GBK' 套用於所有檔案，'name.xls=GBK' 只套用於該檔案（名稱不含路徑）
+    const encodings = {};
+    for (const value of options.inputEncodings) {
+        const separator = value.lastIndexOf('=');
+        const name = separator === -1 ? '*' : value.slice(0, separator);
+        const encoding = CONFIG.DECODING_FORMATS.find(format => format.toLowerCase() === value.slice(separator + 1).toLowerCase());
+        if (!encoding) {
+            console.error(`✗ Unknown input encoding: ${value.slice(separator + 1)} (available: ${CONFIG.DECODING_FORMATS.join(', ')})\n\n${USAGE}`);
+            return 2;
+        }
+        encodings[name] = encoding;
+    }
+
+    // 匯出設定（與瀏覽器相同的驗證，檔案含多個預設集時使用第一個）；未指定時輸出所有資料行與欄位
+    let exportPreset = createDefaultExportPreset();
+    if (options.exportPreset) {
+        try {
+            exportPreset = parseExportPresetsJson(fs.readFileSync(options.exportPreset, 'utf8'))[0];
+        } catch (error) {
+            console.error(`✗ Invalid export preset ${options.exportPreset}: ${error.message}`);
+            return 2;
+        }
+    }
+
+    // 物料需求的生產數量（與瀏覽器匯入預測 CSV 相同的解碼與驗證）
+    let buildPlan = null;
+    if (options.buildPlan) {
+        try {
+            const buffer = fs.readFileSync(options.buildPlan);
+            buildPlan = parseBuildPlan(decodeFileContent(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length)).decodedContent);
+        } catch (error) {
+            console.error(`✗ Invalid build plan ${options.buildPlan}: ${error.message}`);
+            return 2;
+        }
+    }
+
+    // 增量合併的基準活頁簿（與瀏覽器相同的驗證）
+    let baselineData = null;
+    if (options.baseline) {
+        try {
+            const buffer = fs.readFileSync(options.baseline);
+            baselineData = readBaselineWorkbook(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+        } catch (error) {
+            console.error(`✗ Invalid baseline ${options.baseline}: ${error.message}`);
+            return 2;
+        }
+    }
+
+    const startTime = performance.now();
+    const files = await collectInputFiles(options.inputs, isInputFileName, isArchiveFileName);
+    if (files.length === 0) {
+        console.error('✗ No .xls/.xlsx/.csv/.txt files found in the given inputs');
+        return 1;
+    }
+
+    // 與瀏覽器相同：processFileList → buildExport 序列化
+    // （瀏覽器以相同的位元組觸發下載）
+    const failedFiles = [];
+    const issues = [];
+    const fills = [];
+    const report = [];
+    let consolidatedData;
+    try {
+        consolidatedData = await processFileList(files, [], failedFiles, {
+            trace: options.trace, sheet: options.sheet, schema, filenameTemplates, encodings, dedup: options.dedup, fillRules, issues, fills, simulation, report, strict: options.strict,
+            existingVersions: baselineData && !options.replace ? getBaselineVersions(baselineData) : null
+        });
+    } catch (error) {
+        // strict 模式：不輸出部分合併結果
+        failedFiles.forEach(({ name, error }) => {
+            console.error(`✗ ${name}: ${error.message}`);
+        });
+        console.error(`✗ ${error.message}; no output written`);
+        return 1;
+    }
+
+    // 增量合併：加入基準活頁簿的資料
+    const outputData = baselineData ? mergeWithBaseline(baselineData, consolidatedData, options.replace) : consolidatedData;
+
+    // 檔案處理報告、資料驗證問題與欄位填充記錄（與瀏覽器相同，Issues / Fills 僅在有內容時加入）
+    const extraSheets = [{ name: 'Files', rows: buildFileReportRows(report) }];
+    if (issues.length > 0) {
+        extraSheets.push({ name: 'Issues', rows: buildIssueRows(issues) });
+    }
+    if (fills.length > 0) {
+        extraSheets.push({ name: 'Fills', rows: buildFillRows(fills) });
+    }
+
+    // 比較模式：與瀏覽器相同的 Changes 工作表
+    if (options.compare) {
+        extraSheets.push({ name: 'Changes', rows: compareBomVersions(outputData) });
+    }
+
+    // 規則模擬：與瀏覽器相同的 Simulation / Simulation Summary 工作表
+    if (simulation) {
+        extraSheets.push({ name: 'Simulation', rows: buildRuleSimulationRows(simulation) });
+        extraSheets.push({ name: 'Simulation Summary', rows: buildRuleSimulationSummaryRows(simulation) });
+    }
+
+    // Where-used 反查：所有查詢的料號合併為一張工作表
+    if (options.whereUsed.length > 0) {
+        const results = options.whereUsed.flatMap(material => whereUsedIndex.search(material));
+        extraSheets.push({ name: 'Where Used', rows: WhereUsedIndex.toSheetRows(results) });
+    }
+
+    // 物料需求彙總：與瀏覽器相同的 MRP 工作表（以完整資料計算，不受匯出設定影響）
+    // 無法計算時與生產數量檔案無效相同，不輸出檔案
+    let requirements = null;
+    if (buildPlan) {
+        try {
+            requirements = calculateMaterialRequirements(outputData, buildPlan);
+            extraSheets.push(...buildMaterialRequirementSheets(requirements));
+        } catch (error) {
+            console.error(`✗ Invalid build plan ${options.buildPlan}: ${error.message}; no output written`);
+            return 2;
+        }
+    }
+
+    // 匯出設定只套用於資料工作表（Changes 等工作表仍以完整資料建立）
+    let exportData;
+    try {
+        exportData = applyExportPreset(outputData, exportPreset);
+    } catch (error) {
+        console.error(`✗ Invalid export preset ${options.exportPreset}: ${error.message}`);
+        return 2;
+    }
+
+    const { bytes, extension } = await buildExport(exportData, getActiveRuleProfile(), extraSheets, { format: options.format, encoding: options.encoding });
+    const outputPath = options.output || defaultOutputName(extension);
+    fs.writeFileSync(outputPath, bytes);
+
+    const totalRows = consolidatedData.length > 1 ? consolidatedData.length - 1 : 0;
+    const elapsedTime = performance.now() - startTime;
+    const presetLabel = isFullExportPreset(exportPreset) ? '' : `, ${exportPreset.name}: ${Math.max(exportData.length - 1, 0)} rows`;
+    const exportLabel = `${options.format === 'csv' ? `csv, ${options.encoding}` : options.format}${presetLabel}`;
+    const skippedCount = report.filter(entry => entry.status === 'skipped').length;
+    const skippedLabel = skippedCount > 0 ? ` (${skippedCount} skipped)` : '';
+    const baselineLabel = baselineData ? ` (${outputData.length - 1 - totalRows} from baseline)` : '';
+    console.log(`✓ ${files.length - failedFiles.length - skippedCount}/${files.length} files${skippedLabel}, ${totalRows} rows${baselineLabel}, ${issues.length} issues, ${fills.length} filled cells, ${elapsedTime.toFixed(0)}ms → ${outputPath} (${exportLabel})`);
+    if (simulation) {
+        console.log(`✓ Simulation ${simulation.current.name} → ${simulation.candidate.name}: ${simulation.changes.length} changed rows in ${simulation.products.filter(entry => entry.changed > 0).length} products`);
+    }
+
+    if (requirements) {
+        const conflictLabel = requirements.unitConflicts.length > 0 ? ` (${requirements.unitConflicts.length} with several units)` : '';
+        console.log(`✓ Material requirements for ${requirements.builds.length} product versions: ${requirements.materials.length} materials${conflictLabel}, ${requirements.sysCpns.length} SYS_CPN`);
+    }
+
+    failedFiles.forEach(({ name, error }) => {
+        console.error(`✗ ${name}: ${error.message}`);
+    });
+
+    return failedFiles.length > 0 ? 1 : 0;
+};
+
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+        console.error(`✗ ${error.message}`);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,1171 @@
+/**
+ * XLS 合併核心流程 (Consolidation Core)
+ * 由 index.html 與 cli.js 共用，確保瀏覽器與命令列輸出一致
+ * Shared by index.html and cli.js so browser and CLI produce identical output
+ *
+ * 依賴全域 (Globals required):
+ *   - translations / currentLanguage / formatMessage / formatDateTime (i18n.js)
+ *   - BOMHierarchyProcessor (bom_processor.js)
+ *   - activeRuleProfile、resolveProductRules、formatPriorityChain (rule-profiles.js)、simulateRuleProfiles (rule-simulation.js)
+ *   - whereUsedIndex (where-used.js)
+ *   - detectEncoding、getEncodingOverride (encoding-detection.js)
+ *   - applySchemaProfile、findCanonicalColumn、orderCanonicalColumns (schema-profiles.js)、getExtraFieldNames (filename-templates.js)、applyFillRules (fill-rules.js)
+ *   - Papa (papaparse)、XLSX (SheetJS)
+ */
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * 應用程式配置物件
+ * Application configuration object
+ */
+const CONFIG = {
+    /**
+     * 檔案解碼格式列表（評分相同時的優先順序，見 encoding-detection.js）
+     * File decoding formats (tie-break order when scores are equal, see encoding-detection.js)
+     * Big5 優先用於處理傳統繁體中文 XLS 檔案；UTF-16 只在有 BOM 或交錯的 0x00 位元組時列入候選
+     */
+    DECODING_FORMATS: ['Big5', 'UTF-8', 'GBK', 'GB18030', 'UTF-16LE', 'UTF-16BE'],
+
+    /**
+     * 可處理的輸入檔副檔名（實際格式依檔案開頭的 magic bytes 判斷，與副檔名無關）
+     * Accepted input extensions (the actual format is detected from magic bytes, not the extension)
+     * ZSDR392 匯出的 .xls 其實是文字檔；在 Excel 另存後會變成 BIFF8 (.xls) 或 OOXML (.xlsx) 活頁簿
+     */
+    INPUT_EXTENSIONS: ['.xls', '.xlsx', '.csv', '.txt'],
+
+    /**
+     * 可解壓的壓縮檔副檔名（由 archive-handler.js 的 libarchive 處理，壓縮檔內的壓縮檔會遞迴解壓）
+     * Archive extensions extracted by archive-handler.js (nested archives are extracted recursively)
+     */
+    ARCHIVE_EXTENSIONS: ['.zip', '.7z', '.rar', '.tar', '.tar.gz', '.tgz'],
+
+    /**
+     * 需要轉換為數字的欄位關鍵字（部分匹配）
+     * Header keywords for numeric conversion (partial match)
+     * 欄位名稱包含這些關鍵字將被轉換為數字
+     */
+    NUMERIC_HEADERS_INCLUDE: ['usg', 'price', 'qty'],
+
+    /**
+     * 需要轉換為數字的欄位名稱（完全匹配）
+     * Header names for numeric conversion (exact match)
+     */
+    NUMERIC_HEADERS_EXACT: ['lv'],
+
+    /**
+     * 需要格式化為字串 ID 的欄位
+     * Headers to format as string IDs
+     * 這些欄位的數字會去除前導零
+     */
+    STRING_ID_HEADERS: ['product', 'part number', 'material'],
+
+    /**
+     * 日期欄位的關鍵字
+     * Date header keywords
+     * 目前用於識別版本和日期欄位
+     */
+    DATE_HEADER_KEYWORDS: ['date', 'version'],
+
+    /**
+     * SYS_CPN 追蹤欄位（處理選項 trace 啟用時輸出於 Ttl. Usage 之後）
+     * SYS_CPN trace columns (appended after Ttl. Usage when the trace option is on)
+     */
+    TRACE_HEADERS: ['SYS_CPN Rule', 'SYS_CPN Path', 'Usage Factors'],
+
+    /**
+     * 'Issues' 工作表標題列（BOMHierarchyProcessor.validate 的結果）
+     * 'Issues' sheet headers (results of BOMHierarchyProcessor.validate)
+     */
+    ISSUES_HEADERS: ['File', 'LN', 'Severity', 'Message'],
+
+    /**
+     * 'Fills' 工作表標題列（欄位填充記錄，見 fill-rules.js）
+     * 'Fills' sheet headers (fill log, see fill-rules.js)
+     */
+    FILLS_HEADERS: ['File', 'LN', 'Column', 'Method', 'Value', 'Source LN'],
+
+    /**
+     * 'Files' 工作表標題列（每個檔案的處理報告；耗時只顯示於畫面表格，不輸出至活頁簿，見 buildFileReportRows）
+     * 'Files' sheet headers (per-file processing report)
+     */
+    FILES_HEADERS: ['File', 'Status', 'Encoding', 'Confidence', 'Schema', 'Rows', 'Product', 'Version', 'Elapsed (ms)', 'Error', 'Reason'],
+
+    /**
+     * 合併策略（同一產品有多個版本時，見 findSupersededFiles）
+     * Consolidation policies for multiple versions of the same product
+     * - all：保留所有檔案
+     * - latest-product：每個產品只保留最新版本
+     * - latest-product-plant：每個產品 + Plant Code 只保留最新版本
+     */
+    DEDUP_POLICIES: ['all', 'latest-product', 'latest-product-plant'],
+
+    /**
+     * 預設檔名範本（依順序使用第一個相符的範本，見 parseFilename 與 filename-templates.js）
+     * Default filename templates (the first matching template wins)
+     * - 標準格式：PRODUCT_ID_YYYYMMDDHHMMSS（11字元產品ID + 14位時間戳）
+     * - 簡化格式：以底線分割，第一段為產品，第二段的第一組數字為版本
+     */
+    FILENAME_TEMPLATES: [
+        '(?<product>[\\w\\d]{11})_(?<version>\\d{14})',
+        '^(?<product>[^_]*)(?:_[^_\\d]*(?<version>\\d+))?'
+    ],
+
+    /**
+     * 固定模式匹配規則
+     * Fixed pattern matching rule
+     * 用於 BOM 層次結構處理器識別特定元件
+     * 作為內建 Default 規則設定檔的值（見 rule-profiles.js）
+     */
+    FIXED_PATTERN: "45|43|64|X75|PK37B|X66|36|PP|AJ",
+    /**
+     * 特殊 LV 規則配置（v2.6.0）
+     * Special LV rules configuration (v2.6.0)
+     *
+     * 格式 (Format): {lv: number, prefix: string}
+     * - lv: 層級閾值
+     * - prefix: 元件前綴（支持 | 分隔多個前綴）
+     *
+     * 規則說明 (Rule description):
+     * - 當元件前綴匹配且 LV <= 設定值時，返回自身
+     * - 當元件前綴匹配且 LV > 設定值時，向上尋找父層
+     * - lv 為數字時 operator 為 <=；也可設定 '<3'、'=2'、'>=3'、'2-4' 等條件（見 BOMHierarchyProcessor.parseLvCondition）
+     * - prefix 支持使用 | 分隔多個前綴，實現 LV 群組；! 開頭為排除前綴，/.../ 為正規表達式
+     *
+     * 範例 (Example):
+     * {lv: 2, prefix: 'DCS|DC02'} 表示：
+     * - LV 1-2 的 DCS 或 DC02 元件返回自身
+     * - LV 3+ 的 DCS 或 DC02 元件向上尋找
+     */
+    SPECIAL_LV_RULES: [
+        {lv: 2, prefix: 'DCS|DC28|DC02|HG|EC|FH|AM|MA|AP|FA'}
+    ],
+    /**
+     * 優先順序鏈（v2.15.0）
+     * Priority chains (v2.15.0)
+     *
+     * 每條鏈由高至低排列 Material 比對條件（語法同 SPECIAL_LV_RULES 的 prefix）
+     * 符合 FIXED_PATTERN 的料號向上查找時，改用同一條鏈中優先度較高的上階料號
+     *
+     * 範例 (Example):
+     * ['45', '43'] 表示 43 料號向上找到 45 時返回 45（原本寫死的 43→45 行為）
+     * ['45', '43', '64'] 表示 45 優先於 43，43 優先於 64
+     */
+    PRIORITY_CHAINS: [
+        ['45', '43']
+    ],
+    /**
+     * 預設欄位填充規則（見 fill-rules.js）
+     * Default column fill rules (see fill-rules.js)
+     *
+     * 格式 (Format): {column: 標準欄位名稱, methods: ['forward' | 'back' | 'ancestor' | 'filename:<群組>', ...]}
+     * - 依順序套用，每個方法只填入前面的方法仍未填入的空白儲存格
+     * - 介面或 CLI 設定的規則依欄位取代這裡的規則
+     *
+     * Plant Code：以上下最近的值填補空白；檔案中沒有任何 Plant Code 時使用檔名範本擷取的 plant
+     */
+    FILL_RULES: [
+        {column: 'Plant Code', methods: ['forward', 'back', 'filename:plant']}
+    ]
+};
+
+// ##################################################################################################################################################
+// 工具函數區塊 (Utility Functions)
+// ##################################################################################################################################################
+
+/**
+ * 解析檔案名稱，提取產品代碼、版本號與其他欄位
+ * Parse filename to extract product code, version number and extra fields
+ *
+ * @param {string} filename - 檔案名稱
+ * @param {Array<string>|null} templates - 具名群組的正規表達式範本（預設 CONFIG.FILENAME_TEMPLATES，見 filename-templates.js）
+ * @returns {Object} {product: string, version: string, plant: string, extra: Object, template: number}
+ *          version 只保留數字；extra 為其他具名群組的值；template 為相符範本的索引（都不相符為 -1）
+ *
+ * 預設支援格式 (Default formats):
+ * - 標準格式: PRODUCT_ID_YYYYMMDDHHMMSS.xls (11字元產品ID + 14位時間戳)
+ * - 簡化格式: PRODUCT_VERSION.xls
+ *
+ * 壓縮檔內的檔名含路徑（例如 'inner.zip/BOM/ABC12345678_20260115083000.xls'），只解析最後一段（不含副檔名）
+ */
+const parseFilename = (filename, templates = null) => {
+    const baseName = filename.split(/[\\/]/).pop().replace(/\.[^/.]+$/, '');
+    const patterns = templates || CONFIG.FILENAME_TEMPLATES;
+
+    for (let i = 0; i < patterns.length; i++) {
+        const match = baseName.match(new RegExp(patterns[i]));
+        if (!match) continue;
+
+        const { product, version, plant, ...extra } = match.groups || {};
+        Object.keys(extra).forEach(name => {
+            extra[name] = extra[name] ?? '';
+        });
+        return {
+            product: product || '',
+            version: (version || '').replace(/\D/g, ''),
+            plant: plant || '',
+            extra,
+            template: i
+        };
+    }
+
+    return { product: '', version: '', plant: '', extra: {}, template: -1 };
+};
+
+/**
+ * 安全地將值轉換為數字
+ * Safely convert value to number
+ *
+ * @param {*} value - 要轉換的值
+ * @returns {number|string|null} 轉換後的數字、原字串或null
+ *
+ * 處理邏輯 (Processing logic):
+ * 1. 已是數字 → 直接返回
+ * 2. 字串 → 清除千分位逗號、處理多餘小數點後轉換
+ * 3. 其他 → 返回null
+ */
+const safeToNumber = value =>
+    typeof value === 'number' ? value :
+    typeof value === 'string' ?
+    (() => {
+        // 清除空白、千分位逗號，並處理錯誤的多重小數點（如 1.234.56 → 1234.56）
+        const clean = value.trim().replace(/,/g, '').replace(/(\d+)\.(\d+)\.(\d+)/, '$1$2.$3');
+        const num = parseFloat(clean);
+        return clean ? (isNaN(num) ? clean : num) : null;
+    })() : null;
+
+/**
+ * 格式化產品代碼
+ * Format product code
+ *
+ * @param {string|number} product - 產品代碼
+ * @returns {string} 格式化後的產品代碼
+ *
+ * 純數字產品代碼會去除前導零 (Remove leading zeros from numeric product codes)
+ */
+const formatProduct = product => {
+    if (/^\d+$/.test(product)) {
+        return Number(product).toString();
+    } else {
+        return product;
+    }
+};
+
+/**
+ * 格式化日期字串
+ * Format date string
+ *
+ * @param {string} dateString - YYYYMMDD 格式的日期字串
+ * @param {boolean} [localized] - 是否依目前語言顯示（訊息用，見 formatDateTime）；Version 欄位與鍵值一律使用 YYYY/M/D
+ * @returns {string} YYYY/M/D 格式的日期（月和日去除前導零）
+ */
+const formatDate = (dateString, localized = false) => {
+    if (!dateString || dateString.length < 8) return dateString;
+    const [year, month, day] = [dateString.slice(0, 4), dateString.slice(4, 6), dateString.slice(6, 8)].map(Number);
+    if (localized && [year, month, day].every(Number.isInteger)) {
+        return formatDateTime(Date.UTC(year, month - 1, day), { year: 'numeric', month: 'numeric', day: 'numeric', timeZone: 'UTC' });
+    }
+    return `${dateString.slice(0, 4)}/${parseInt(dateString.slice(4, 6))}/${parseInt(dateString.slice(6, 8))}`;
+};
+
+/**
+ * 產生 Product / Version 組合的鍵值
+ * Build the key of a Product / Version pair
+ *
+ * @param {*} product - 格式化後的產品代碼（見 formatProduct）
+ * @param {*} version - 格式化後的版本（YYYY/M/D，見 formatDate）
+ * @returns {string}
+ */
+const productVersionKey = (product, version) => `${String(product ?? '').trim()}\u0000${String(version ?? '').trim()}`;
+
+/**
+ * 比較 parseFilename 取得的版本時間戳
+ * Compare version timestamps extracted by parseFilename
+ *
+ * @param {string} a - 版本（YYYYMMDDHHMMSS，可能只有日期部分或為空）
+ * @param {string} b - 版本
+ * @returns {number} a 較新為正數、較舊為負數、相同為 0
+ *
+ * 只有日期的版本視為當天 00:00:00；沒有版本視為最舊
+ */
+const compareVersions = (a, b) => {
+    const left = (a || '').padEnd(14, '0');
+    const right = (b || '').padEnd(14, '0');
+    return left < right ? -1 : left > right ? 1 : 0;
+};
+
+// ##################################################################################################################################################
+// 檔案處理函數區塊 (File Processing Functions)
+// ##################################################################################################################################################
+
+/**
+ * 處理階段之間讓出執行緒並檢查是否已取消
+ * Yield between processing stages and stop if the job was cancelled
+ *
+ * @param {AbortSignal|null} signal - 取消訊號（可選，沒有時不讓出執行緒）
+ * @returns {Promise<void>}
+ * @throws {Error} 已取消時拋出錯誤（processFile 將檔案記錄為 cancelled）
+ *
+ * 讓出執行緒後 Worker 才能收到取消訊息，因此處理單一大型檔案時也能在解碼、解析與 BOM 處理之間取消
+ */
+const checkCancelled = async (signal) => {
+    if (!signal) return;
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (signal.aborted) {
+        throw new Error(translations[currentLanguage].processCancelled);
+    }
+};
+
+/**
+ * 解碼檔案內容為文字
+ * Decode file content to text
+ *
+ * @param {ArrayBuffer} arrayBuffer - 檔案的二進位內容
+ * @param {string|null} [forcedEncoding] - 指定的編碼（可選，不偵測；無法解碼的位元組以 U+FFFD 取代）
+ * @returns {Object} {decodedContent: string, encoding: string, confidence: number|null, source: 'bom'|'detected'|'forced'}
+ *          解碼後的內容、使用的編碼、偵測信心（0-1，指定編碼時為 null）與編碼來源
+ * @throws {Error} 當所有編碼格式都無法解碼時拋出錯誤
+ *
+ * 編碼偵測：BOM 優先，其次為 CONFIG.DECODING_FORMATS 中評分最高的編碼（見 detectEncoding）
+ */
+const decodeFileContent = (arrayBuffer, forcedEncoding = null) => {
+    const content = new Uint8Array(arrayBuffer);
+    const decoded = forcedEncoding
+        ? { decodedContent: new TextDecoder(forcedEncoding).decode(content), encoding: forcedEncoding, confidence: null, source: 'forced' }
+        : detectEncoding(content);
+
+    if (!decoded || decoded.decodedContent.trim().length === 0) {
+        throw new Error(formatMessage('decodeFailed'));
+    }
+
+    console.log(formatMessage('consoleDecoded', { encoding: decoded.encoding, source: decoded.source }));
+    return decoded;
+};
+
+/**
+ * 依檔案開頭的 magic bytes 判斷檔案格式
+ * Detect the file format from its leading magic bytes
+ *
+ * @param {ArrayBuffer} arrayBuffer - 檔案的二進位內容
+ * @returns {string} 'biff'（OLE2 複合文件，Excel 97-2003）、'ooxml'（ZIP 容器，Excel 2007+）或 'text'（分隔符號文字）
+ */
+const detectFileFormat = (arrayBuffer) => {
+    const bytes = new Uint8Array(arrayBuffer, 0, Math.min(arrayBuffer.byteLength, 8));
+    const startsWith = signature => signature.every((byte, i) => bytes[i] === byte);
+
+    if (startsWith([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return 'biff';
+    if (startsWith([0x50, 0x4B, 0x03, 0x04])) return 'ooxml';
+    return 'text';
+};
+
+/**
+ * 選擇活頁簿中要處理的工作表
+ * Pick the worksheet to process from a workbook
+ *
+ * @param {Object} workbook - XLSX.read 的結果
+ * @param {string} [sheetName] - 指定的工作表名稱（不分大小寫）；未指定時自動選擇
+ * @param {string|Object} [schema] - 欄位結構設定檔（見 schema-profiles.js，比對欄位別名）
+ * @returns {string} 工作表名稱
+ * @throws {Error} 指定的工作表不存在時拋出錯誤
+ *
+ * 自動選擇：第一個標題列同時包含 LV 與 Unit Usg（含別名）的工作表，都沒有時使用第一個工作表
+ */
+const selectWorksheet = (workbook, sheetName, schema) => {
+    if (sheetName) {
+        const match = workbook.SheetNames.find(name => name.toLowerCase() === sheetName.trim().toLowerCase());
+        if (!match) {
+            throw new Error(formatMessage('worksheetNotFound', { name: sheetName, available: workbook.SheetNames.join(', ') }));
+        }
+        return match;
+    }
+
+    const bomSheet = workbook.SheetNames.find(name => {
+        const [headers = []] = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, sheetRows: 1 });
+        return findCanonicalColumn(headers, 'LV', schema) !== -1 && findCanonicalColumn(headers, 'Unit Usg', schema) !== -1;
+    });
+    return bomSheet || workbook.SheetNames[0];
+};
+
+/**
+ * 讀取 BIFF8 / OOXML 活頁簿為資料陣列
+ * Read a BIFF8 / OOXML workbook into a data array
+ *
+ * @param {ArrayBuffer} arrayBuffer - 檔案的二進位內容
+ * @param {string} [sheetName] - 指定的工作表名稱（見 selectWorksheet）
+ * @param {string|Object} [schema] - 欄位結構設定檔（見 selectWorksheet）
+ * @returns {Object} {data: Array<Array<string>>, sheetName: string}
+ * @throws {Error} 活頁簿沒有工作表或指定的工作表不存在時拋出錯誤
+ *
+ * 儲存格一律轉為字串，與文字檔經 Papa.parse 的結果相同，後續清洗流程不需區分來源
+ * （使用原始值而非顯示格式，避免長料號被顯示為科學記號）
+ */
+const readWorkbookData = (arrayBuffer, sheetName, schema) => {
+    const workbook = XLSX.read(new Uint8Array(arrayBuffer), { type: 'array' });
+    if (workbook.SheetNames.length === 0) {
+        throw new Error(formatMessage('workbookEmpty'));
+    }
+
+    const selected = selectWorksheet(workbook, sheetName, schema);
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[selected], { header: 1, raw: true, defval: '', blankrows: false });
+    return {
+        data: rows.map(row => row.map(cell => String(cell ?? ''))),
+        sheetName: selected
+    };
+};
+
+/**
+ * 讀取輸入檔的原始資料列（依 magic bytes 判斷為活頁簿或文字檔）
+ * Read the raw rows of an input file (workbook or text, detected from magic bytes)
+ *
+ * @param {File} file - 輸入檔
+ * @param {string} [sheetName] - 活頁簿要讀取的工作表名稱（見 selectWorksheet）
+ * @param {string|Object} [schema] - 欄位結構設定檔（見 selectWorksheet）
+ * @param {string|null} [forcedEncoding] - 文字檔指定的編碼（可選，見 decodeFileContent）
+ * @param {AbortSignal|null} [signal] - 取消訊號（可選，於解碼與解析之前檢查，見 checkCancelled）
+ * @returns {Promise<Object>} {data: Array<Array<string>>, encoding: string, confidence: number|null}
+ *          encoding 為文字檔使用的編碼（BOM 或指定時註明來源，例如 'UTF-16LE (BOM)'、'GBK (forced)'），
+ *          活頁簿則為格式與工作表，例如 'XLSX [BOM]'；confidence 為偵測信心（BOM 為 1，指定編碼與活頁簿為 null）
+ * @throws {Error} 解碼失敗、工作表不存在或已取消時拋出錯誤
+ */
+const readInputData = async (file, sheetName, schema, forcedEncoding = null, signal = null) => {
+    const arrayBuffer = await file.arrayBuffer();
+    const format = detectFileFormat(arrayBuffer);
+    await checkCancelled(signal);
+
+    if (format === 'text') {
+        const decoded = decodeFileContent(arrayBuffer, forcedEncoding);
+        await checkCancelled(signal);
+        const data = Papa.parse(decoded.decodedContent, {
+            header: false,
+            skipEmptyLines: true,
+            dynamicTyping: false
+        }).data;
+        return {
+            data,
+            encoding: decoded.source === 'detected' ? decoded.encoding : `${decoded.encoding} (${decoded.source === 'bom' ? 'BOM' : 'forced'})`,
+            confidence: decoded.source === 'forced' ? null : Math.round(decoded.confidence * 100) / 100
+        };
+    }
+
+    const workbook = readWorkbookData(arrayBuffer, sheetName, schema);
+    // 活頁簿沒有文字編碼，報告中記錄格式與工作表
+    return { data: workbook.data, encoding: `${format === 'biff' ? 'XLS' : 'XLSX'} [${workbook.sheetName}]`, confidence: null };
+};
+
+/**
+ * 讀取輸入檔的 Plant Code（第一個非空白值，與預設填充規則的結果相同）
+ * Read the Plant Code of an input file (its first non-blank value)
+ *
+ * @param {File} file - 輸入檔
+ * @param {string} [sheetName] - 活頁簿要讀取的工作表名稱
+ * @param {string|Object} [schema] - 欄位結構設定檔（Plant Code 欄位依別名比對）
+ * @param {string|null} [forcedEncoding] - 文字檔指定的編碼（可選）
+ * @returns {Promise<string>} Plant Code，沒有 Plant Code 欄位或全部空白時返回空字串
+ */
+const readPlantCode = async (file, sheetName, schema, forcedEncoding = null) => {
+    const { data } = await readInputData(file, sheetName, schema, forcedEncoding);
+    const plantCodeIndex = findCanonicalColumn(data[0] || [], 'Plant Code', schema);
+    if (plantCodeIndex === -1) return '';
+
+    const row = data.find((r, i) => i > 0 && r[plantCodeIndex] && String(r[plantCodeIndex]).trim() !== '');
+    return row ? String(row[plantCodeIndex]).trim() : '';
+};
+
+/**
+ * 查找資料欄位索引
+ * Find column indices for data processing
+ *
+ * @param {Array<string>} headers - 標題列陣列
+ * @returns {Object} 包含各種欄位索引的物件
+ *
+ * 返回欄位 (Returned fields):
+ * - lvIndex: LV欄位索引（必要）
+ * - unitUsgIndex: Unit Usg欄位索引（必要）
+ * - lnIndex: LN欄位索引
+ * - materialIndex: Material欄位索引
+ * - partNumberIndex: Part Number欄位索引
+ * - numericColumnIndices: 所有數字欄位索引陣列
+ * - stringColumnIndices: 所有字串ID欄位索引陣列
+ */
+const findColumnIndices = (headers) => {
+    const trimmedHeaders = headers.map(h => h.trim());
+
+    // 查找必要欄位索引
+    const lvIndex = trimmedHeaders.findIndex(h => h.toLowerCase() === 'lv');
+    const unitUsgIndex = trimmedHeaders.findIndex(h => h.toLowerCase() === 'unit usg');
+    const lnIndex = trimmedHeaders.findIndex(h => h.toLowerCase() === 'ln');
+    const materialIndex = trimmedHeaders.findIndex(h => h.toLowerCase() === 'material');
+    const partNumberIndex = trimmedHeaders.findIndex(h => h.toLowerCase() === 'part number');
+
+    // 查找數字和字串欄位索引
+    const numericColumnIndices = [];
+    const stringColumnIndices = [];
+
+    trimmedHeaders.forEach((header, index) => {
+        const h = header.toLowerCase();
+
+        // 判斷是否為數字欄位
+        if (CONFIG.NUMERIC_HEADERS_INCLUDE.some(kw => h.includes(kw)) ||
+            CONFIG.NUMERIC_HEADERS_EXACT.includes(h)) {
+            numericColumnIndices.push(index);
+        }
+
+        // 判斷是否為字串ID欄位
+        if (CONFIG.STRING_ID_HEADERS.includes(h)) {
+            stringColumnIndices.push(index);
+        }
+    });
+
+    return {
+        lvIndex,
+        unitUsgIndex,
+        lnIndex,
+        materialIndex,
+        partNumberIndex,
+        numericColumnIndices,
+        stringColumnIndices,
+        trimmedHeaders
+    };
+};
+
+/**
+ * 清洗和轉換資料行
+ * Clean and transform data rows
+ *
+ * @param {Array<Array>} data - 原始資料陣列（含標題列）
+ * @param {Array<number>} numericIndices - 數字欄位索引陣列
+ * @param {Array<number>} stringIndices - 字串欄位索引陣列
+ *
+ * 處理內容 (Processing):
+ * - 數字欄位：轉換為數字類型，處理千分位和異常格式
+ * - 字串欄位：格式化產品代碼，去除前導零
+ */
+const cleanDataRows = (data, numericIndices, stringIndices) => {
+    // 從索引1開始，跳過標題列
+    for (let i = 1; i < data.length; i++) {
+        if (!data[i]) continue;
+
+        // 清洗數字欄位
+        numericIndices.forEach(colIndex => {
+            if (data[i][colIndex] != null) {
+                data[i][colIndex] = safeToNumber(data[i][colIndex]);
+            }
+        });
+
+        // 格式化字串欄位
+        stringIndices.forEach(colIndex => {
+            if (data[i][colIndex] != null) {
+                data[i][colIndex] = formatProduct(String(data[i][colIndex]));
+            }
+        });
+    }
+};
+
+/**
+ * 將資料陣列轉換為物件陣列
+ * Convert data array to array of objects
+ *
+ * @param {Array<Array>} data - 資料陣列（含標題列）
+ * @param {Array<string>} headers - 標題列
+ * @returns {Array<Object>} 物件陣列，每個物件代表一行資料
+ */
+const convertToDataObjects = (data, headers) => {
+    const dataObjects = [];
+
+    // 從索引1開始，跳過標題列
+    for (let i = 1; i < data.length; i++) {
+        const row = data[i];
+        const rowObj = {};
+
+        headers.forEach((header, idx) => {
+            rowObj[header] = row[idx];
+        });
+
+        dataObjects.push(rowObj);
+    }
+
+    return dataObjects;
+};
+
+/**
+ * 將檔案的輸出標題列加入共用標題列
+ * Register a file's output headers into the shared header row
+ *
+ * @param {Array<string>} fileHeaders - 此檔案的輸出標題列
+ * @param {Array<string>|null} sharedHeaders - 共用標題列（會被修改：第一個檔案採用其標題列，之後只加入新欄位）
+ * @returns {Array<number>|null} 共用標題列每個欄位在此檔案中的索引（-1 表示沒有此欄位），
+ *          不需重新排列時返回 null
+ */
+const alignOutputHeaders = (fileHeaders, sharedHeaders) => {
+    if (!sharedHeaders) return null;
+
+    // 重複的欄位名稱依出現順序分別對應（第 n 個 'Alt' 對應第 n 個 'Alt'）
+    const toKeys = headers => {
+        const seen = new Map();
+        return headers.map(header => {
+            const n = seen.get(header) || 0;
+            seen.set(header, n + 1);
+            return `${header}\u0000${n}`;
+        });
+    };
+    const fileKeys = toKeys(fileHeaders);
+    const sharedKeys = toKeys(sharedHeaders);
+
+    fileKeys.forEach((key, i) => {
+        if (!sharedKeys.includes(key)) {
+            sharedKeys.push(key);
+            sharedHeaders.push(fileHeaders[i]);
+        }
+    });
+
+    const order = sharedKeys.map(key => fileKeys.indexOf(key));
+    return order.length === fileKeys.length && order.every((index, i) => index === i) ? null : order;
+};
+
+/**
+ * 格式化輸出資料
+ * Format output data
+ *
+ * @param {Array<Object>} processedData - 處理後的資料物件陣列
+ * @param {Array<string>} headers - 原始標題列
+ * @param {string} product - 產品代碼
+ * @param {string} version - 版本號
+ * @param {boolean} isFirstFile - 是否為第一個檔案（決定是否包含標題列）
+ * @param {Array<string>|null} sharedHeaders - 所有檔案共用的標題列（可選，會被修改，見 alignOutputHeaders）
+ * @param {Object} extraColumns - 檔名範本擷取的額外欄位 {欄位名稱: 值}，輸出於 Product / Version 之後
+ * @returns {Array<Array>} 格式化後的輸出資料陣列
+ */
+const formatOutputData = (processedData, headers, product, version, isFirstFile, sharedHeaders = null, extraColumns = {}) => {
+    const trans = translations[currentLanguage];
+    const outputHeaders = [trans.productHeader, trans.versionHeader, ...Object.keys(extraColumns), ...headers];
+
+    // 檢查是否有 BOM 處理器新增的欄位
+    const hasSysCpn = processedData.length > 0 && processedData[0]['SYS_CPN'] !== undefined;
+    const hasTtlUsage = processedData.length > 0 && processedData[0]['Ttl. Usage'] !== undefined;
+    const hasTrace = processedData.length > 0 && processedData[0][CONFIG.TRACE_HEADERS[0]] !== undefined;
+
+    if (hasSysCpn) outputHeaders.push('SYS_CPN');
+    if (hasTtlUsage) outputHeaders.push('Ttl. Usage');
+    if (hasTrace) outputHeaders.push(...CONFIG.TRACE_HEADERS);
+
+    // 依欄位名稱對齊共用標題列（相同標題列時順序不變）
+    const columnOrder = alignOutputHeaders(outputHeaders, sharedHeaders);
+
+    // 第一個檔案需要包含標題列
+    const outputData = isFirstFile ? [sharedHeaders || outputHeaders] : [];
+
+    // 轉換每一行資料
+    for (let obj of processedData) {
+        const outputRow = [product, version, ...Object.values(extraColumns)];
+
+        headers.forEach(header => {
+            outputRow.push(obj[header] !== undefined ? obj[header] : null);
+        });
+
+        if (hasSysCpn) outputRow.push(obj['SYS_CPN']);
+        if (hasTtlUsage) outputRow.push(obj['Ttl. Usage']);
+        if (hasTrace) CONFIG.TRACE_HEADERS.forEach(header => outputRow.push(obj[header]));
+
+        outputData.push(columnOrder ? columnOrder.map(i => (i === -1 ? null : outputRow[i])) : outputRow);
+    }
+
+    return outputData;
+};
+
+/**
+ * 依合併策略找出被較新版本取代的檔案
+ * Find the files superseded by a newer version under the consolidation policy
+ *
+ * @param {Array<File>} files - 要處理的檔案列表
+ * @param {string} policy - 合併策略（CONFIG.DEDUP_POLICIES，預設 'all'）
+ * @param {Object} options - 處理選項（使用 filenameTemplates 解析檔名、sheet / schema 讀取 Plant Code、signal 中止讀取）
+ * @returns {Promise<Map<number, Object>>} 被取代檔案的索引 → 檔案處理報告（status: 'skipped'）
+ * @throws {Error} 不支援的合併策略
+ *
+ * 版本取自 parseFilename 的時間戳（見 compareVersions）：
+ * - 同一產品（latest-product-plant 時為產品 + Plant Code）只保留版本最新的檔案，版本相同時保留先出現的檔案
+ * - 無法從檔名解析產品的檔案一律保留
+ * - latest-product-plant 需先讀取每個檔案的 Plant Code，檔案中沒有時使用檔名範本擷取的 plant（與預設填充規則的結果相同）；
+ *   無法讀取的檔案一律保留（處理時會記錄為失敗）
+ */
+const findSupersededFiles = async (files, policy = 'all', options = {}) => {
+    if (!CONFIG.DEDUP_POLICIES.includes(policy)) {
+        throw new Error(formatMessage('unknownDedupPolicy', { policy, available: CONFIG.DEDUP_POLICIES.join(', ') }));
+    }
+    const superseded = new Map();
+    if (policy === 'all') {
+        return superseded;
+    }
+
+    // 依產品（或產品 + Plant Code）分組
+    const groups = new Map();
+    for (let i = 0; i < files.length; i++) {
+        if (options.signal?.aborted) break;
+
+        const { product, version, plant } = parseFilename(files[i].name, options.filenameTemplates);
+        if (!product) continue;
+
+        const entry = { index: i, product: formatProduct(product), version, plant: '' };
+        if (policy === 'latest-product-plant') {
+            try {
+                const file = await (files[i].getFile ? files[i].getFile() : files[i]);
+                entry.plant = await readPlantCode(file, options.sheet, options.schema, getEncodingOverride(options.encodings, file.name)) || plant;
+            } catch (error) {
+                console.warn(formatMessage('consolePlantCodeUnreadable', { file: files[i].name }), error.message);
+                continue;
+            }
+        }
+
+        const key = `${entry.product}\u0000${entry.plant}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    }
+
+    groups.forEach(entries => {
+        const latest = entries.reduce((a, b) => compareVersions(b.version, a.version) > 0 ? b : a);
+        entries.filter(entry => entry !== latest).forEach(entry => {
+            const plant = entry.plant ? formatMessage('reasonPlant', { plant: entry.plant }) : '';
+            const relation = compareVersions(entry.version, latest.version) === 0 ? 'reasonDuplicate' : 'reasonSuperseded';
+            superseded.set(entry.index, {
+                ...createFileReport(files[entry.index].name),
+                status: 'skipped',
+                product: entry.product,
+                version: formatDate(entry.version),
+                reason: formatMessage(relation, { file: files[latest.index].name, version: formatDate(latest.version, true), plant })
+            });
+        });
+    });
+
+    return superseded;
+};
+
+/**
+ * 找出 Product / Version 已存在的檔案（依檔名判斷，不讀取內容）
+ * Find the files whose Product / Version pair already exists (from the filename only)
+ *
+ * @param {Array<File>} files - 要處理的檔案列表
+ * @param {Set<string>} existingVersions - 已存在的鍵值（見 productVersionKey）
+ * @param {Array<string>|null} templates - 檔名範本（見 parseFilename）
+ * @returns {Map<number, Object>} 檔案索引 → 檔案處理報告（status: 'skipped'）
+ */
+const findExistingVersionFiles = (files, existingVersions, templates = null) => {
+    const existing = new Map();
+
+    files.forEach((file, index) => {
+        const { product, version } = parseFilename(file.name, templates);
+        const formattedProduct = formatProduct(product);
+        const formattedVersion = formatDate(version.split('.')[0]);
+        if (!existingVersions.has(productVersionKey(formattedProduct, formattedVersion))) return;
+
+        existing.set(index, {
+            ...createFileReport(file.name),
+            status: 'skipped',
+            product: formattedProduct,
+            version: formattedVersion,
+            reason: formatMessage('reasonInBaseline', { product: formattedProduct, version: formatDate(version.split('.')[0], true) })
+        });
+    });
+
+    return existing;
+};
+
+/**
+ * 處理檔案列表
+ * Process file list
+ *
+ * @param {Array<File>} files - 要處理的檔案列表
+ * @param {Array} consolidatedData - 合併資料陣列（會被修改）
+ * @param {Array<Object>|null} failedFiles - 失敗檔案收集陣列 {name, error}（可選，會被修改）
+ * @param {Object} options - 處理選項 {trace, sheet, schema, filenameTemplates, dedup, fillRules, issues, fills, simulation, report, strict, signal, onProgress}（見 convertFile、processFile）
+ *        - dedup: 合併策略（CONFIG.DEDUP_POLICIES，預設 'all'），被較新版本取代的檔案不處理，報告中記錄為 skipped
+ *        - existingVersions: 已存在的 Product / Version 鍵值（Set，見 productVersionKey），
+ *          對應的檔案不處理，報告中記錄為 skipped（增量合併，見 baseline-workbook.js）
+ *        - strict: 任一檔案失敗時拋出錯誤，不回傳部分合併結果（仍會處理完所有檔案以產生報告）
+ *        - signal: AbortSignal，取消後處理中的檔案於解碼、解析與 BOM 處理之間停止，不再處理剩餘檔案
+ *          （報告中記錄為 cancelled，見 checkCancelled），回傳已完成的部分
+ *        - onProgress: 進度回呼 {done, total, currentFile, rows, elapsedMs}，每個檔案開始與完成時呼叫
+ * @returns {Array} 更新後的合併資料陣列
+ * @throws {Error} strict 模式下有檔案處理失敗時拋出錯誤
+ *
+ * 各檔案的資料依欄位名稱對齊到共用的標題列（見 formatOutputData），
+ * 後續檔案多出的欄位加在最後，先前的資料列在該欄位為 null
+ * 混合不同欄位結構設定檔（例如 ZSDR392 與 CS12）時，標準欄位最後依 CANONICAL_HEADERS 順序排列（見 orderCanonicalColumns）
+ */
+const processFileList = async (files, consolidatedData, failedFiles = null, options = {}) => {
+    const failures = failedFiles || [];
+    const startTime = performance.now();
+    const reportProgress = (done, currentFile) => options.onProgress({
+        done,
+        total: files.length,
+        currentFile,
+        rows: Math.max(consolidatedData.length - 1, 0),
+        elapsedMs: performance.now() - startTime
+    });
+
+    const superseded = await findSupersededFiles(files, options.dedup, options);
+    if (options.existingVersions) {
+        findExistingVersionFiles(files, options.existingVersions, options.filenameTemplates).forEach((entry, index) => {
+            if (!superseded.has(index)) superseded.set(index, entry);
+        });
+    }
+
+    // 所有檔案共用的標題列（第一個檔案輸出的標題列即為此陣列）
+    const outputHeaders = [];
+    const schemas = new Set();
+    const fileOptions = { ...options, outputHeaders, schemas, extraFields: getExtraFieldNames(options.filenameTemplates) };
+
+    for (let i = 0; i < files.length; i++) {
+        if (options.signal?.aborted) {
+            if (options.report) {
+                files.slice(i).forEach(f => options.report.push({ ...createFileReport(f.name), status: 'cancelled' }));
+            }
+            break;
+        }
+
+        if (superseded.has(i)) {
+            console.log(formatMessage('consoleSkipped', { file: files[i].name, reason: superseded.get(i).reason }));
+            if (options.report) options.report.push(superseded.get(i));
+            if (options.onProgress) reportProgress(i + 1, files[i].name);
+            continue;
+        }
+
+        const file = await (files[i].getFile ? files[i].getFile() : files[i]);
+        if (options.onProgress) reportProgress(i, file.name);
+
+        // 第一個成功讀取標題列的檔案輸出標題列（前面的檔案失敗時也不會遺漏）
+        consolidatedData.push(...await processFile(file, outputHeaders.length === 0, failures, fileOptions));
+
+        if (options.onProgress) {
+            reportProgress(i + 1, file.name);
+            // 讓出執行緒，以便更新畫面並接收取消
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    // 標題列在處理期間增加欄位時，補齊較早的資料列
+    consolidatedData.forEach(row => {
+        while (row.length < outputHeaders.length) row.push(null);
+    });
+
+    // 混合不同欄位結構設定檔時，標準欄位依相同順序排列（單一設定檔時保持檔案原本的欄位順序）
+    if (schemas.size > 1) {
+        orderCanonicalColumns(consolidatedData, 2 + fileOptions.extraFields.length);
+    }
+
+    if (options.strict && failures.length > 0) {
+        throw new Error(formatMessage('strictFailed', { failed: failures.length, count: files.length, names: failures.map(f => f.name).join(', ') }));
+    }
+    return consolidatedData;
+};
+
+/**
+ * 建立規則設定工作表內容
+ * Build the rule profile sheet rows
+ *
+ * @param {Object} ruleProfile - 處理時使用的規則設定檔
+ * @returns {Array<Array>} 工作表資料陣列
+ */
+const buildRuleProfileRows = (ruleProfile) => [
+    ['Rule Profile', ruleProfile.name],
+    ['FIXED_PATTERN', ruleProfile.fixedPattern],
+    [],
+    ['SPECIAL_LV_RULES'],
+    ['LV', 'Prefix'],
+    ...ruleProfile.specialLvRules.map(rule => [rule.lv, rule.prefix]),
+    [],
+    ['PRIORITY_CHAINS'],
+    ...ruleProfile.priorityChains.map(chain => [formatPriorityChain(chain)]),
+    ...(ruleProfile.productOverrides.length > 0 ? [
+        [],
+        ['PRODUCT_OVERRIDES'],
+        ['Product', 'FIXED_PATTERN', 'SPECIAL_LV_RULES', 'PRIORITY_CHAINS'],
+        ...ruleProfile.productOverrides.map(override => [
+            override.product,
+            override.fixedPattern ?? '',
+            override.specialLvRules ? override.specialLvRules.map(rule => `${rule.lv}: ${rule.prefix}`).join('; ') : '',
+            override.priorityChains ? override.priorityChains.map(formatPriorityChain).join('; ') : ''
+        ])
+    ] : [])
+];
+
+/**
+ * 建立資料驗證問題工作表內容
+ * Build the data issues sheet rows
+ *
+ * @param {Array<Object>} issues - 驗證問題 {file, ln, severity, message}
+ * @returns {Array<Array>} 工作表資料陣列（含標題列）
+ */
+const buildIssueRows = (issues) => [
+    CONFIG.ISSUES_HEADERS,
+    ...issues.map(issue => [issue.file, issue.ln, issue.severity, issue.message])
+];
+
+/**
+ * 建立檔案處理報告工作表內容
+ * Build the per-file report sheet rows
+ *
+ * @param {Array<Object>} report - 檔案處理報告（見 processFile）
+ * @param {boolean} includeElapsed - 是否包含 'Elapsed (ms)' 欄位（只用於畫面表格；活頁簿不含耗時，相同輸入的輸出檔才會相同）
+ * @returns {Array<Array>} 工作表資料陣列（含標題列）
+ */
+const buildFileReportRows = (report, includeElapsed = false) => {
+    const rows = [
+        CONFIG.FILES_HEADERS,
+        ...report.map(entry => [
+            entry.name, entry.status, entry.encoding, entry.confidence, entry.schema, entry.rows,
+            entry.product, entry.version, entry.elapsedMs, entry.error, entry.reason
+        ])
+    ];
+    const elapsedColumn = CONFIG.FILES_HEADERS.indexOf('Elapsed (ms)');
+    return includeElapsed ? rows : rows.map(row => row.filter((value, i) => i !== elapsedColumn));
+};
+
+/**
+ * 建立輸出活頁簿
+ * Build output workbook
+ *
+ * @param {Array<Array>} data - 合併後的資料陣列
+ * @param {Object} ruleProfile - 處理時使用的規則設定檔（記錄於 'Rules' 工作表）
+ * @param {Array<Object>} extraSheets - 附加工作表 [{name, rows}]，依序加在資料工作表之後
+ * @returns {Object} SheetJS 活頁簿物件
+ *
+ * 瀏覽器下載與 CLI 共用，確保輸出檔案一致
+ */
+const buildWorkbook = (data, ruleProfile = activeRuleProfile, extraSheets = []) => {
+    const ws = XLSX.utils.aoa_to_sheet(data);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, translations[currentLanguage].bomDataSheet);
+    extraSheets.forEach(sheet => {
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(sheet.rows), sheet.name);
+    });
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(buildRuleProfileRows(ruleProfile)), 'Rules');
+    return wb;
+};
+
+/**
+ * 判斷檔名是否為可處理的輸入檔（CONFIG.INPUT_EXTENSIONS）
+ * Check whether a filename is a processable input file (CONFIG.INPUT_EXTENSIONS)
+ *
+ * @param {string} fileName - 檔案名稱
+ * @returns {boolean}
+ */
+const isInputFileName = (fileName) => {
+    const name = fileName.toLowerCase();
+    return CONFIG.INPUT_EXTENSIONS.some(ext => name.endsWith(ext));
+};
+
+/**
+ * 判斷檔名是否為可解壓的壓縮檔（CONFIG.ARCHIVE_EXTENSIONS）
+ * Check whether a filename is an extractable archive (CONFIG.ARCHIVE_EXTENSIONS)
+ *
+ * @param {string} fileName - 檔案名稱
+ * @returns {boolean}
+ */
+const isArchiveFileName = (fileName) => {
+    const name = fileName.toLowerCase();
+    return CONFIG.ARCHIVE_EXTENSIONS.some(ext => name.endsWith(ext));
+};
+
+// ##################################################################################################################################################
+// 主要檔案處理函數 (Main File Processing Function)
+// ##################################################################################################################################################
+
+/**
+ * 處理單個 XLS / XLSX / CSV / TXT 檔案（失敗時拋出錯誤）
+ * Convert single XLS / XLSX / CSV / TXT file (throws on failure)
+ *
+ * @param {File} file - 要處理的檔案物件
+ * @param {boolean} isFirstFile - 是否為第一個檔案（影響是否輸出標題列）
+ * @param {Object} options - 處理選項
+ *        - trace: 輸出 SYS_CPN 追蹤欄位（CONFIG.TRACE_HEADERS）
+ *        - issues: 資料驗證問題收集陣列 {file, ln, severity, message}（可選，會被修改）
+ *        - fillRules: 欄位填充規則（可選，依欄位取代 CONFIG.FILL_RULES，見 fill-rules.js）
+ *        - fills: 欄位填充記錄收集陣列 {file, ln, column, method, value, sourceLn}（可選，會被修改）
+ *        - simulation: 規則模擬結果（可選，會被修改，見 rule-simulation.js），以目前與候選規則設定檔處理相同資料，不影響輸出
+ *        - sheet: 活頁簿輸入要處理的工作表名稱（可選，未指定時自動選擇，見 selectWorksheet）
+ *        - schema: 欄位結構設定檔物件或名稱（可選，預設 'auto' 自動偵測，見 schema-profiles.js）
+ *        - filenameTemplates: 檔名範本（可選，預設 CONFIG.FILENAME_TEMPLATES，見 parseFilename）
+ *        - encodings: 文字檔指定的編碼 {檔案名稱: 編碼}（可選，'*' 套用於所有檔案，其他檔案自動偵測，見 getEncodingOverride）
+ *        - extraFields: 輸出於 Product / Version 之後的檔名欄位名稱（可選，由 processFileList 傳入，見 getExtraFieldNames）
+ *        - outputHeaders: 所有檔案共用的標題列（可選，會被修改，由 processFileList 傳入，見 formatOutputData）
+ *        - schemas: 使用的設定檔名稱集合（可選，會被修改，由 processFileList 傳入，見 orderCanonicalColumns）
+ *        - signal: AbortSignal（可選，於各處理階段之間檢查，見 checkCancelled）
+ * @param {Object|null} fileReport - 檔案處理報告（可選，會填入 encoding、confidence、schema、product、version）
+ * @returns {Array<Array>} 處理後的資料陣列
+ * @throws {Error} 解碼失敗或缺少必要欄位時拋出錯誤
+ *
+ * 處理流程 (Processing flow):
+ * 1. 讀取檔案內容，依 magic bytes 判斷格式（見 readInputData）
+ * 2. 活頁簿以 XLSX.read 讀取工作表；文字檔解碼後以 Papa.parse 解析
+ * 2.2 套用欄位結構設定檔：欄位別名改為標準欄位並檢查必要欄位（見 applySchemaProfile）
+ * 2.5 依欄位填充規則填補空白儲存格（見 applyFillRules）
+ * 3. 提取檔案元數據（產品代碼、版本）
+ * 4. 查找欄位索引
+ * 5. 清洗和轉換資料
+ * 6. 轉換為物件格式
+ * 7. 執行BOM層次結構處理
+ * 8. 格式化輸出資料
+ */
+const convertFile = async (file, isFirstFile, options = {}, fileReport = null) => {
+    const trans = translations[currentLanguage];
+
+    // ========== 步驟 1-2: 讀取檔案內容，依格式讀取活頁簿或解析文字資料 ==========
+    const { data, encoding, confidence } = await readInputData(file, options.sheet, options.schema, getEncodingOverride(options.encodings, file.name), options.signal);
+    await checkCancelled(options.signal);
+    if (fileReport) {
+        fileReport.encoding = encoding;
+        fileReport.confidence = confidence;
+    }
+
+    console.log(formatMessage('consoleFileRead', { file: file.name, encoding, rows: data.length }));
+
+    // 處理空檔案或只有標題列的情況（欄位名稱仍依別名標準化，以便與其他檔案對齊）
+    if (data.length <= 1) {
+        const headers = [trans.productHeader, trans.versionHeader, ...(options.extraFields || []),
+            ...mapHeaders(data[0] || [], options.schema && typeof options.schema === 'object' ? options.schema : SCHEMA_PROFILES[0])];
+        alignOutputHeaders(headers, options.outputHeaders);
+        return isFirstFile ? [options.outputHeaders || headers] : [];
+    }
+
+    // ========== 步驟 2.2: 套用欄位結構設定檔 ==========
+    // 欄位別名改為標準欄位、依設定檔轉換 LV 並補上 LV 0 行與 Part Number（需要檔名中的產品代碼）
+    const { product, version, plant, extra } = parseFilename(file.name, options.filenameTemplates);
+    const formattedProduct = formatProduct(product);
+    const profile = applySchemaProfile(data, options.schema, formattedProduct);
+    if (fileReport) fileReport.schema = profile.name;
+    if (options.schemas) options.schemas.add(profile.name);
+
+    // ========== 步驟 2.5: 欄位填充 ==========
+    // 依填充規則填補稀疏欄位的空白儲存格（預設：Plant Code 以上下最近的值填補，檔案中沒有時使用檔名的 plant）
+    const formattedVersion = formatDate(version.split('.')[0]);
+    applyFillRules(data, options.fillRules || null, { ...extra, product: formattedProduct, version: formattedVersion, plant },
+        file.name, options.fills || null);
+
+    // ========== 步驟 3: 提取檔案元數據 ==========
+    if (fileReport) Object.assign(fileReport, { product: formattedProduct, version: formattedVersion });
+
+    // ========== 步驟 4: 查找欄位索引 ==========
+    const columnInfo = findColumnIndices(data[0]);
+
+    // ========== 步驟 5: 清洗和轉換資料 ==========
+    cleanDataRows(data, columnInfo.numericColumnIndices, columnInfo.stringColumnIndices);
+
+    // ========== 步驟 6: 轉換為物件格式 ==========
+    const dataObjects = convertToDataObjects(data, columnInfo.trimmedHeaders);
+
+    // ========== 步驟 7: 執行 BOM 層次結構處理 ==========
+    await checkCancelled(options.signal);
+    let processedDataObjects = [];
+    let simulationRows = null; // 規則模擬時主處理的結果（含追蹤欄位），作為模擬的目前設定檔結果
+    if (dataObjects.length > 0 && typeof BOMHierarchyProcessor !== 'undefined') {
+        try {
+            // 套用符合此產品的覆寫規則（見 resolveProductRules）
+            const rules = resolveProductRules(activeRuleProfile, formattedProduct);
+            const processor = new BOMHierarchyProcessor(
+                dataObjects,
+                rules.fixedPattern,
+                rules.specialLvRules,
+                rules.priorityChains
+            );
+            // 規則模擬需要追蹤欄位（SYS_CPN Rule），主處理一併產生，模擬時不再重新處理目前設定檔
+            processedDataObjects = processor.process(Boolean(options.trace || options.simulation));
+            if (options.simulation) simulationRows = processedDataObjects;
+
+            // 將出現位置加入跨檔案 Where-used 索引（不保留處理器）
+            whereUsedIndex.addFile(file.name, formattedProduct, formattedVersion, processor);
+
+            // 資料完整性驗證
+            if (options.issues) {
+                processor.validate().forEach(issue => options.issues.push({ file: file.name, ...issue }));
+            }
+        } catch (error) {
+            console.warn(formatMessage('consoleProcessorFailed'), error);
+            processedDataObjects = dataObjects; // 發生錯誤時使用原始資料
+        }
+    } else {
+        processedDataObjects = dataObjects;
+    }
+
+    // 規則模擬：以目前與候選規則設定檔處理相同的資料（不影響輸出，模擬失敗時只記錄警告）
+    if (options.simulation && dataObjects.length > 0) {
+        try {
+            simulateRuleProfiles(options.simulation, dataObjects, formattedProduct, formattedVersion, simulationRows);
+        } catch (error) {
+            console.warn(formatMessage('consoleSimulationFailed', { file: file.name }), error);
+        }
+    }
+
+    // 模擬時主處理含追蹤欄位；未啟用追蹤時移除，輸出與不模擬時相同
+    if (simulationRows && !options.trace) {
+        simulationRows.forEach(row => CONFIG.TRACE_HEADERS.forEach(header => delete row[header]));
+    }
+
+    // ========== 步驟 8: 格式化輸出資料 ==========
+    return formatOutputData(
+        processedDataObjects,
+        columnInfo.trimmedHeaders,
+        formattedProduct,
+        formattedVersion,
+        isFirstFile,
+        options.outputHeaders,
+        Object.fromEntries((options.extraFields || []).map(name => [name, extra[name] ?? '']))
+    );
+};
+
+/**
+ * 建立檔案處理報告的初始內容
+ * Create an empty per-file report entry
+ *
+ * @param {string} name - 檔案名稱
+ * @returns {Object} {name, status, encoding, confidence, schema, rows, product, version, elapsedMs, error, reason}
+ */
+const createFileReport = (name) => ({
+    name, status: 'ok', encoding: null, confidence: null, schema: null, rows: 0,
+    product: null, version: null, elapsedMs: 0, error: null, reason: null
+});
+
+/**
+ * 處理單個 XLS 檔案
+ * Process single XLS file
+ *
+ * @param {File} file - 要處理的檔案物件
+ * @param {boolean} isFirstFile - 是否為第一個檔案（影響是否輸出標題列）
+ * @param {Array<Object>|null} failedFiles - 失敗檔案收集陣列（可選）
+ * @param {Object} options - 處理選項（見 convertFile）
+ *        - report: 檔案處理報告收集陣列（可選，會被修改），每個檔案一筆：
+ *          {name, status: 'ok'|'empty'|'failed'|'cancelled'|'skipped', encoding, confidence, schema, rows, product, version, elapsedMs, error, reason}
+ * @returns {Array<Array>} 處理後的資料陣列，失敗時返回空陣列
+ */
+const processFile = async (file, isFirstFile, failedFiles = null, options = {}) => {
+    const startTime = performance.now();
+    const fileReport = createFileReport(file.name);
+
+    try {
+        const rows = await convertFile(file, isFirstFile, options, fileReport);
+        // 第一個檔案的結果包含標題列
+        fileReport.rows = isFirstFile && rows.length > 0 ? rows.length - 1 : rows.length;
+        fileReport.status = fileReport.rows > 0 ? 'ok' : 'empty';
+        return rows;
+    } catch (error) {
+        // 處理期間取消：記錄為 cancelled（與尚未處理的檔案相同），不視為失敗
+        if (options.signal?.aborted) {
+            fileReport.status = 'cancelled';
+            return [];
+        }
+        // 原因已記錄於報告（Files 工作表、CLI 摘要），主控台只輸出訊息而不輸出堆疊
+        console.warn(formatMessage('consoleFileFailed', { file: file.name }), error.message);
+        fileReport.status = 'failed';
+        fileReport.error = error.message;
+        if (failedFiles) {
+            failedFiles.push({ name: file.name, error });
+        }
+        return [];
+    } finally {
+        fileReport.elapsedMs = Math.round(performance.now() - startTime);
+        if (options.report) {
+            options.report.push(fileReport);
+        }
+    }
+};
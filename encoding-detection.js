@@ -0,0 +1,189 @@
+/**
+ * 文字檔編碼偵測 (Encoding Detection)
+ * 依 BOM、UTF-16 位元組排列與解碼結果的合理程度選擇文字檔的編碼
+ *
+ * 偵測順序 (Detection order):
+ *   1. BOM：EF BB BF → UTF-8、FF FE → UTF-16LE、FE FF → UTF-16BE，直接使用（信心 1）
+ *   2. 其他情況以 CONFIG.DECODING_FORMATS 中每個可無錯誤解碼的編碼評分（見 scoreDecodedText），取最高分；
+ *      同分時依 DECODING_FORMATS 順序（Big5 優先，與舊版相同）
+ *      UTF-16 只在檔案開頭有交錯的 0x00 位元組時列入候選（見 detectUtf16Layout）
+ *
+ * 評分 (Scoring):
+ *   非 ASCII 字元依類別給分（常用中文字 1、其他中日韓統一表意文字 0.7、標點 0.8、假名與罕用字區 0.2 以下），
+ *   ASCII 控制字元為 0 分，平均值即為信心值（0-1）；純 ASCII 內容的信心為 1
+ *   例如 GBK 檔案以 Big5 解碼雖不會出錯，但多為罕用字，分數明顯低於 GBK
+ *
+ * 依賴全域 (Globals required):
+ *   - CONFIG (consolidator.js)
+ *   - formatMessage (i18n.js) - 主控台訊息
+ */
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * 評分時最多檢查的字元數
+ * Maximum number of characters scored per candidate encoding
+ */
+const ENCODING_SAMPLE_CHARS = 200000;
+
+/**
+ * 判斷 UTF-16 位元組排列時檢查的位元組數
+ * Number of leading bytes inspected for the UTF-16 byte layout
+ */
+const UTF16_SAMPLE_BYTES = 4096;
+
+/**
+ * 低於此信心值時在檔案處理報告中標示（建議確認或指定編碼）
+ * Confidence below which the file report flags the detected encoding
+ */
+const ENCODING_LOW_CONFIDENCE = 0.75;
+
+/**
+ * 常用中文字（繁體與簡體，含 BOM 報表常見用字）
+ * Frequently used Chinese characters (Traditional and Simplified, incl. common BOM terms)
+ */
+const COMMON_CJK_CHARS = new Set(
+    '的一是不了在人有我他這这個个們们中來来上大為为和國国地到以說说時时要就出會会可也你對对生能而子那得於于著着下自之年過过發发後后作裡里用道行所然家種种事成方多經经麼么去法學学如都同現现當当沒没動动面起看定天分還还進进好小部其些主樣样理心本前開开但因只從从想實实日者意無无力與与長长把機机十民第公此已工使情明性知全三又關关點点正業业外將将兩两高間间由問问很最重並并物手應应向頭头文體体新己制身果加月話话合回特代內内信表化給给世位次度門门任常先通原東东聲声提立及比員员解水名真論论處处走義义各入幾几口認认條条平系氣气題题活更別别打變变四總总何數数安少報报才結结反受目太量再建務务做接必場场件計计管期市直資资區区保至形便空決决展科司五基非則则白界達达光放強强即像難难完設设式色路記记南品告類类求據据程北邊边張张該该交規规萬万取拉格覺觉術术共確确傳传觀观清切讓让識识帶带導导運运步改收根造言聯联持組组每車车極极服快辦办往元證证近失轉转令準准始存未遠远台單单影具字流備备連连調调深商算質质團团集百需價价花華华石級级整離离況况請请技際际約约示復复息究線线似火斷断精滿满支視视消越器容照須须九增研寫写稱称企八功包片查輕轻易早除找裝装廣广顯显料號号版層层廠厂述說规格型電电阻感晶極二管接螺絲丝釘钉帽墊垫材板殼壳蓋盖標标籤签箱袋膠胶帶贴貼紙纸側侧底座架彈弹簧鋁铝鐵铁銅铜錫锡塑銲焊金屬属玻璃盒泡棉散熱热風风扇源供壓压插開关按鍵键屏幕液鏡镜模天喇叭麥麦克馬马達轴軸承齒齿輪轮主副母公頂顶左右側孔槽圓圆方長寬宽厚重量單位個件組套對片支條根粒卷米克毫升'
+);
+
+// ##################################################################################################################################################
+// 偵測函數區塊 (Detection Functions)
+// ##################################################################################################################################################
+
+/**
+ * 依 BOM 判斷編碼
+ * Detect the encoding from a byte-order mark
+ *
+ * @param {Uint8Array} bytes - 檔案內容
+ * @returns {string|null} 'UTF-8'、'UTF-16LE'、'UTF-16BE'，沒有 BOM 時返回 null
+ */
+const sniffByteOrderMark = (bytes) => {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'UTF-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'UTF-16LE';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'UTF-16BE';
+    return null;
+};
+
+/**
+ * 依 0x00 位元組的位置判斷沒有 BOM 的 UTF-16 排列
+ * Detect the byte order of UTF-16 content without a BOM from the position of 0x00 bytes
+ *
+ * @param {Uint8Array} bytes - 檔案內容
+ * @returns {string|null} 'UTF-16LE'、'UTF-16BE'，不像 UTF-16 時返回 null
+ *
+ * ASCII 字元在 UTF-16LE 為 'x 00'、UTF-16BE 為 '00 x'，因此 0x00 集中在奇數或偶數位置
+ */
+const detectUtf16Layout = (bytes) => {
+    const length = Math.min(bytes.length, UTF16_SAMPLE_BYTES) & ~1;
+    if (length === 0) return null;
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < length; i += 2) {
+        if (bytes[i] === 0) evenZeros++;
+        if (bytes[i + 1] === 0) oddZeros++;
+    }
+
+    const pairs = length / 2;
+    if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'UTF-16LE';
+    if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'UTF-16BE';
+    return null;
+};
+
+/**
+ * 非 ASCII 字元的合理程度
+ * Plausibility weight of a non-ASCII character
+ *
+ * @param {string} char - 字元
+ * @param {number} code - 字元碼位
+ * @returns {number} 0-1
+ */
+const getCharWeight = (char, code) => {
+    if (COMMON_CJK_CHARS.has(char)) return 1;
+    if (code >= 0x4E00 && code <= 0x9FFF) return 0.7;                        // 中日韓統一表意文字
+    if ((code >= 0x3000 && code <= 0x303F) || (code >= 0xFF01 && code <= 0xFF5E) ||
+        (code >= 0x2010 && code <= 0x206F) || (code >= 0x00B0 && code <= 0x00FF)) return 0.8;  // 標點、全形與 Latin-1
+    if ((code >= 0x3040 && code <= 0x30FF) || (code >= 0x2500 && code <= 0x25FF)) return 0.2;  // 假名、框線
+    return 0;                                                                  // 擴充區、相容字、私用區、控制字元等
+};
+
+/**
+ * 計算解碼結果的合理程度
+ * Score how plausible a decoded text is
+ *
+ * @param {string} text - 解碼後的文字
+ * @returns {number} 0-1，非 ASCII 字元與 ASCII 控制字元的平均分數；沒有這類字元時為 1
+ */
+const scoreDecodedText = (text) => {
+    let total = 0;
+    let score = 0;
+    let count = 0;
+
+    for (const char of text) {
+        if (++count > ENCODING_SAMPLE_CHARS) break;
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+            // Tab / 換行以外的控制字元（例如以單位元組編碼解讀 UTF-16 時的 0x00）
+            if (code < 0x20 && code !== 0x09 && code !== 0x0A && code !== 0x0D) total++;
+            continue;
+        }
+        total++;
+        score += getCharWeight(char, code);
+    }
+
+    return total === 0 ? 1 : score / total;
+};
+
+/**
+ * 偵測文字檔編碼並解碼
+ * Detect the encoding of a text file and decode it
+ *
+ * @param {Uint8Array} bytes - 檔案內容
+ * @returns {Object|null} {decodedContent, encoding, confidence: 0-1, source: 'bom'|'detected'}，沒有任何編碼可解碼時返回 null
+ */
+const detectEncoding = (bytes) => {
+    const bomEncoding = sniffByteOrderMark(bytes);
+    if (bomEncoding) {
+        // TextDecoder 會移除開頭的 BOM
+        return { decodedContent: new TextDecoder(bomEncoding).decode(bytes), encoding: bomEncoding, confidence: 1, source: 'bom' };
+    }
+
+    const utf16 = detectUtf16Layout(bytes);
+    const candidates = CONFIG.DECODING_FORMATS.filter(encoding => !encoding.startsWith('UTF-16') || encoding === utf16);
+
+    let best = null;
+    for (const encoding of candidates) {
+        let decodedContent;
+        try {
+            decodedContent = new TextDecoder(encoding, { fatal: true }).decode(bytes);
+        } catch (error) {
+            console.log(formatMessage('consoleDecodeFailed', { encoding, message: error.message }));
+            continue;
+        }
+        if (decodedContent.trim().length === 0) continue;
+
+        const confidence = scoreDecodedText(decodedContent);
+        console.log(formatMessage('consoleDecodeScore', { encoding, score: confidence.toFixed(2) }));
+        if (!best || confidence > best.confidence) {
+            best = { decodedContent, encoding, confidence, source: 'detected' };
+        }
+        if (confidence === 1) break;   // 不會有更高分，依優先順序使用
+    }
+
+    return best;
+};
+
+/**
+ * 取得檔案指定的編碼
+ * Get the encoding forced for a file
+ *
+ * @param {Object|null} overrides - {檔案名稱: 編碼}，'*' 套用於所有檔案
+ * @param {string} name - 檔案名稱
+ * @returns {string|null} 指定的編碼，未指定或為 'auto' 時返回 null
+ */
+const getEncodingOverride = (overrides, name) => {
+    const encoding = overrides ? overrides[name] ?? overrides['*'] : null;
+    return encoding && encoding !== 'auto' ? encoding : null;
+};
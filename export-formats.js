@@ -0,0 +1,293 @@
+/**
+ * 匯出格式 (Export Formats)
+ * 將合併結果序列化為 XLSX、CSV、JSON Lines，或依產品/版本分割為多個活頁簿並打包為 ZIP
+ *
+ * 格式 (Formats):
+ *   - xlsx：單一活頁簿（資料工作表 + 附加工作表 + 'Rules'，見 buildWorkbook；資料工作表名稱依目前語言，例如 'BOM Data'）
+ *   - csv：資料工作表的內容，UTF-8（含 BOM，Excel 可直接開啟）或 Big5（SAP / 舊系統重新匯入）
+ *   - jsonl：每行一個以標題列為鍵值的 JSON 物件（資料管線使用）
+ *   - split-zip：每個 Product / Version 一個活頁簿（資料工作表 + 'Rules'），
+ *     附加工作表（Files、Issues、Changes ...）另存為 _report.xlsx
+ *
+ * 注意：CSV 與 JSON Lines 只包含資料工作表，附加工作表與 'Rules' 僅在 xlsx / split-zip 中輸出
+ *
+ * 依賴全域 (Globals required):
+ *   - XLSX、Papa、JSZip（lib/）
+ *   - translations、currentLanguage、formatMessage (i18n.js)
+ *   - buildWorkbook (consolidator.js)、findHeaderIndex (bom-diff.js)
+ */
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * 支援的匯出格式：副檔名、MIME 類型與翻譯鍵值
+ * Supported export formats: extension, MIME type and translation key
+ */
+const EXPORT_FORMATS = {
+    'xlsx': { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', labelKey: 'exportFormatXlsx' },
+    'csv': { extension: 'csv', mimeType: 'text/csv', labelKey: 'exportFormatCsv' },
+    'jsonl': { extension: 'jsonl', mimeType: 'application/x-ndjson', labelKey: 'exportFormatJsonl' },
+    'split-zip': { extension: 'zip', mimeType: 'application/zip', labelKey: 'exportFormatSplitZip' }
+};
+
+/**
+ * CSV 可選的編碼（第一個為預設值）
+ * Selectable CSV encodings (the first one is the default)
+ */
+const CSV_ENCODINGS = ['UTF-8', 'Big5'];
+
+/**
+ * Big5 無法表示的字元以此替代（例如簡體字或 emoji）
+ * Replacement for characters Big5 cannot represent
+ */
+const BIG5_REPLACEMENT = 0x3F; // '?'
+
+/**
+ * 分割 ZIP 中附加工作表的活頁簿名稱
+ * Workbook holding the extra sheets inside the split ZIP
+ */
+const SPLIT_REPORT_NAME = '_report.xlsx';
+
+// ##################################################################################################################################################
+// 編碼區塊 (Encoding)
+// ##################################################################################################################################################
+
+/**
+ * Big5 反向對照表（字元 → 雙位元組），首次使用時由 TextDecoder('big5') 建立
+ * Reverse Big5 table (character → two-byte code), built lazily from TextDecoder('big5')
+ */
+let big5EncodeTable = null;
+
+/**
+ * 建立 Big5 反向對照表
+ * Build the reverse Big5 table
+ *
+ * 依 WHATWG Encoding 標準，編碼時不使用 0xA1 以前的 HKSCS 前導位元組；
+ * 同一字元有多個碼位時保留第一個
+ *
+ * @returns {Map<string, number>}
+ */
+const buildBig5EncodeTable = () => {
+    const table = new Map();
+    const decoder = new TextDecoder('big5');
+    const bytes = new Uint8Array(2);
+
+    for (let lead = 0xA1; lead <= 0xFE; lead++) {
+        for (let trail = 0x40; trail <= 0xFE; trail++) {
+            if (trail > 0x7E && trail < 0xA1) continue;
+            bytes[0] = lead;
+            bytes[1] = trail;
+            const char = decoder.decode(bytes);
+            // 略過未定義的碼位與解碼為兩個字元的組合字
+            if (char === '\uFFFD' || [...char].length !== 1 || table.has(char)) continue;
+            table.set(char, (lead << 8) | trail);
+        }
+    }
+
+    return table;
+};
+
+/**
+ * 將字串編碼為 Big5
+ * Encode a string as Big5
+ *
+ * @param {string} text - 文字
+ * @returns {Uint8Array} Big5 位元組；無法表示的字元以 '?' 替代
+ */
+const encodeBig5 = (text) => {
+    if (!big5EncodeTable) {
+        big5EncodeTable = buildBig5EncodeTable();
+    }
+
+    const bytes = new Uint8Array(text.length * 2);
+    let length = 0;
+    let unmapped = 0;
+
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+            bytes[length++] = code;
+            continue;
+        }
+        const big5 = big5EncodeTable.get(char);
+        if (big5 === undefined) {
+            bytes[length++] = BIG5_REPLACEMENT;
+            unmapped++;
+        } else {
+            bytes[length++] = big5 >> 8;
+            bytes[length++] = big5 & 0xFF;
+        }
+    }
+
+    if (unmapped > 0) {
+        console.warn(formatMessage('consoleBig5Unmapped', { count: unmapped }));
+    }
+
+    return bytes.subarray(0, length);
+};
+
+// ##################################################################################################################################################
+// 序列化區塊 (Serializers)
+// ##################################################################################################################################################
+
+/**
+ * 將活頁簿序列化為 .xlsx
+ * Serialize a workbook to .xlsx
+ *
+ * @param {Object} workbook - SheetJS 活頁簿物件
+ * @returns {ArrayBuffer}
+ */
+const writeXlsx = (workbook) => XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+
+/**
+ * 將資料陣列轉為 CSV 位元組
+ * Convert the data array to CSV bytes
+ *
+ * @param {Array<Array>} data - 合併後的資料陣列（含標題列）
+ * @param {string} encoding - 'UTF-8' 或 'Big5'
+ * @returns {Uint8Array}
+ */
+const buildCsv = (data, encoding = CSV_ENCODINGS[0]) => {
+    const csv = Papa.unparse(data, { newline: '\r\n' });
+
+    if (encoding === 'Big5') {
+        return encodeBig5(csv);
+    }
+    // UTF-8 加上 BOM，Excel 才會以 UTF-8 開啟
+    return new TextEncoder().encode('\uFEFF' + csv);
+};
+
+/**
+ * 將資料陣列轉為 JSON Lines 位元組（每行一個以標題列為鍵值的物件）
+ * Convert the data array to JSON Lines bytes (one object per row keyed by the headers)
+ *
+ * @param {Array<Array>} data - 合併後的資料陣列（含標題列）
+ * @returns {Uint8Array}
+ */
+const buildJsonLines = (data) => {
+    const [headers = [], ...rows] = data;
+    const lines = rows.map(row => {
+        const record = {};
+        headers.forEach((header, i) => {
+            record[header] = row[i] ?? null;
+        });
+        return JSON.stringify(record);
+    });
+    return new TextEncoder().encode(lines.map(line => line + '\n').join(''));
+};
+
+/**
+ * 將產品或版本轉為可用於檔名的字串
+ * Make a product or version value safe for use in a filename
+ *
+ * @param {*} value - Product 或 Version
+ * @returns {string} 例如 '2026/1/15' → '2026-1-15'
+ */
+const toFileNamePart = (value) =>
+    String(value ?? '').trim().replace(/\//g, '-').replace(/[\\:*?"<>|]/g, '_') || 'unknown';
+
+/**
+ * 依 Product / Version 分割資料，每組一個活頁簿並打包為 ZIP
+ * Split the data by Product / Version into one workbook each, bundled as a ZIP
+ *
+ * @param {Array<Array>} data - 合併後的資料陣列（含標題列）
+ * @param {Object} ruleProfile - 規則設定檔（每個活頁簿都附 'Rules' 工作表）
+ * @param {Array<Object>} extraSheets - 附加工作表 [{name, rows}]，存為 _report.xlsx
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} 找不到 Product / Version 欄位時拋出錯誤
+ */
+const buildSplitZip = async (data, ruleProfile, extraSheets = []) => {
+    const trans = translations[currentLanguage];
+    const [headers = [], ...rows] = data;
+    const productIndex = findHeaderIndex(headers, trans.productHeader);
+    const versionIndex = findHeaderIndex(headers, trans.versionHeader);
+    if (rows.length > 0 && (productIndex === -1 || versionIndex === -1)) {
+        throw new Error(formatMessage('splitMissingColumns', { product: trans.productHeader, version: trans.versionHeader }));
+    }
+
+    // 依首次出現的順序分組
+    const groups = new Map();
+    rows.forEach(row => {
+        const fileName = `${toFileNamePart(row[productIndex])}_${toFileNamePart(row[versionIndex])}.xlsx`;
+        if (!groups.has(fileName)) {
+            groups.set(fileName, [headers]);
+        }
+        groups.get(fileName).push(row);
+    });
+
+    // 直接傳入 XLSX.write 的 ArrayBuffer（CLI 的 vm 環境中，JSZip 無法辨識其他 realm 建立的 Uint8Array）
+    const zip = new JSZip();
+    groups.forEach((groupData, fileName) => {
+        zip.file(fileName, writeXlsx(buildWorkbook(groupData, ruleProfile)));
+    });
+
+    if (extraSheets.length > 0) {
+        const report = XLSX.utils.book_new();
+        extraSheets.forEach(sheet => {
+            XLSX.utils.book_append_sheet(report, XLSX.utils.aoa_to_sheet(sheet.rows), sheet.name);
+        });
+        zip.file(SPLIT_REPORT_NAME, writeXlsx(report));
+    }
+
+    return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+};
+
+// ##################################################################################################################################################
+// 公開函數區塊 (Public Functions)
+// ##################################################################################################################################################
+
+/**
+ * 取得匯出格式的顯示名稱（記錄於處理統計與 CLI 摘要）
+ * Get the display label of an export choice (shown in the run stats and CLI summary)
+ *
+ * @param {string} format - EXPORT_FORMATS 的鍵值
+ * @param {string} encoding - CSV 編碼
+ * @returns {string} 例如 'CSV (Big5)'
+ */
+const describeExport = (format, encoding = CSV_ENCODINGS[0]) => {
+    const label = translations[currentLanguage][EXPORT_FORMATS[format].labelKey];
+    return format === 'csv' ? `${label} (${encoding})` : label;
+};
+
+/**
+ * 依選擇的格式產生匯出檔案內容
+ * Build the export file contents in the chosen format
+ *
+ * @param {Array<Array>} data - 合併後的資料陣列（含標題列）
+ * @param {Object} ruleProfile - 處理時使用的規則設定檔
+ * @param {Array<Object>} extraSheets - 附加工作表 [{name, rows}]
+ * @param {Object} options - {format: EXPORT_FORMATS 的鍵值（預設 'xlsx'）, encoding: CSV 編碼（預設 'UTF-8'）}
+ * @returns {Promise<Object>} {bytes: Uint8Array, extension, mimeType}
+ * @throws {Error} 格式或編碼不支援時拋出錯誤
+ *
+ * 瀏覽器下載與 CLI 共用，確保輸出檔案一致
+ */
+const buildExport = async (data, ruleProfile = activeRuleProfile, extraSheets = [], options = {}) => {
+    const { format = 'xlsx', encoding = CSV_ENCODINGS[0] } = options;
+    const formatInfo = EXPORT_FORMATS[format];
+    if (!formatInfo) {
+        throw new Error(formatMessage('unsupportedExportFormat', { format, available: Object.keys(EXPORT_FORMATS).join(', ') }));
+    }
+    if (format === 'csv' && !CSV_ENCODINGS.includes(encoding)) {
+        throw new Error(formatMessage('unsupportedCsvEncoding', { encoding, available: CSV_ENCODINGS.join(', ') }));
+    }
+
+    let bytes;
+    switch (format) {
+        case 'csv':
+            bytes = buildCsv(data, encoding);
+            break;
+        case 'jsonl':
+            bytes = buildJsonLines(data);
+            break;
+        case 'split-zip':
+            bytes = await buildSplitZip(data, ruleProfile, extraSheets);
+            break;
+        default:
+            bytes = new Uint8Array(writeXlsx(buildWorkbook(data, ruleProfile, extraSheets)));
+    }
+
+    return { bytes, extension: formatInfo.extension, mimeType: formatInfo.mimeType };
+};
@@ -0,0 +1,401 @@
+/**
+ * 匯出設定 (Export Presets)
+ * 匯出前篩選資料行、選擇 / 排序 / 重新命名欄位，並可選擇每個 SYS_CPN 只輸出一行，
+ * 讓各下游單位以具名預設集取得自己需要的資料，不需手動修剪工作表
+ *
+ * 預設集格式 (Preset format):
+ *   {name, products, lv, material, sysCpn, columns: [{source, name}], collapse}
+ *   - products：Product 比對條件（與產品覆寫的 product 相同，例如 'ABC|XYZ'）
+ *   - lv：LV 條件（與 SPECIAL_LV_RULES 相同，例如 '2-4'、'>=3'；單純數字為 <=）
+ *   - material / sysCpn：Material / SYS_CPN 比對條件（與 prefix 相同，例如 '45|43'、'DC|!DC99'、'/^DC\d{2}$/'）
+ *   - columns：依序輸出的欄位，source 為資料中的欄位名稱，name 為輸出名稱；文字格式為每行 '欄位' 或 '欄位 = 輸出名稱'
+ *   - collapse：每個 Product / Version / SYS_CPN 只輸出一行（見 collapseBySysCpn）
+ *   - 空白的條件與空的 columns 表示不篩選 / 輸出全部欄位；Default 預設集即為完整的資料
+ *
+ * 套用順序 (Order): 篩選資料行 → 合併 SYS_CPN → 選擇欄位
+ * 注意：套用預設集的匯出檔不適合作為增量合併的基準活頁簿（欄位可能被移除或重新命名）
+ *
+ * 依賴全域 (Globals required):
+ *   - BOMHierarchyProcessor (bom_processor.js) - LV 條件與比對條件
+ *   - isValidMaterialMatcher (rule-profiles.js)
+ *   - productVersionKey (consolidator.js)、findHeaderIndex (bom-diff.js)
+ *   - translations / currentLanguage / formatMessage (i18n.js) - 驗證錯誤訊息與主控台訊息
+ */
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * localStorage 儲存鍵值
+ * localStorage key for the saved presets
+ */
+const EXPORT_PRESET_STORAGE_KEY = 'xlsConsolidator.exportPresets';
+
+/**
+ * 內建預設集名稱（唯讀，輸出完整的資料）
+ * Name of the built-in preset (read-only, exports the full data)
+ */
+const DEFAULT_EXPORT_PRESET_NAME = 'Default';
+
+/**
+ * 預設集名稱長度上限
+ * Maximum preset name length
+ */
+const EXPORT_PRESET_NAME_MAX_LENGTH = 50;
+
+/**
+ * 合併 SYS_CPN 時加在最後的欄位（合併的資料行數）
+ * Column appended when collapsing per SYS_CPN (number of merged rows)
+ */
+const COLLAPSED_ROWS_HEADER = 'Collapsed Rows';
+
+// ##################################################################################################################################################
+// 預設集建立與驗證區塊 (Preset Creation and Validation)
+// ##################################################################################################################################################
+
+/**
+ * 建立內建的 Default 預設集
+ * Create the built-in Default preset
+ *
+ * @returns {Object} 預設集
+ */
+const createDefaultExportPreset = () => ({
+    name: DEFAULT_EXPORT_PRESET_NAME,
+    products: '',
+    lv: '',
+    material: '',
+    sysCpn: '',
+    columns: [],
+    collapse: false
+});
+
+/**
+ * 將輸出欄位格式化為文字（每行一個欄位）
+ * Format the output columns as text (one per line)
+ *
+ * @param {Array<Object>} columns - [{source, name}]
+ * @returns {string} 例如 'Material = Part\nSYS_CPN'
+ */
+const formatExportColumns = (columns) =>
+    columns.map(column => column.name === column.source ? column.source : `${column.source} = ${column.name}`).join('\n');
+
+/**
+ * 解析輸出欄位文字（每行 '欄位' 或 '欄位 = 輸出名稱'，空白行略過）
+ * Parse output column text ('column' or 'column = output name' per line, blank lines ignored)
+ *
+ * @param {string} text - 欄位文字
+ * @returns {Array<Object>} [{source, name}]（驗證見 validateExportPreset）
+ */
+const parseExportColumns = (text) => String(text ?? '').split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+        const separator = line.indexOf('=');
+        if (separator === -1) return { source: line, name: line };
+        return { source: line.slice(0, separator).trim(), name: line.slice(separator + 1).trim() };
+    });
+
+/**
+ * 正規化預設集（補上預設值、去除前後空白）
+ * Normalize a preset (fills defaults, trims values)
+ *
+ * @param {Object} preset - 預設集（例如從 JSON 匯入）
+ * @returns {Object}
+ */
+const normalizeExportPreset = (preset) => ({
+    name: String(preset?.name ?? '').trim(),
+    products: String(preset?.products ?? '').trim(),
+    lv: String(preset?.lv ?? '').trim(),
+    material: String(preset?.material ?? '').trim(),
+    sysCpn: String(preset?.sysCpn ?? '').trim(),
+    columns: (Array.isArray(preset?.columns) ? preset.columns : []).map(column => ({
+        source: String(column?.source ?? '').trim(),
+        name: String(column?.name ?? column?.source ?? '').trim()
+    })),
+    collapse: Boolean(preset?.collapse)
+});
+
+/**
+ * 驗證預設集
+ * Validate a preset
+ *
+ * @param {Object} preset - 正規化後的預設集
+ * @returns {Array<string>} 錯誤訊息陣列（空陣列表示通過）
+ *
+ * 檢查項目 (Checks):
+ * - 名稱不可為空且不超過長度上限
+ * - LV 範圍必須是有效的 LV 條件；Product / Material / SYS_CPN 必須是有效的比對條件
+ * - 輸出欄位的來源與名稱不可為空，輸出名稱不可重複
+ */
+const validateExportPreset = (preset) => {
+    const trans = translations[currentLanguage];
+    const errors = [];
+
+    if (!preset.name || preset.name.length > EXPORT_PRESET_NAME_MAX_LENGTH) {
+        errors.push(trans.exportErrorName);
+    }
+    if (preset.lv && !BOMHierarchyProcessor.parseLvCondition(preset.lv)) {
+        errors.push(trans.exportErrorLv);
+    }
+    [preset.products, preset.material, preset.sysCpn].forEach(matcher => {
+        if (matcher && !isValidMaterialMatcher(matcher)) {
+            errors.push(`${trans.exportErrorMatcher}${matcher}`);
+        }
+    });
+
+    const names = new Set();
+    preset.columns.forEach((column, idx) => {
+        if (!column.source || !column.name) {
+            errors.push(`${trans.exportErrorColumn}${idx + 1}`);
+        } else if (names.has(column.name)) {
+            errors.push(`${trans.exportErrorDuplicate}${column.name}`);
+        }
+        names.add(column.name);
+    });
+
+    return errors;
+};
+
+/**
+ * 判斷預設集是否輸出完整的資料（沒有篩選、合併與欄位選擇）
+ * Check whether a preset exports the full data unchanged
+ *
+ * @param {Object} preset - 預設集
+ * @returns {boolean}
+ */
+const isFullExportPreset = (preset) =>
+    !preset.products && !preset.lv && !preset.material && !preset.sysCpn && preset.columns.length === 0 && !preset.collapse;
+
+/**
+ * 解析 JSON 格式的預設集（單一預設集或預設集陣列）
+ * Parse presets from JSON (a single preset or an array)
+ *
+ * @param {string} json - JSON 字串
+ * @returns {Array<Object>} 正規化且驗證通過的預設集陣列
+ * @throws {Error} JSON 格式錯誤或任一預設集驗證失敗時拋出錯誤
+ */
+const parseExportPresetsJson = (json) => {
+    const parsed = JSON.parse(json);
+    const presets = (Array.isArray(parsed) ? parsed : [parsed]).map(normalizeExportPreset);
+
+    presets.forEach(preset => {
+        const errors = validateExportPreset(preset);
+        if (errors.length > 0) {
+            throw new Error(`${preset.name || '?'}: ${errors.join('; ')}`);
+        }
+    });
+
+    return presets;
+};
+
+/**
+ * 將預設集序列化為可分享的 JSON（CLI 以 --export-preset 使用）
+ * Serialize a preset to shareable JSON (used by the CLI's --export-preset)
+ *
+ * @param {Object} preset - 預設集
+ * @returns {string} JSON 字串
+ */
+const serializeExportPreset = (preset) => JSON.stringify(normalizeExportPreset(preset), null, 2);
+
+// ##################################################################################################################################################
+// 套用區塊 (Applying a Preset)
+// ##################################################################################################################################################
+
+/**
+ * 取得欄位索引（找不到時拋出錯誤）
+ * Get a column index, throwing when the data has no such column
+ *
+ * @param {Array} headers - 標題列
+ * @param {string} column - 欄位名稱
+ * @returns {number}
+ * @throws {Error} 找不到欄位時拋出錯誤
+ */
+const requireExportColumn = (headers, column) => {
+    const index = findHeaderIndex(headers, column);
+    if (index === -1) {
+        throw new Error(formatMessage('exportErrorMissingColumn', { column }));
+    }
+    return index;
+};
+
+/**
+ * 建立資料行篩選條件
+ * Build the row filters of a preset
+ *
+ * @param {Array} headers - 標題列
+ * @param {Object} preset - 預設集
+ * @returns {Array<Function>} (row) => boolean
+ */
+const buildExportFilters = (headers, preset) => {
+    const trans = translations[currentLanguage];
+    const filters = [];
+
+    const matcherFilter = (column, matcher) => {
+        const index = requireExportColumn(headers, column);
+        const matches = BOMHierarchyProcessor.compileMaterialMatcher(matcher);
+        filters.push(row => matches(String(row[index] ?? '').trim()));
+    };
+
+    if (preset.products) matcherFilter(trans.productHeader, preset.products);
+    if (preset.material) matcherFilter('Material', preset.material);
+    if (preset.sysCpn) matcherFilter('SYS_CPN', preset.sysCpn);
+
+    if (preset.lv) {
+        const index = requireExportColumn(headers, 'LV');
+        const matches = BOMHierarchyProcessor.compileLvCondition(preset.lv);
+        filters.push(row => {
+            const text = String(row[index] ?? '').trim();
+            return text !== '' && Number.isFinite(Number(text)) && matches(Number(text));
+        });
+    }
+
+    return filters;
+};
+
+/**
+ * 每個 Product / Version / SYS_CPN 合併為一行
+ * Collapse the rows to one row per Product / Version / SYS_CPN
+ *
+ * 合併方式：
+ *   - 使用第一個 Material 與 SYS_CPN 相同的資料行（SYS_CPN 料號本身），沒有時使用群組的第一行
+ *   - SYS_CPN 料號在同一產品出現多次時，Ttl. Usage 為各次出現的合計
+ *   - 最後加上 'Collapsed Rows' 欄位（群組的資料行數）
+ *   - 群組依首次出現的順序輸出
+ *
+ * @param {Array} headers - 標題列
+ * @param {Array<Array>} rows - 資料行
+ * @returns {Object} {headers, rows}
+ */
+const collapseBySysCpn = (headers, rows) => {
+    const trans = translations[currentLanguage];
+    const productIndex = findHeaderIndex(headers, trans.productHeader);
+    const versionIndex = findHeaderIndex(headers, trans.versionHeader);
+    const materialIndex = requireExportColumn(headers, 'Material');
+    const sysCpnIndex = requireExportColumn(headers, 'SYS_CPN');
+    const ttlUsageIndex = findHeaderIndex(headers, 'Ttl. Usage');
+
+    const groups = new Map();
+    rows.forEach(row => {
+        const sysCpn = String(row[sysCpnIndex] ?? '').trim();
+        const key = `${productVersionKey(row[productIndex], row[versionIndex])}\u0000${sysCpn}`;
+        let group = groups.get(key);
+        if (!group) {
+            group = { first: row, parts: [], count: 0 };
+            groups.set(key, group);
+        }
+        group.count++;
+        if (String(row[materialIndex] ?? '').trim() === sysCpn) {
+            group.parts.push(row);
+        }
+    });
+
+    return {
+        headers: [...headers, COLLAPSED_ROWS_HEADER],
+        rows: [...groups.values()].map(group => {
+            const row = [...(group.parts[0] || group.first)];
+            if (ttlUsageIndex !== -1 && group.parts.length > 1) {
+                row[ttlUsageIndex] = group.parts.reduce((sum, part) => sum + (Number(part[ttlUsageIndex]) || 0), 0);
+            }
+            return [...row, group.count];
+        })
+    };
+};
+
+/**
+ * 套用匯出預設集
+ * Apply an export preset to the consolidated data
+ *
+ * @param {Array<Array>} data - 合併後的資料陣列（含標題列，不會被修改）
+ * @param {Object} preset - 預設集（見檔案開頭說明）
+ * @returns {Array<Array>} 匯出的資料陣列（含標題列）；完整匯出時返回原本的 data
+ * @throws {Error} 篩選或合併需要的欄位不存在時拋出錯誤
+ *
+ * 瀏覽器下載與 CLI 共用；選擇的欄位不存在時輸出空白欄位並於主控台提示
+ */
+const applyExportPreset = (data, preset) => {
+    if (data.length === 0 || isFullExportPreset(preset)) {
+        return data;
+    }
+
+    let [headers, ...rows] = data;
+    const filters = buildExportFilters(headers, preset);
+    if (filters.length > 0) {
+        rows = rows.filter(row => filters.every(filter => filter(row)));
+    }
+
+    if (preset.collapse) {
+        ({ headers, rows } = collapseBySysCpn(headers, rows));
+    }
+
+    if (preset.columns.length > 0) {
+        const indexes = preset.columns.map(column => {
+            const index = findHeaderIndex(headers, column.source);
+            if (index === -1) {
+                console.warn(formatMessage('consoleExportColumnMissing', { column: column.source }));
+            }
+            return index;
+        });
+        headers = preset.columns.map(column => column.name);
+        rows = rows.map(row => indexes.map(index => index === -1 ? null : row[index] ?? null));
+    }
+
+    return [headers, ...rows];
+};
+
+// ##################################################################################################################################################
+// 預設集儲存區塊 (Preset Storage)
+// ##################################################################################################################################################
+
+/**
+ * 從 localStorage 載入預設集儲存區（無效的預設集略過）
+ * Load the preset store from localStorage (invalid presets are skipped)
+ *
+ * @param {Storage|null} storage - 儲存區（預設 localStorage）
+ * @returns {Object} {active: 使用中的預設集名稱, presets: {名稱: 預設集}}（一定包含 Default）
+ */
+const loadExportPresetStore = (storage = null) => {
+    const store = { active: DEFAULT_EXPORT_PRESET_NAME, presets: {} };
+
+    try {
+        const saved = JSON.parse((storage || localStorage).getItem(EXPORT_PRESET_STORAGE_KEY) || 'null');
+        if (saved && saved.presets) {
+            Object.values(saved.presets).forEach(raw => {
+                const preset = normalizeExportPreset(raw);
+                if (preset.name !== DEFAULT_EXPORT_PRESET_NAME && validateExportPreset(preset).length === 0) {
+                    store.presets[preset.name] = preset;
+                }
+            });
+            if (store.presets[saved.active]) {
+                store.active = saved.active;
+            }
+        }
+    } catch (e) {
+        console.warn(formatMessage('consoleStorageReadFailed', { key: EXPORT_PRESET_STORAGE_KEY }), e);
+    }
+
+    store.presets[DEFAULT_EXPORT_PRESET_NAME] = createDefaultExportPreset();
+    return store;
+};
+
+/**
+ * 將預設集儲存區寫入 localStorage（Default 不儲存）
+ * Save the preset store to localStorage (Default is not stored)
+ *
+ * @param {Object} store - {active, presets}
+ * @param {Storage|null} storage - 儲存區（預設 localStorage）
+ */
+const saveExportPresetStore = (store, storage = null) => {
+    const presets = {};
+    Object.values(store.presets).forEach(preset => {
+        if (preset.name !== DEFAULT_EXPORT_PRESET_NAME) {
+            presets[preset.name] = preset;
+        }
+    });
+
+    try {
+        (storage || localStorage).setItem(EXPORT_PRESET_STORAGE_KEY, JSON.stringify({ active: store.active, presets }));
+    } catch (e) {
+        console.warn(formatMessage('consoleStorageSaveFailed', { key: EXPORT_PRESET_STORAGE_KEY }), e);
+    }
+};
@@ -0,0 +1,180 @@
+/**
+ * 檔名範本 (Filename Templates)
+ * 以具名群組的正規表達式從檔名擷取產品、版本、Plant Code 與其他欄位
+ *
+ * 範本格式 (Template format):
+ *   每個範本為一個正規表達式字串，比對不含路徑與副檔名的檔名，依順序使用第一個相符的範本
+ *   - (?<product>...)：產品代碼（必要）
+ *   - (?<version>...)：版本時間戳，非數字字元會被移除（'2026-01-15' → '20260115'）
+ *   - (?<plant>...)：Plant Code，檔案中沒有任何 Plant Code 時填入所有資料行（合併策略 latest-product-plant 亦同）
+ *   - 其他具名群組：輸出於 Product / Version 之後的欄位，欄位名稱為群組名稱
+ *
+ *   例如 '^(?<plant>P\d{3})-(?<product>\w+)-(?<version>\d{8})(?:-(?<line>L\d))?'
+ *
+ * 未設定時使用 CONFIG.FILENAME_TEMPLATES（見 parseFilename）
+ *
+ * 依賴全域 (Globals required):
+ *   - CONFIG、parseFilename、formatProduct、formatDate (consolidator.js)
+ *   - translations / currentLanguage / formatMessage (i18n.js) - 驗證錯誤訊息與主控台訊息
+ */
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * localStorage 儲存鍵值
+ * localStorage key for the saved templates
+ */
+const FILENAME_TEMPLATE_STORAGE_KEY = 'xlsConsolidator.filenameTemplates';
+
+/**
+ * 有特殊用途的具名群組（其他群組輸出為額外欄位）
+ * Named groups with a built-in meaning (any other group becomes an extra column)
+ */
+const FILENAME_FIELDS = ['product', 'version', 'plant'];
+
+/**
+ * 檔名預覽最多顯示的檔案數
+ * Maximum number of files listed in the filename preview
+ */
+const FILENAME_PREVIEW_LIMIT = 200;
+
+// ##################################################################################################################################################
+// 範本驗證區塊 (Template Validation)
+// ##################################################################################################################################################
+
+/**
+ * 取得範本中的具名群組名稱
+ * Get the named groups of a template
+ *
+ * @param {string} template - 正規表達式字串
+ * @returns {Array<string>} 群組名稱（依出現順序）
+ */
+const getTemplateGroupNames = (template) =>
+    [...template.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)].map(match => match[1]);
+
+/**
+ * 取得範本的額外欄位名稱（product / version / plant 以外的具名群組）
+ * Get the extra field names captured by the templates
+ *
+ * @param {Array<string>|null} templates - 範本（null 表示預設範本）
+ * @returns {Array<string>} 欄位名稱（依第一次出現的順序，不重複）
+ */
+const getExtraFieldNames = (templates) => [...new Set(
+    (templates || CONFIG.FILENAME_TEMPLATES).flatMap(getTemplateGroupNames).filter(name => !FILENAME_FIELDS.includes(name))
+)];
+
+/**
+ * 驗證範本
+ * Validate a template
+ *
+ * @param {string} template - 正規表達式字串
+ * @returns {Array<string>} 錯誤訊息陣列（空陣列表示通過）
+ */
+const validateFilenameTemplate = (template) => {
+    const trans = translations[currentLanguage];
+    try {
+        new RegExp(template);
+    } catch (error) {
+        return [`${trans.filenameTemplateErrorRegex}${error.message}`];
+    }
+    return getTemplateGroupNames(template).includes('product') ? [] : [trans.filenameTemplateErrorProduct];
+};
+
+/**
+ * 解析範本文字（每行一個範本，空白行略過）
+ * Parse template text (one template per line, blank lines ignored)
+ *
+ * @param {string} text - 範本文字
+ * @returns {Array<string>|null} 範本陣列；沒有範本時返回 null（使用預設範本）
+ * @throws {Error} 任一範本驗證失敗時拋出錯誤（訊息含行號）
+ */
+const parseFilenameTemplates = (text) => {
+    const templates = String(text ?? '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+    templates.forEach((template, i) => {
+        const errors = validateFilenameTemplate(template);
+        if (errors.length > 0) {
+            throw new Error(`#${i + 1} ${template}: ${errors.join('; ')}`);
+        }
+    });
+
+    return templates.length > 0 ? templates : null;
+};
+
+// ##################################################################################################################################################
+// 範本儲存區塊 (Template Storage)
+// ##################################################################################################################################################
+
+/**
+ * 從 localStorage 讀取範本文字
+ * Load the template text from localStorage
+ *
+ * @param {Storage|null} storage - 儲存區（預設 localStorage）
+ * @returns {string} 範本文字（未儲存時為空字串）
+ */
+const loadFilenameTemplates = (storage = null) => {
+    try {
+        return (storage || localStorage).getItem(FILENAME_TEMPLATE_STORAGE_KEY) || '';
+    } catch (e) {
+        console.warn(formatMessage('consoleStorageReadFailed', { key: FILENAME_TEMPLATE_STORAGE_KEY }), e);
+        return '';
+    }
+};
+
+/**
+ * 將範本文字寫入 localStorage
+ * Save the template text to localStorage
+ *
+ * @param {string} text - 範本文字
+ * @param {Storage|null} storage - 儲存區（預設 localStorage）
+ */
+const saveFilenameTemplates = (text, storage = null) => {
+    try {
+        (storage || localStorage).setItem(FILENAME_TEMPLATE_STORAGE_KEY, text);
+    } catch (e) {
+        console.warn(formatMessage('consoleStorageSaveFailed', { key: FILENAME_TEMPLATE_STORAGE_KEY }), e);
+    }
+};
+
+// ##################################################################################################################################################
+// 預覽區塊 (Preview)
+// ##################################################################################################################################################
+
+/**
+ * 建立檔名預覽表格內容
+ * Build the filename preview table rows
+ *
+ * @param {Array<string>} names - 檔案名稱
+ * @param {Array<string>|null} templates - 範本（null 表示預設範本）
+ * @returns {Object} {rows: 表格資料陣列（含標題列，最多 FILENAME_PREVIEW_LIMIT 個檔案）, unmatched: 無法解析產品的檔案數}
+ *
+ * 產品與版本以輸出時的格式顯示（見 formatProduct、formatDate）
+ */
+const buildFilenamePreview = (names, templates) => {
+    const trans = translations[currentLanguage];
+    const extraFields = getExtraFieldNames(templates);
+    let unmatched = 0;
+
+    const rows = names.map(name => {
+        const { product, version, plant, extra, template } = parseFilename(name, templates);
+        if (!product) unmatched++;
+        return [
+            name,
+            template === -1 ? '-' : `#${template + 1}`,
+            formatProduct(product),
+            formatDate(version),
+            plant,
+            ...extraFields.map(field => extra[field] ?? '')
+        ];
+    });
+
+    return {
+        rows: [
+            ['File', 'Template', trans.productHeader, trans.versionHeader, 'Plant', ...extraFields],
+            ...rows.slice(0, FILENAME_PREVIEW_LIMIT)
+        ],
+        unmatched
+    };
+};
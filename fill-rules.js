@@ -0,0 +1,292 @@
+/**
+ * 欄位填充規則 (Fill Rules)
+ * 填補匯出檔中稀疏的欄位（例如只出現在部分資料行的 Plant Code），避免下游樞紐分析表出現空白分組
+ *
+ * 規則格式 (Rule format):
+ *   每行一個欄位：'欄位名稱 = 方法, 方法, ...'，依順序套用，每個方法只填入前面的方法仍未填入的空白儲存格
+ *   - forward：使用上方最近一個非空白值
+ *   - back：使用下方最近一個非空白值
+ *   - ancestor：依 LV 階層使用最近的上階（上方最近一個 LV 較小的資料行）的值
+ *   - filename:<群組>：使用檔名範本擷取的值（product / version / plant 或其他具名群組，見 filename-templates.js）
+ *   - none：不填充（停用此欄位的預設規則）
+ *
+ *   例如 'Plant Code = forward, back, filename:plant'、'Description = ancestor'
+ *
+ * 設定的規則依欄位取代 CONFIG.FILL_RULES 的預設規則，其他欄位仍使用預設規則（見 resolveFillRules）
+ * 欄位名稱為套用欄位結構設定檔後的標準欄位名稱（見 schema-profiles.js）
+ *
+ * 填充記錄 (Fill log, 見 applyFillRules):
+ *   {file, ln, column, method, value, sourceLn}，輸出為 'Fills' 工作表
+ *   - ln 為資料行的順序（第一個資料行為 1，與 BOM 處理器重新編號後的 LN 相同）
+ *   - sourceLn 為提供值的資料行，filename 方法為空白
+ *
+ * 依賴全域 (Globals required):
+ *   - CONFIG (consolidator.js)
+ *   - translations / currentLanguage / formatMessage (i18n.js) - 驗證錯誤訊息與主控台訊息
+ */
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * localStorage 儲存鍵值
+ * localStorage key for the saved rules
+ */
+const FILL_RULE_STORAGE_KEY = 'xlsConsolidator.fillRules';
+
+/**
+ * 可用的填充方法（filename 需指定群組，例如 filename:plant）
+ * Available fill methods (filename takes a group, e.g. filename:plant)
+ */
+const FILL_METHODS = ['forward', 'back', 'ancestor', 'filename', 'none'];
+
+// ##################################################################################################################################################
+// 規則解析區塊 (Rule Parsing)
+// ##################################################################################################################################################
+
+/**
+ * 將規則格式化為文字（一行）
+ * Format a rule as a line of text
+ *
+ * @param {Object} rule - {column, methods}
+ * @returns {string} 例如 'Plant Code = forward, back, filename:plant'
+ */
+const formatFillRule = (rule) => `${rule.column} = ${rule.methods.length > 0 ? rule.methods.join(', ') : 'none'}`;
+
+/**
+ * 驗證填充方法
+ * Validate a fill method
+ *
+ * @param {string} method - 方法，例如 'forward'、'filename:plant'
+ * @returns {boolean}
+ */
+const isValidFillMethod = (method) => {
+    const [name, group] = method.split(':');
+    if (name === 'filename') return /^[A-Za-z_$][\w$]*$/.test(group || '');
+    return FILL_METHODS.includes(name) && group === undefined;
+};
+
+/**
+ * 解析規則文字（每行一個欄位，空白行略過）
+ * Parse rule text (one column per line, blank lines ignored)
+ *
+ * @param {string} text - 規則文字
+ * @returns {Array<Object>|null} 規則陣列 [{column, methods}]（none 為空的 methods）；沒有規則時返回 null（使用預設規則）
+ * @throws {Error} 任一行格式錯誤、方法無效或欄位重複時拋出錯誤（訊息含行號）
+ */
+const parseFillRules = (text) => {
+    const trans = translations[currentLanguage];
+    const lines = String(text ?? '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const columns = new Set();
+
+    const rules = lines.map((line, i) => {
+        const match = line.match(/^(.+?)\s*=\s*(.*)$/);
+        if (!match || !match[1].trim()) {
+            throw new Error(`#${i + 1} ${line}: ${trans.fillRuleErrorFormat}`);
+        }
+
+        const column = match[1].trim();
+        if (columns.has(column)) {
+            throw new Error(`#${i + 1} ${line}: ${trans.fillRuleErrorColumn}`);
+        }
+        columns.add(column);
+
+        const methods = match[2].split(',').map(method => method.trim()).filter(Boolean);
+        const invalid = methods.find(method => !isValidFillMethod(method));
+        if (invalid !== undefined || methods.length === 0) {
+            throw new Error(`#${i + 1} ${line}: ${trans.fillRuleErrorMethod}${invalid ?? ''}`);
+        }
+
+        return { column, methods: methods.filter(method => method !== 'none') };
+    });
+
+    return rules.length > 0 ? rules : null;
+};
+
+/**
+ * 合併設定的規則與預設規則（設定的欄位取代預設規則，沒有方法的規則不套用）
+ * Merge configured rules with the defaults (configured columns replace their default rule)
+ *
+ * @param {Array<Object>|null} rules - 設定的規則（null 表示只使用預設規則）
+ * @returns {Array<Object>} 要套用的規則 [{column, methods}]
+ */
+const resolveFillRules = (rules) => {
+    const configured = rules || [];
+    return [
+        ...CONFIG.FILL_RULES.filter(rule => !configured.some(entry => entry.column === rule.column)),
+        ...configured
+    ].filter(rule => rule.methods.length > 0);
+};
+
+// ##################################################################################################################################################
+// 填充區塊 (Filling)
+// ##################################################################################################################################################
+
+/**
+ * 判斷儲存格是否為空白
+ * Check whether a cell is blank
+ *
+ * @param {*} value - 儲存格
+ * @returns {boolean}
+ */
+const isBlankCell = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * 以一個方法填充一個欄位的空白儲存格
+ * Fill the blank cells of one column with one method
+ *
+ * @param {Array<Array>} data - 資料陣列（含標題列，會被修改）
+ * @param {number} index - 欄位索引
+ * @param {string} method - 方法
+ * @param {Object} values - 檔名範本擷取的值 {群組: 值}
+ * @returns {Array<Object>} 填入的儲存格 [{row: 資料陣列索引, value, source: 來源資料陣列索引 | null}]
+ */
+const fillColumn = (data, index, method, values) => {
+    const filled = [];
+    const fill = (row, value, source) => {
+        data[row][index] = value;
+        filled.push({ row, value, source });
+    };
+
+    if (method === 'forward') {
+        let source = null;
+        for (let j = 1; j < data.length; j++) {
+            if (!isBlankCell(data[j][index])) {
+                source = j;
+            } else if (source !== null) {
+                fill(j, data[source][index], source);
+            }
+        }
+    } else if (method === 'back') {
+        let source = null;
+        for (let j = data.length - 1; j >= 1; j--) {
+            if (!isBlankCell(data[j][index])) {
+                source = j;
+            } else if (source !== null) {
+                fill(j, data[source][index], source);
+            }
+        }
+        filled.reverse();   // 記錄依資料行順序
+    } else if (method === 'ancestor') {
+        // 上階為上方最近一個 LV 較小的資料行；上階已填入的值會繼續往下傳遞
+        const lvIndex = data[0].indexOf('LV');
+        if (lvIndex === -1) return filled;
+
+        let stack = [];
+        for (let j = 1; j < data.length; j++) {
+            const text = String(data[j][lvIndex] ?? '').trim();
+            const lv = text === '' ? NaN : Number(text);
+            if (Number.isNaN(lv)) {
+                stack = [];
+                continue;
+            }
+            while (stack.length > 0 && !(stack[stack.length - 1].lv < lv)) stack.pop();
+
+            // source：提供值的資料行（上階本身也是填入的時候沿用上階的來源）
+            const parent = stack[stack.length - 1];
+            let source = j;
+            if (isBlankCell(data[j][index]) && parent && !isBlankCell(data[parent.row][index])) {
+                source = parent.source;
+                fill(j, data[parent.row][index], source);
+            }
+            stack.push({ lv, row: j, source });
+        }
+    } else if (method.startsWith('filename:')) {
+        const value = values[method.slice('filename:'.length)];
+        if (isBlankCell(value)) return filled;
+        for (let j = 1; j < data.length; j++) {
+            if (isBlankCell(data[j][index])) fill(j, value, null);
+        }
+    }
+
+    return filled;
+};
+
+/**
+ * 依填充規則填補資料的空白儲存格
+ * Fill the blank cells of the data according to the fill rules
+ *
+ * @param {Array<Array>} data - 資料陣列（含標準標題列，會被修改）
+ * @param {Array<Object>|null} rules - 設定的規則（null 表示只使用預設規則，見 resolveFillRules）
+ * @param {Object} values - 檔名範本擷取的值 {product, version, plant, ...其他群組}
+ * @param {string} fileName - 檔案名稱（填充記錄用）
+ * @param {Array<Object>|null} log - 填充記錄收集陣列（可選，會被修改，見檔案開頭說明）
+ * @returns {number} 填入的儲存格數
+ */
+const applyFillRules = (data, rules, values, fileName, log = null) => {
+    let count = 0;
+    if (data.length <= 1) return count;
+
+    resolveFillRules(rules).forEach(rule => {
+        const index = data[0].indexOf(rule.column);
+        if (index === -1) return;
+
+        rule.methods.forEach(method => {
+            const filled = fillColumn(data, index, method, values);
+            if (filled.length === 0) return;
+
+            count += filled.length;
+            console.log(formatMessage('consoleFilled', { column: rule.column, method, count: filled.length }));
+            if (log) {
+                filled.forEach(cell => log.push({
+                    file: fileName,
+                    ln: cell.row,
+                    column: rule.column,
+                    method,
+                    value: cell.value,
+                    sourceLn: cell.source
+                }));
+            }
+        });
+    });
+
+    return count;
+};
+
+/**
+ * 建立 'Fills' 工作表內容
+ * Build the 'Fills' sheet rows
+ *
+ * @param {Array<Object>} fills - 填充記錄
+ * @returns {Array<Array>} 工作表資料陣列（含標題列）
+ */
+const buildFillRows = (fills) => [
+    CONFIG.FILLS_HEADERS,
+    ...fills.map(fill => [fill.file, fill.ln, fill.column, fill.method, fill.value, fill.sourceLn ?? ''])
+];
+
+// ##################################################################################################################################################
+// 規則儲存區塊 (Rule Storage)
+// ##################################################################################################################################################
+
+/**
+ * 從 localStorage 讀取規則文字
+ * Load the rule text from localStorage
+ *
+ * @param {Storage|null} storage - 儲存區（預設 localStorage）
+ * @returns {string} 規則文字（未儲存時為空字串）
+ */
+const loadFillRules = (storage = null) => {
+    try {
+        return (storage || localStorage).getItem(FILL_RULE_STORAGE_KEY) || '';
+    } catch (e) {
+        console.warn(formatMessage('consoleStorageReadFailed', { key: FILL_RULE_STORAGE_KEY }), e);
+        return '';
+    }
+};
+
+/**
+ * 將規則文字寫入 localStorage
+ * Save the rule text to localStorage
+ *
+ * @param {string} text - 規則文字
+ * @param {Storage|null} storage - 儲存區（預設 localStorage）
+ */
+const saveFillRules = (text, storage = null) => {
+    try {
+        (storage || localStorage).setItem(FILL_RULE_STORAGE_KEY, text);
+    } catch (e) {
+        console.warn(formatMessage('consoleStorageSaveFailed', { key: FILL_RULE_STORAGE_KEY }), e);
+    }
+};
@@ -2,7 +2,25 @@
 // 語言包 (Language Pack)
 // ##################################################################################################################################################
 
-let currentLanguage = 'zh-TW';
+/**
+ * 支援的語言（依語言切換按鈕的順序）
+ * Supported languages (in the order of the language buttons)
+ */
+const SUPPORTED_LANGUAGES = ['zh-TW', 'zh-CN', 'en', 'vi'];
+
+/**
+ * 預設語言（無法由瀏覽器或環境變數判斷時使用）
+ * Default language (when neither the browser nor the environment tells)
+ */
+const DEFAULT_LANGUAGE = 'zh-TW';
+
+/**
+ * localStorage 儲存鍵值（使用者選擇的語言）
+ * localStorage key for the chosen language
+ */
+const LANGUAGE_STORAGE_KEY = 'xlsConsolidator.language';
+
+let currentLanguage = DEFAULT_LANGUAGE;
 
 const translations = {
     'zh-TW': {
@@ -12,24 +30,98 @@ const translations = {
         inputTitle: '📥 輸入數據',
         typeLabel: '選擇輸入類型',
         processBtn: '⚙️ 開始處理',
+        cancelBtn: '⏹ 取消',
+        progressEta: '剩餘',
+        secondsUnit: ' 秒',
+        processCancelled: '⏹ 已取消處理',
+        compareLabel: '🔀 比較同一產品的不同版本（輸出 Changes 工作表）',
+        traceLabel: '🧭 輸出 SYS_CPN 追蹤欄位（決定規則、查找路徑、用量乘數）',
+        strictLabel: '🛑 任一檔案失敗即中止（不輸出部分結果）',
+        sheetNameLabel: '📑 活頁簿工作表（XLS/XLSX）',
+        sheetNamePlaceholder: '自動選擇（第一個含 LV 與 Unit Usg 的工作表）',
+        filenameTemplateLabel: '🏷️ 檔名範本（每行一個正規表達式，具名群組 product / version / plant，其他群組輸出為欄位）',
+        filenameTemplatePlaceholder: '預設：PRODUCT_YYYYMMDDHHMMSS，例如 ^(?<plant>P\\d{3})-(?<product>\\w+)-(?<version>\\d{8})',
+        filenameTemplateInvalid: '✗ 檔名範本錯誤: ',
+        filenameTemplateErrorRegex: '不是有效的正規表達式: ',
+        filenameTemplateErrorProduct: '缺少具名群組 (?<product>...)',
+        fillRuleLabel: '🧩 欄位填充規則（每行一個欄位：欄位 = forward / back / ancestor / filename:群組 / none，依順序填補空白儲存格，記錄於 Fills 工作表）',
+        fillRulePlaceholder: '預設：',
+        fillRuleInvalid: '✗ 欄位填充規則錯誤: ',
+        fillRuleErrorFormat: '格式應為「欄位 = 方法, 方法」',
+        fillRuleErrorColumn: '欄位重複',
+        fillRuleErrorMethod: '無效的方法（forward、back、ancestor、filename:群組、none）: ',
+        filenamePreviewUnmatched: '個無法解析產品',
+        filenamePreviewLimited: ' / 僅顯示前 ',
+        baselineLabel: '基準活頁簿（增量合併）',
+        baselineLoadBtn: '載入先前的合併結果',
+        baselineClearBtn: '清除',
+        baselineEmpty: '未載入（從頭合併）',
+        baselineRowsText: '行',
+        baselineVersionsText: '個產品版本',
+        baselineReplaceLabel: '重新處理並取代基準中已存在的產品版本',
+        baselineLoaded: '✓ 已載入基準活頁簿: ',
+        baselineLoadFailed: '✗ 基準活頁簿載入失敗: ',
+        dedupPolicyLabel: '合併策略（同一產品有多個版本時）',
+        dedupPolicyAll: '保留所有版本',
+        dedupPolicyLatestProduct: '每個產品只保留最新版本',
+        dedupPolicyLatestProductPlant: '每個產品 + Plant Code 只保留最新版本',
+        schemaProfileLabel: '欄位結構（報表格式）',
+        schemaProfileAuto: '自動偵測',
+        schemaImportBtn: '📥 匯入欄位結構',
+        schemaImported: '✓ 已匯入欄位結構設定檔：',
+        schemaImportFailed: '✗ 匯入欄位結構設定檔失敗: ',
+        schemaBuiltInReadonly: '✗ 內建欄位結構設定檔為唯讀，請使用其他名稱',
+        schemaErrorName: '設定檔名稱不可為空，也不可為 auto',
+        schemaErrorColumn: '不是標準欄位: ',
+        schemaErrorRequired: '必要欄位須包含 LV、Unit Usg 與 Part Number（或啟用 derivePartNumber）',
+        schemaErrorLevelFormat: 'levelFormat 必須是: ',
+        exportFormatLabel: '匯出格式',
+        exportFormatXlsx: 'Excel 活頁簿 (.xlsx)',
+        exportFormatCsv: 'CSV',
+        exportFormatJsonl: 'JSON Lines (.jsonl)',
+        exportFormatSplitZip: '依產品分割 (.zip)',
+        csvEncodingLabel: 'CSV 編碼',
+        fileReportTitle: '📋 檔案處理報告',
+        filesFailed: '個檔案處理失敗，其餘檔案的結果可於預覽後下載（詳見檔案處理報告）',
+        encodingAuto: '自動偵測',
+        previewTitle: '🌳 結果預覽',
+        previewSearchLabel: '搜尋 Material',
+        previewDiffOnlyLabel: '只顯示 SYS_CPN 與 Material 不同的列',
+        previewExpandAllBtn: '全部展開',
+        previewCollapseAllBtn: '全部收合',
+        previewClearBtn: '清除篩選',
+        previewFilterPlaceholder: '篩選',
+        previewProducts: '個產品版本',
+        previewRows: '行',
+        previewMatched: '行符合',
+        previewLimited: ' / 僅顯示前 ',
+        downloadBtn: '⬇️ 下載結果',
+        encodingOverrideSaved: '✓ 已指定編碼，重新處理後套用',
+        encodingLowConfidence: '編碼偵測信心偏低，請確認內容或指定編碼',
         statsTitle: '📊 處理結果統計',
         statFileCountLabel: '檔案數量',
         statTotalRowsLabel: '總行數',
         statElapsedTimeLabel: '處理耗時',
         statAvgTimeLabel: '平均檔案耗時',
         statThroughputLabel: '吞吐量',
+        statIssueCountLabel: '資料問題（錯誤 / 警告）',
+        statExportFormatLabel: '匯出格式',
         footerText: '✨ XLS合併工具 v20260129 | Adam @仁寶電腦 伺服器 #55095',
         pathEmpty: '未選擇任何檔案',
 
         // 按钮标签
         optFile: '📄 檔案',
         optFolder: '📁 資料夾',
-        optZip: '📦 壓縮檔(.zip/.7z)',
+        optZip: '📦 壓縮檔(.zip/.7z/.rar/.tar/.tgz)',
+        dropZoneText: '或將檔案、資料夾、壓縮檔拖放到此處（可混合，壓縮檔內的壓縮檔也會解壓）',
+        dropFailed: '✗ 拖放的項目讀取失敗: ',
 
         // 消息和反馈文本
         selectError: '✗ 請先選擇檔案',
-        processSuccess: '✓ 數據處理成功！',
+        processSuccess: '✓ 數據處理成功！請檢查結果預覽後下載',
+        compareResult: '項版本變更',
         downloadSuccess: '✓ 檔案已下載',
+        downloadFailed: '✗ 匯出失敗: ',
         filesSelectedMsg: '✓ 已選擇',
         filesSelectedCount: '個檔案',
         filesExtractedMsg: '✓ 已提取',
@@ -40,6 +132,599 @@ const translations = {
         pathPrefixFile: '檔案:',
         pathPrefixFolder: '資料夾:',
         pathPrefixZip: '壓縮檔:',
+        pathPrefixDrop: '拖放:',
+        pathMore: ' ...（另有 {count} 個）',
+        pathZipFile: '壓縮檔',
+
+        // 規則設定檔
+        ruleTitle: '🧩 規則設定',
+        ruleProfileLabel: '規則設定檔',
+        rulePatternLabel: 'FIXED_PATTERN（以 | 分隔的 Material 前綴）',
+        ruleSpecialLabel: 'SPECIAL_LV_RULES（LV 條件成立且前綴匹配時返回自身）',
+        ruleLvHeader: 'LV 條件',
+        ruleLvPlaceholder: '2、<3、=2、>=3、2-4',
+        rulePrefixHeader: '前綴（以 | 分隔，! 開頭為排除，/.../ 為正規表達式）',
+        ruleAddBtn: '＋ 新增規則',
+        ruleChainLabel: 'PRIORITY_CHAINS（每行一條優先順序鏈，由高至低以 > 分隔；向上查找時改用優先度較高的上階料號）',
+        ruleChainPlaceholder: '45 > 43',
+        ruleOverrideLabel: '產品覆寫（JSON 陣列，依順序使用第一個 product 相符的覆寫，未設定的欄位沿用上方規則）',
+        ruleOverridePlaceholder: '[{"product": "ABC|XYZ", "priorityChains": [["45", "43", "64"]]}]',
+        ruleSimulationLabel: '規則模擬（以候選設定檔處理相同的輸入，輸出 SYS_CPN / Ttl. Usage 改變的行與彙總）',
+        ruleSimulationNone: '不模擬',
+        simulationResult: '{count} 行受候選規則 {name} 影響',
+        ruleSaveBtn: '💾 儲存',
+        ruleSaveAsBtn: '📑 另存新檔',
+        ruleDeleteBtn: '🗑️ 刪除',
+        ruleImportBtn: '📥 匯入',
+        ruleExportBtn: '📤 匯出',
+        ruleNamePrompt: '請輸入規則設定檔名稱：',
+        ruleOverwriteConfirm: '已存在同名設定檔，是否覆蓋？',
+        ruleDeleteConfirm: '確定要刪除此規則設定檔？',
+        ruleSaved: '✓ 規則設定檔已儲存',
+        ruleDeleted: '✓ 規則設定檔已刪除',
+        ruleImported: '✓ 已匯入規則設定檔：',
+        ruleDefaultReadonly: '✗ Default 設定檔為唯讀，請使用「另存新檔」',
+        ruleImportFailed: '✗ 匯入規則設定檔失敗: ',
+        ruleErrorName: '設定檔名稱不可為空且不超過 50 字元',
+        ruleErrorPatternEmpty: 'FIXED_PATTERN 不可為空',
+        ruleErrorPatternInvalid: 'FIXED_PATTERN 不是有效的正規表達式: ',
+        ruleErrorPatternEmptyAlt: 'FIXED_PATTERN 含有空的 | 分段（會匹配所有 Material）',
+        ruleErrorRuleLv: 'LV 條件無效（例如 2、<3、=2、>=3、2-4），規則 #',
+        ruleErrorRulePrefix: '前綴不可為空（含 | 分段）且正規表達式必須有效，規則 #',
+        ruleErrorChain: '優先順序鏈至少需要兩個有效的項目，鏈 #',
+        ruleErrorOverride: '產品覆寫 #',
+        ruleErrorOverrideProduct: 'product 不可為空且必須是有效的比對條件',
+        ruleErrorOverrideJson: '✗ 產品覆寫不是有效的 JSON 陣列: ',
+
+        // 匯出設定（見 export-presets.js）
+        exportPresetTitle: '📤 匯出設定',
+        exportPresetLabel: '匯出預設集（下載時套用下方的設定，所有匯出格式皆適用）',
+        exportPresetSaveBtn: '💾 儲存',
+        exportPresetSaveAsBtn: '📑 另存新檔',
+        exportPresetDeleteBtn: '🗑️ 刪除',
+        exportPresetImportBtn: '📥 匯入',
+        exportPresetExportBtn: '📤 匯出',
+        exportProductLabel: 'Product（比對條件，例如 ABC|XYZ；空白為全部）',
+        exportLvLabel: 'LV 範圍（例如 2-4、>=3、<=2；空白為全部）',
+        exportMaterialLabel: 'Material 前綴（以 | 分隔，! 開頭為排除，/.../ 為正規表達式；空白為全部）',
+        exportSysCpnLabel: 'SYS_CPN 群組（與 Material 相同的比對條件；空白為全部）',
+        exportColumnsLabel: '輸出欄位（每行一個，依順序輸出，「欄位 = 新名稱」重新命名；空白為全部欄位）',
+        exportColumnsPlaceholder: 'Product\nMaterial = 料號\nSYS_CPN\nTtl. Usage = 用量',
+        exportColumnsFillBtn: '📋 填入目前的欄位',
+        exportCollapseLabel: '每個 Product / Version / SYS_CPN 只輸出一行（Ttl. Usage 為 SYS_CPN 本身的用量合計，另加 Collapsed Rows 欄位）',
+        exportPresetSummary: '匯出 {rows} / {total} 行，{columns} 欄',
+        exportPresetNoData: '處理檔案後顯示匯出的行數與欄位數',
+        exportPresetNamePrompt: '請輸入匯出預設集名稱：',
+        exportPresetOverwriteConfirm: '已存在同名預設集，是否覆蓋？',
+        exportPresetDeleteConfirm: '確定要刪除此匯出預設集？',
+        exportPresetSaved: '✓ 匯出預設集已儲存',
+        exportPresetDeleted: '✓ 匯出預設集已刪除',
+        exportPresetImported: '✓ 已匯入匯出預設集：',
+        exportPresetDefaultReadonly: '✗ Default 預設集為唯讀，請使用「另存新檔」',
+        exportPresetImportFailed: '✗ 匯入匯出預設集失敗: ',
+        exportPresetInvalid: '✗ 匯出設定無效: ',
+        exportErrorName: '預設集名稱不可為空且不超過 50 字元',
+        exportErrorLv: 'LV 範圍無效（例如 2-4、>=3、<=2）',
+        exportErrorMatcher: '比對條件無效（| 分段不可為空且正規表達式必須有效）：',
+        exportErrorColumn: '輸出欄位的來源與名稱不可為空，行 #',
+        exportErrorDuplicate: '輸出欄位名稱重複：',
+        exportErrorMissingColumn: '資料中沒有 {column} 欄位',
+
+        // Where-used 反查
+        whereUsedTitle: '🔍 Where-used 反查',
+        whereUsedLabel: '輸入 Material 查詢所有使用此料號的產品/版本',
+        whereUsedSearchBtn: '🔍 查詢',
+        whereUsedExportBtn: '📤 匯出工作表',
+        whereUsedResultCount: '筆結果',
+        whereUsedNoResult: '✗ 找不到此 Material',
+        whereUsedEmptyIndex: '✗ 請先處理檔案',
+        whereUsedEmptyQuery: '✗ 請輸入 Material',
+
+        // 執行記錄（見 run-history.js）
+        historyTitle: '🕘 執行記錄',
+        historyRunCount: '筆執行記錄（保存在此瀏覽器）',
+        historyEmpty: '尚無執行記錄，每次處理完成後會自動保存在此瀏覽器',
+        historyUnavailable: '此瀏覽器無法使用 IndexedDB，不保存執行記錄',
+        historyTimeHeader: '時間',
+        historyFilesHeader: '輸入檔',
+        historyRowsHeader: '資料行',
+        historyIssuesHeader: '錯誤 / 警告',
+        historyProfileHeader: '規則設定檔',
+        historyDownloadBtn: '⬇️ 下載',
+        historyDetailBtn: '🔍 明細',
+        historyDeleteBtn: '🗑️ 刪除',
+        historyCompareLabel: '比較兩次執行（A → B）',
+        historyCompareBtn: '🔀 比較',
+        historyCompareSame: '✗ 請選擇兩筆不同的執行記錄',
+        historyDeleteConfirm: '確定要刪除此執行記錄與活頁簿？',
+        historyDeleted: '✓ 執行記錄已刪除',
+        historyNoWorkbook: '✗ 找不到此執行記錄的活頁簿',
+        historySaveFailed: '✗ 執行記錄保存失敗: ',
+        historyLoadFailed: '✗ 讀取執行記錄失敗: ',
+        historyDetailSection: '區段',
+        historyDetailItem: '項目',
+        historyDetailValue: '值',
+        historyCompareRunA: '執行 A',
+        historyCompareRunB: '執行 B',
+        historyCompareChange: '變更',
+        historyChanged: '已變更',
+        historySectionRun: '執行',
+        historySectionSettings: '設定',
+        historySectionTotals: '統計',
+        historySectionFiles: '輸入檔',
+        historyItemCreated: '建立時間',
+        historyItemWorkbook: '活頁簿',
+        historyItemRuleProfile: '規則設定檔',
+        historyItemFiles: '檔案數',
+        historyItemRows: '資料行數',
+        historyItemOutputRows: '輸出行數',
+        historyItemErrors: '錯誤',
+        historyItemWarnings: '警告',
+        historyItemElapsed: '耗時 (ms)',
+        historySettingTrace: '追蹤欄位',
+        historySettingStrict: '嚴格模式',
+        historySettingCompare: '版本比較',
+        historySettingSheet: '工作表',
+        historySettingDedup: '合併策略',
+        historySettingSchema: '欄位結構',
+        historySettingFilenameTemplates: '檔名範本',
+        historySettingFillRules: '填充規則',
+        historySettingEncodings: '編碼',
+        historySettingBaseline: '基準活頁簿',
+        historySettingReplace: '取代基準',
+        historySettingSimulation: '模擬設定檔',
+        historyFileRowsText: '行',
+
+        // 物料需求彙總（見 material-requirements.js）
+        mrpTitle: '📦 物料需求彙總',
+        mrpPlanLabel: '生產數量（每行「產品, 數量」或「產品, 版本, 數量」，未指定版本時使用最新版本；可匯入預測 CSV）',
+        mrpPlanPlaceholder: 'ABC12345678, 400\nXYZ98765432, 2026/2/1, 120',
+        mrpImportBtn: '📂 匯入預測 CSV',
+        mrpFillBtn: '📋 填入產品',
+        mrpCalculateBtn: '🧮 計算需求',
+        mrpExportBtn: '📤 匯出需求',
+        mrpSummary: '{builds} 個產品版本：{materials} 個料號、{sysCpns} 個 SYS_CPN',
+        mrpUnitConflicts: '；{count} 個料號有多個單位（依單位分列）',
+        mrpNotFound: '；{count} 個產品不在資料中',
+        mrpNoData: '處理檔案後依生產數量計算物料需求（下載的檔案加入 MRP 工作表）',
+        mrpNoPlan: '✗ 請輸入生產數量或匯入預測 CSV',
+        mrpImported: '✓ 已匯入預測：',
+        mrpImportFailed: '✗ 匯入預測失敗: ',
+        mrpInvalid: '✗ 生產數量無效: ',
+        mrpFailed: '✗ 無法計算物料需求: ',
+        mrpErrorFormat: '每行需為「產品, 數量」或「產品, 版本, 數量」',
+        mrpErrorQuantity: '數量需為 0 以上的數字',
+        mrpMissingColumns: '缺少計算物料需求需要的欄位：{columns}',
+
+        // 檔案處理錯誤與報告（Files 工作表的 Error / Reason 欄位）
+        decodeFailed: '無法解碼檔案內容',
+        worksheetNotFound: '找不到工作表：{name}（可用：{available}）',
+        workbookEmpty: '活頁簿沒有任何工作表',
+        missingColumns: '缺少必要欄位：{columns}（沒有相符的欄位結構設定檔：{profiles}）',
+        missingColumnsRootRow: 'LV 0 產品行',
+        missingColumnsForSchema: '欄位結構 {schema} 缺少必要欄位：{columns}',
+        reasonDuplicate: '與 {file} 重複（{version}{plant}）',
+        reasonSuperseded: '已被 {file} 取代（{version}{plant}）',
+        reasonPlant: '，Plant Code {plant}',
+        reasonInBaseline: '基準中已存在（{product} {version}）',
+        strictFailed: '{count} 個檔案中有 {failed} 個處理失敗：{names}',
+        baselineNotWorkbook: '基準必須是本工具匯出的 .xlsx 活頁簿',
+        baselineNoSheet: '基準活頁簿沒有「{sheet}」工作表（可用：{available}）',
+        baselineNoColumns: '基準活頁簿的「{sheet}」工作表缺少 Product / Version 欄位',
+        archiveTooDeep: '壓縮檔巢狀超過 {depth} 層：{path}',
+        archiveNestedFailed: '無法開啟巢狀壓縮檔 {path}：{message}',
+        splitMissingColumns: '無法依產品分割：缺少 {product} / {version} 欄位',
+        unsupportedExportFormat: '不支援的匯出格式：{format}（可用：{available}）',
+        unsupportedCsvEncoding: '不支援的 CSV 編碼：{encoding}（可用：{available}）',
+        unknownDedupPolicy: '未知的合併策略：{policy}（可用：{available}）',
+        unknownSchemaProfile: '未知的欄位結構設定檔：{schema}（可用：{available}）',
+
+        // 資料驗證問題（Issues 工作表，見 BOMHierarchyProcessor.validate）
+        issueUsageEmpty: '{material} 的 Unit Usg 為空白，以 1 計算',
+        issueUsageNotNumeric: '{material} 的 Unit Usg「{usage}」不是數字，以 1 計算',
+        issueUsageZero: '{material} 的 Unit Usg 為 0，以 1 計算',
+        issueLvInvalid: '{material} 的 LV「{lv}」不是非負整數',
+        issueLvJump: 'LV 在 {material} 由 {from} 跳至 {to}',
+        issuePartNumberEmpty: '{material} 在 LV {lv} 的 Part Number 為空白，SYS_CPN 無法向上查找',
+        issueParentMismatch: '{material} 的 Part Number {partNumber} 與前方 LV {lv} 的 Material {parent} 不一致',
+        issueParentMissing: '在 LN {ln} 之前找不到 {material} 的父層 {partNumber}',
+        issueCycle: '循環參照：{material} 出現在自己的父層路徑中',
+        issueTooDeep: '{material} 的父層路徑超過 {depth} 層，Ttl. Usage 停止向上累乘',
+
+        // 主控台訊息
+        consoleFileRead: '檔案: {file}, 編碼: {encoding}, 數據行: {rows}',
+        consoleDecoded: '✓ 使用 {encoding} 解碼成功（{source}）',
+        consoleDecodeFailed: '使用 {encoding} 解碼失敗: {message}',
+        consoleDecodeScore: '{encoding} 解碼評分: {score}',
+        consolePlantCodeUnreadable: '無法讀取 Plant Code: {file}',
+        consoleSkipped: '略過 {file}: {reason}',
+        consoleFilled: '✓ {column} 填充（{method}）：{count} 格',
+        consoleCompareDone: '✓ 版本比較完成：{count} 項變更',
+        consoleSimulationFailed: '規則模擬失敗，略過 {file}：',
+        consoleProcessorFailed: 'BOM 層級處理失敗，改用原始資料：',
+        consoleFileFailed: '處理檔案失敗 {file}：',
+        consoleStorageReadFailed: '無法讀取已儲存的設定 {key}：',
+        consoleStorageSaveFailed: '無法儲存設定 {key}：',
+        consoleArchiveFailed: '壓縮檔解壓縮失敗：',
+        consoleCompareSkipped: '略過版本比較：缺少 Product、Version、LV 或 Material 欄位',
+        consoleBig5Unmapped: 'Big5：{count} 個字元無法編碼，已以 \'?\' 取代',
+        consoleOverride: '✓ 產品 {product} 套用覆寫規則：{override}',
+        consoleExportColumnMissing: '匯出欄位 {column} 不存在，輸出空白欄位',
+        consoleMrpProductMissing: '⚠️ 生產數量的產品不在資料中：{product}',
+        consoleMrpUnitConflict: '⚠️ {material} 有多個單位：{units}（依單位分列）',
+        processorInvalidLvRule: '無效的特殊 LV 規則：',
+        processorInvalidChainEntry: '無效的優先順序鏈項目：',
+        processorInvalidPattern: '無效的 Pattern：',
+        processorInvalidLvCondition: '無效的 LV 條件：{lv}',
+        processorRenumbered: '✓ LN 重新編號完成：1-{last}',
+        processorReady: '✓ BOM Hierarchy Processor 初始化成功',
+        processorRowCount: '  - 總行數：{count}',
+        processorMaterialIndex: '  - Material索引數：{count} (總出現次數：{occurrences})',
+        processorPattern: '  - 搜尋Pattern：{pattern}',
+        processorLvRuleCount: '  - 特殊規則數：{count}',
+        processorLvRule: "    └─ 規則{index}：{condition} 且 前綴='{prefix}' (返回自身)",
+        processorLvRuleInvalid: "LV '{lv}'(無效)",
+        processorChains: '  - 優先順序鏈：{chains}',
+        processorProductCount: '  - Product數量：{count}',
+        processorValidated: '✓ 資料驗證完成：{count} 個問題',
+        processorStart: '\n開始處理 {count} 行數據...',
+        processorDone: '✓ 處理完成',
+
+        // 单位
+        millisUnit: 'ms',
+        rowsPerSecUnit: '行/秒',
+
+        // 表头标签（CSV/Excel）
+        productHeader: 'Product',
+        versionHeader: 'Version',
+        bomDataSheet: 'BOM 資料'
+    },
+    'zh-CN': {
+        // UI标题和标签
+        title: 'XLS合并工具',
+        subtitle: '从SAP ZSDR392下载的XLS文件\n进行自动化合并处理&新增字段',
+        inputTitle: '📥 输入数据',
+        typeLabel: '选择输入类型',
+        processBtn: '⚙️ 开始处理',
+        cancelBtn: '⏹ 取消',
+        progressEta: '剩余',
+        secondsUnit: ' 秒',
+        processCancelled: '⏹ 已取消处理',
+        compareLabel: '🔀 比较同一产品的不同版本（输出 Changes 工作表）',
+        traceLabel: '🧭 输出 SYS_CPN 追踪字段（决定规则、查找路径、用量乘数）',
+        strictLabel: '🛑 任一文件失败即中止（不输出部分结果）',
+        sheetNameLabel: '📑 工作簿工作表（XLS/XLSX）',
+        sheetNamePlaceholder: '自动选择（第一个含 LV 与 Unit Usg 的工作表）',
+        filenameTemplateLabel: '🏷️ 文件名模板（每行一个正则表达式，命名组 product / version / plant，其他组输出为字段）',
+        filenameTemplatePlaceholder: '默认：PRODUCT_YYYYMMDDHHMMSS，例如 ^(?<plant>P\\d{3})-(?<product>\\w+)-(?<version>\\d{8})',
+        filenameTemplateInvalid: '✗ 文件名模板错误: ',
+        filenameTemplateErrorRegex: '不是有效的正则表达式: ',
+        filenameTemplateErrorProduct: '缺少命名组 (?<product>...)',
+        fillRuleLabel: '🧩 字段填充规则（每行一个字段：字段 = forward / back / ancestor / filename:组 / none，依顺序填补空白单元格，记录于 Fills 工作表）',
+        fillRulePlaceholder: '默认：',
+        fillRuleInvalid: '✗ 字段填充规则错误: ',
+        fillRuleErrorFormat: '格式应为“字段 = 方法, 方法”',
+        fillRuleErrorColumn: '字段重复',
+        fillRuleErrorMethod: '无效的方法（forward、back、ancestor、filename:组、none）: ',
+        filenamePreviewUnmatched: '个无法解析产品',
+        filenamePreviewLimited: ' / 仅显示前 ',
+        baselineLabel: '基准工作簿（增量合并）',
+        baselineLoadBtn: '加载先前的合并结果',
+        baselineClearBtn: '清除',
+        baselineEmpty: '未加载（从头合并）',
+        baselineRowsText: '行',
+        baselineVersionsText: '个产品版本',
+        baselineReplaceLabel: '重新处理并替换基准中已存在的产品版本',
+        baselineLoaded: '✓ 已加载基准工作簿: ',
+        baselineLoadFailed: '✗ 基准工作簿加载失败: ',
+        dedupPolicyLabel: '合并策略（同一产品有多个版本时）',
+        dedupPolicyAll: '保留所有版本',
+        dedupPolicyLatestProduct: '每个产品只保留最新版本',
+        dedupPolicyLatestProductPlant: '每个产品 + Plant Code 只保留最新版本',
+        schemaProfileLabel: '字段结构（报表格式）',
+        schemaProfileAuto: '自动检测',
+        schemaImportBtn: '📥 导入字段结构',
+        schemaImported: '✓ 已导入字段结构配置文件：',
+        schemaImportFailed: '✗ 导入字段结构配置文件失败: ',
+        schemaBuiltInReadonly: '✗ 内置字段结构配置文件为只读，请使用其他名称',
+        schemaErrorName: '配置文件名称不可为空，也不可为 auto',
+        schemaErrorColumn: '不是标准字段: ',
+        schemaErrorRequired: '必要字段须包含 LV、Unit Usg 与 Part Number（或启用 derivePartNumber）',
+        schemaErrorLevelFormat: 'levelFormat 必须是: ',
+        exportFormatLabel: '导出格式',
+        exportFormatXlsx: 'Excel 工作簿 (.xlsx)',
+        exportFormatCsv: 'CSV',
+        exportFormatJsonl: 'JSON Lines (.jsonl)',
+        exportFormatSplitZip: '按产品拆分 (.zip)',
+        csvEncodingLabel: 'CSV 编码',
+        fileReportTitle: '📋 文件处理报告',
+        filesFailed: '个文件处理失败，其余文件的结果可在预览后下载（详见文件处理报告）',
+        encodingAuto: '自动检测',
+        previewTitle: '🌳 结果预览',
+        previewSearchLabel: '搜索 Material',
+        previewDiffOnlyLabel: '只显示 SYS_CPN 与 Material 不同的行',
+        previewExpandAllBtn: '全部展开',
+        previewCollapseAllBtn: '全部折叠',
+        previewClearBtn: '清除筛选',
+        previewFilterPlaceholder: '筛选',
+        previewProducts: '个产品版本',
+        previewRows: '行',
+        previewMatched: '行符合',
+        previewLimited: ' / 仅显示前 ',
+        downloadBtn: '⬇️ 下载结果',
+        encodingOverrideSaved: '✓ 已指定编码，重新处理后生效',
+        encodingLowConfidence: '编码检测置信度偏低，请确认内容或指定编码',
+        statsTitle: '📊 处理结果统计',
+        statFileCountLabel: '文件数量',
+        statTotalRowsLabel: '总行数',
+        statElapsedTimeLabel: '处理耗时',
+        statAvgTimeLabel: '平均文件耗时',
+        statThroughputLabel: '吞吐量',
+        statIssueCountLabel: '数据问题（错误 / 警告）',
+        statExportFormatLabel: '导出格式',
+        footerText: '✨ XLS合并工具 v20260129 | Adam @仁宝电脑 服务器 #55095',
+        pathEmpty: '未选择任何文件',
+
+        // 按钮标签
+        optFile: '📄 文件',
+        optFolder: '📁 文件夹',
+        optZip: '📦 压缩包(.zip/.7z/.rar/.tar/.tgz)',
+        dropZoneText: '或将文件、文件夹、压缩包拖放到此处（可混合，压缩包内的压缩包也会解压）',
+        dropFailed: '✗ 拖放的项目读取失败: ',
+
+        // 消息和反馈文本
+        selectError: '✗ 请先选择文件',
+        processSuccess: '✓ 数据处理成功！请检查结果预览后下载',
+        compareResult: '项版本变更',
+        downloadSuccess: '✓ 文件已下载',
+        downloadFailed: '✗ 导出失败: ',
+        filesSelectedMsg: '✓ 已选择',
+        filesSelectedCount: '个文件',
+        filesExtractedMsg: '✓ 已提取',
+        filesExtractedCount: '个文件',
+        archiveParseFailed: '✗ 解析压缩包失败: ',
+        processFailed: '✗ 处理失败: ',
+        fileCountText: '个文件',
+        pathPrefixFile: '文件:',
+        pathPrefixFolder: '文件夹:',
+        pathPrefixZip: '压缩包:',
+        pathPrefixDrop: '拖放:',
+        pathMore: ' ...（另有 {count} 个）',
+        pathZipFile: '压缩包',
+
+        // 規則設定檔
+        ruleTitle: '🧩 规则设置',
+        ruleProfileLabel: '规则配置文件',
+        rulePatternLabel: 'FIXED_PATTERN（以 | 分隔的 Material 前缀）',
+        ruleSpecialLabel: 'SPECIAL_LV_RULES（LV 条件成立且前缀匹配时返回自身）',
+        ruleLvHeader: 'LV 条件',
+        ruleLvPlaceholder: '2、<3、=2、>=3、2-4',
+        rulePrefixHeader: '前缀（以 | 分隔，! 开头为排除，/.../ 为正则表达式）',
+        ruleAddBtn: '＋ 新增规则',
+        ruleChainLabel: 'PRIORITY_CHAINS（每行一条优先顺序链，由高至低以 > 分隔；向上查找时改用优先度较高的上阶料号）',
+        ruleChainPlaceholder: '45 > 43',
+        ruleOverrideLabel: '产品覆盖（JSON 数组，依顺序使用第一个 product 相符的覆盖，未设置的字段沿用上方规则）',
+        ruleOverridePlaceholder: '[{"product": "ABC|XYZ", "priorityChains": [["45", "43", "64"]]}]',
+        ruleSimulationLabel: '规则模拟（以候选配置文件处理相同的输入，输出 SYS_CPN / Ttl. Usage 改变的行与汇总）',
+        ruleSimulationNone: '不模拟',
+        simulationResult: '{count} 行受候选规则 {name} 影响',
+        ruleSaveBtn: '💾 保存',
+        ruleSaveAsBtn: '📑 另存为',
+        ruleDeleteBtn: '🗑️ 删除',
+        ruleImportBtn: '📥 导入',
+        ruleExportBtn: '📤 导出',
+        ruleNamePrompt: '请输入规则配置文件名称：',
+        ruleOverwriteConfirm: '已存在同名配置文件，是否覆盖？',
+        ruleDeleteConfirm: '确定要删除此规则配置文件？',
+        ruleSaved: '✓ 规则配置文件已保存',
+        ruleDeleted: '✓ 规则配置文件已删除',
+        ruleImported: '✓ 已导入规则配置文件：',
+        ruleDefaultReadonly: '✗ Default 配置文件为只读，请使用“另存为”',
+        ruleImportFailed: '✗ 导入规则配置文件失败: ',
+        ruleErrorName: '配置文件名称不可为空且不超过 50 字符',
+        ruleErrorPatternEmpty: 'FIXED_PATTERN 不可为空',
+        ruleErrorPatternInvalid: 'FIXED_PATTERN 不是有效的正则表达式: ',
+        ruleErrorPatternEmptyAlt: 'FIXED_PATTERN 含有空的 | 分段（会匹配所有 Material）',
+        ruleErrorRuleLv: 'LV 条件无效（例如 2、<3、=2、>=3、2-4），规则 #',
+        ruleErrorRulePrefix: '前缀不可为空（含 | 分段）且正则表达式必须有效，规则 #',
+        ruleErrorChain: '优先顺序链至少需要两个有效的项目，链 #',
+        ruleErrorOverride: '产品覆盖 #',
+        ruleErrorOverrideProduct: 'product 不可为空且必须是有效的匹配条件',
+        ruleErrorOverrideJson: '✗ 产品覆盖不是有效的 JSON 数组: ',
+
+        // 导出设置（见 export-presets.js）
+        exportPresetTitle: '📤 导出设置',
+        exportPresetLabel: '导出预设（下载时应用下方的设置，所有导出格式均适用）',
+        exportPresetSaveBtn: '💾 保存',
+        exportPresetSaveAsBtn: '📑 另存为',
+        exportPresetDeleteBtn: '🗑️ 删除',
+        exportPresetImportBtn: '📥 导入',
+        exportPresetExportBtn: '📤 导出',
+        exportProductLabel: 'Product（匹配条件，例如 ABC|XYZ；空白为全部）',
+        exportLvLabel: 'LV 范围（例如 2-4、>=3、<=2；空白为全部）',
+        exportMaterialLabel: 'Material 前缀（以 | 分隔，! 开头为排除，/.../ 为正则表达式；空白为全部）',
+        exportSysCpnLabel: 'SYS_CPN 组（与 Material 相同的匹配条件；空白为全部）',
+        exportColumnsLabel: '输出字段（每行一个，依顺序输出，“字段 = 新名称”重新命名；空白为全部字段）',
+        exportColumnsPlaceholder: 'Product\nMaterial = 料号\nSYS_CPN\nTtl. Usage = 用量',
+        exportColumnsFillBtn: '📋 填入当前的字段',
+        exportCollapseLabel: '每个 Product / Version / SYS_CPN 只输出一行（Ttl. Usage 为 SYS_CPN 本身的用量合计，另加 Collapsed Rows 字段）',
+        exportPresetSummary: '导出 {rows} / {total} 行，{columns} 个字段',
+        exportPresetNoData: '处理文件后显示导出的行数与字段数',
+        exportPresetNamePrompt: '请输入导出预设名称：',
+        exportPresetOverwriteConfirm: '已存在同名预设，是否覆盖？',
+        exportPresetDeleteConfirm: '确定要删除此导出预设？',
+        exportPresetSaved: '✓ 导出预设已保存',
+        exportPresetDeleted: '✓ 导出预设已删除',
+        exportPresetImported: '✓ 已导入导出预设：',
+        exportPresetDefaultReadonly: '✗ Default 预设为只读，请使用“另存为”',
+        exportPresetImportFailed: '✗ 导入导出预设失败: ',
+        exportPresetInvalid: '✗ 导出设置无效: ',
+        exportErrorName: '预设名称不可为空且不超过 50 字符',
+        exportErrorLv: 'LV 范围无效（例如 2-4、>=3、<=2）',
+        exportErrorMatcher: '匹配条件无效（| 分段不可为空且正则表达式必须有效）：',
+        exportErrorColumn: '输出字段的来源与名称不可为空，行 #',
+        exportErrorDuplicate: '输出字段名称重复：',
+        exportErrorMissingColumn: '数据中没有 {column} 字段',
+
+        // Where-used 反查
+        whereUsedTitle: '🔍 Where-used 反查',
+        whereUsedLabel: '输入 Material 查询所有使用此料号的产品/版本',
+        whereUsedSearchBtn: '🔍 查询',
+        whereUsedExportBtn: '📤 导出工作表',
+        whereUsedResultCount: '条结果',
+        whereUsedNoResult: '✗ 找不到此 Material',
+        whereUsedEmptyIndex: '✗ 请先处理文件',
+        whereUsedEmptyQuery: '✗ 请输入 Material',
+
+        // 执行记录（见 run-history.js）
+        historyTitle: '🕘 执行记录',
+        historyRunCount: '条执行记录（保存在此浏览器）',
+        historyEmpty: '尚无执行记录，每次处理完成后会自动保存在此浏览器',
+        historyUnavailable: '此浏览器无法使用 IndexedDB，不保存执行记录',
+        historyTimeHeader: '时间',
+        historyFilesHeader: '输入文件',
+        historyRowsHeader: '数据行',
+        historyIssuesHeader: '错误 / 警告',
+        historyProfileHeader: '规则配置文件',
+        historyDownloadBtn: '⬇️ 下载',
+        historyDetailBtn: '🔍 明细',
+        historyDeleteBtn: '🗑️ 删除',
+        historyCompareLabel: '比较两次执行（A → B）',
+        historyCompareBtn: '🔀 比较',
+        historyCompareSame: '✗ 请选择两条不同的执行记录',
+        historyDeleteConfirm: '确定要删除此执行记录与工作簿？',
+        historyDeleted: '✓ 执行记录已删除',
+        historyNoWorkbook: '✗ 找不到此执行记录的工作簿',
+        historySaveFailed: '✗ 执行记录保存失败: ',
+        historyLoadFailed: '✗ 读取执行记录失败: ',
+        historyDetailSection: '区段',
+        historyDetailItem: '项目',
+        historyDetailValue: '值',
+        historyCompareRunA: '执行 A',
+        historyCompareRunB: '执行 B',
+        historyCompareChange: '变更',
+        historyChanged: '已变更',
+        historySectionRun: '执行',
+        historySectionSettings: '设置',
+        historySectionTotals: '统计',
+        historySectionFiles: '输入文件',
+        historyItemCreated: '创建时间',
+        historyItemWorkbook: '工作簿',
+        historyItemRuleProfile: '规则配置文件',
+        historyItemFiles: '文件数',
+        historyItemRows: '数据行数',
+        historyItemOutputRows: '输出行数',
+        historyItemErrors: '错误',
+        historyItemWarnings: '警告',
+        historyItemElapsed: '耗时 (ms)',
+        historySettingTrace: '追踪字段',
+        historySettingStrict: '严格模式',
+        historySettingCompare: '版本比较',
+        historySettingSheet: '工作表',
+        historySettingDedup: '合并策略',
+        historySettingSchema: '字段结构',
+        historySettingFilenameTemplates: '文件名模板',
+        historySettingFillRules: '填充规则',
+        historySettingEncodings: '编码',
+        historySettingBaseline: '基准工作簿',
+        historySettingReplace: '替换基准',
+        historySettingSimulation: '模拟配置文件',
+        historyFileRowsText: '行',
+
+        // 物料需求汇总（见 material-requirements.js）
+        mrpTitle: '📦 物料需求汇总',
+        mrpPlanLabel: '生产数量（每行「产品, 数量」或「产品, 版本, 数量」，未指定版本时使用最新版本；可导入预测 CSV）',
+        mrpPlanPlaceholder: 'ABC12345678, 400\nXYZ98765432, 2026/2/1, 120',
+        mrpImportBtn: '📂 导入预测 CSV',
+        mrpFillBtn: '📋 填入产品',
+        mrpCalculateBtn: '🧮 计算需求',
+        mrpExportBtn: '📤 导出需求',
+        mrpSummary: '{builds} 个产品版本：{materials} 个料号、{sysCpns} 个 SYS_CPN',
+        mrpUnitConflicts: '；{count} 个料号有多个单位（按单位分行）',
+        mrpNotFound: '；{count} 个产品不在数据中',
+        mrpNoData: '处理文件后按生产数量计算物料需求（下载的文件加入 MRP 工作表）',
+        mrpNoPlan: '✗ 请输入生产数量或导入预测 CSV',
+        mrpImported: '✓ 已导入预测：',
+        mrpImportFailed: '✗ 导入预测失败: ',
+        mrpInvalid: '✗ 生产数量无效: ',
+        mrpFailed: '✗ 无法计算物料需求: ',
+        mrpErrorFormat: '每行需为「产品, 数量」或「产品, 版本, 数量」',
+        mrpErrorQuantity: '数量需为 0 以上的数字',
+        mrpMissingColumns: '缺少计算物料需求需要的字段：{columns}',
+
+        // 檔案處理錯誤與報告（Files 工作表的 Error / Reason 欄位）
+        decodeFailed: '无法解码文件内容',
+        worksheetNotFound: '找不到工作表：{name}（可用：{available}）',
+        workbookEmpty: '工作簿没有任何工作表',
+        missingColumns: '缺少必要字段：{columns}（没有相符的字段结构配置文件：{profiles}）',
+        missingColumnsRootRow: 'LV 0 产品行',
+        missingColumnsForSchema: '字段结构 {schema} 缺少必要字段：{columns}',
+        reasonDuplicate: '与 {file} 重复（{version}{plant}）',
+        reasonSuperseded: '已被 {file} 取代（{version}{plant}）',
+        reasonPlant: '，Plant Code {plant}',
+        reasonInBaseline: '基准中已存在（{product} {version}）',
+        strictFailed: '{count} 个文件中有 {failed} 个处理失败：{names}',
+        baselineNotWorkbook: '基准必须是本工具导出的 .xlsx 工作簿',
+        baselineNoSheet: '基准工作簿没有“{sheet}”工作表（可用：{available}）',
+        baselineNoColumns: '基准工作簿的“{sheet}”工作表缺少 Product / Version 字段',
+        archiveTooDeep: '压缩包嵌套超过 {depth} 层：{path}',
+        archiveNestedFailed: '无法打开嵌套压缩包 {path}：{message}',
+        splitMissingColumns: '无法按产品拆分：缺少 {product} / {version} 字段',
+        unsupportedExportFormat: '不支持的导出格式：{format}（可用：{available}）',
+        unsupportedCsvEncoding: '不支持的 CSV 编码：{encoding}（可用：{available}）',
+        unknownDedupPolicy: '未知的合并策略：{policy}（可用：{available}）',
+        unknownSchemaProfile: '未知的字段结构配置文件：{schema}（可用：{available}）',
+
+        // 資料驗證問題（Issues 工作表，見 BOMHierarchyProcessor.validate）
+        issueUsageEmpty: '{material} 的 Unit Usg 为空白，按 1 计算',
+        issueUsageNotNumeric: '{material} 的 Unit Usg“{usage}”不是数字，按 1 计算',
+        issueUsageZero: '{material} 的 Unit Usg 为 0，按 1 计算',
+        issueLvInvalid: '{material} 的 LV“{lv}”不是非负整数',
+        issueLvJump: 'LV 在 {material} 由 {from} 跳至 {to}',
+        issuePartNumberEmpty: '{material} 在 LV {lv} 的 Part Number 为空白，SYS_CPN 无法向上查找',
+        issueParentMismatch: '{material} 的 Part Number {partNumber} 与前方 LV {lv} 的 Material {parent} 不一致',
+        issueParentMissing: '在 LN {ln} 之前找不到 {material} 的父层 {partNumber}',
+        issueCycle: '循环引用：{material} 出现在自己的父层路径中',
+        issueTooDeep: '{material} 的父层路径超过 {depth} 层，Ttl. Usage 停止向上累乘',
+
+        // 主控台訊息
+        consoleFileRead: '文件: {file}, 编码: {encoding}, 数据行: {rows}',
+        consoleDecoded: '✓ 使用 {encoding} 解码成功（{source}）',
+        consoleDecodeFailed: '使用 {encoding} 解码失败: {message}',
+        consoleDecodeScore: '{encoding} 解码评分: {score}',
+        consolePlantCodeUnreadable: '无法读取 Plant Code: {file}',
+        consoleSkipped: '跳过 {file}: {reason}',
+        consoleFilled: '✓ {column} 填充（{method}）：{count} 格',
+        consoleCompareDone: '✓ 版本比较完成：{count} 项变更',
+        consoleSimulationFailed: '规则模拟失败，跳过 {file}：',
+        consoleProcessorFailed: 'BOM 层级处理失败，改用原始数据：',
+        consoleFileFailed: '处理文件失败 {file}：',
+        consoleStorageReadFailed: '无法读取已保存的设置 {key}：',
+        consoleStorageSaveFailed: '无法保存设置 {key}：',
+        consoleArchiveFailed: '压缩文件解压失败：',
+        consoleCompareSkipped: '跳过版本比较：缺少 Product、Version、LV 或 Material 字段',
+        consoleBig5Unmapped: 'Big5：{count} 个字符无法编码，已用 \'?\' 替换',
+        consoleOverride: '✓ 产品 {product} 使用覆盖规则：{override}',
+        consoleExportColumnMissing: '导出字段 {column} 不存在，输出空白字段',
+        consoleMrpProductMissing: '⚠️ 生产数量的产品不在数据中：{product}',
+        consoleMrpUnitConflict: '⚠️ {material} 有多个单位：{units}（按单位分行）',
+        processorInvalidLvRule: '无效的特殊 LV 规则：',
+        processorInvalidChainEntry: '无效的优先顺序链项目：',
+        processorInvalidPattern: '无效的 Pattern：',
+        processorInvalidLvCondition: '无效的 LV 条件：{lv}',
+        processorRenumbered: '✓ LN 重新编号完成：1-{last}',
+        processorReady: '✓ BOM Hierarchy Processor 初始化成功',
+        processorRowCount: '  - 总行数：{count}',
+        processorMaterialIndex: '  - Material索引数：{count} (总出现次数：{occurrences})',
+        processorPattern: '  - 搜索Pattern：{pattern}',
+        processorLvRuleCount: '  - 特殊规则数：{count}',
+        processorLvRule: "    └─ 规则{index}：{condition} 且 前缀='{prefix}' (返回自身)",
+        processorLvRuleInvalid: "LV '{lv}'(无效)",
+        processorChains: '  - 优先顺序链：{chains}',
+        processorProductCount: '  - Product数量：{count}',
+        processorValidated: '✓ 数据验证完成：{count} 个问题',
+        processorStart: '\n开始处理 {count} 行数据...',
+        processorDone: '✓ 处理完成',
 
         // 单位
         millisUnit: 'ms',
@@ -47,7 +732,8 @@ const translations = {
 
         // 表头标签（CSV/Excel）
         productHeader: 'Product',
-        versionHeader: 'Version'
+        versionHeader: 'Version',
+        bomDataSheet: 'BOM 数据'
     },
     'en': {
         // UI标题和标签
@@ -56,34 +742,348 @@ const translations = {
         inputTitle: '📥 Input Data',
         typeLabel: 'Select Input Type',
         processBtn: '⚙️ Start Processing',
+        cancelBtn: '⏹ Cancel',
+        progressEta: 'ETA',
+        secondsUnit: ' s',
+        processCancelled: '⏹ Processing cancelled',
+        compareLabel: '🔀 Compare versions of the same product (adds a Changes sheet)',
+        traceLabel: '🧭 Add SYS_CPN trace columns (rule, climb path, usage factors)',
+        strictLabel: '🛑 Stop if any file fails (no partial output)',
+        sheetNameLabel: '📑 Workbook sheet (XLS/XLSX)',
+        sheetNamePlaceholder: 'Automatic (first sheet with LV and Unit Usg)',
+        filenameTemplateLabel: '🏷️ Filename templates (one regex per line, named groups product / version / plant, other groups become columns)',
+        filenameTemplatePlaceholder: 'Default: PRODUCT_YYYYMMDDHHMMSS, e.g. ^(?<plant>P\\d{3})-(?<product>\\w+)-(?<version>\\d{8})',
+        filenameTemplateInvalid: '✗ Invalid filename template: ',
+        filenameTemplateErrorRegex: 'not a valid regular expression: ',
+        filenameTemplateErrorProduct: 'missing the named group (?<product>...)',
+        fillRuleLabel: '🧩 Column fill rules (one column per line: column = forward / back / ancestor / filename:group / none, applied in order to blank cells, logged in a Fills sheet)',
+        fillRulePlaceholder: 'Default: ',
+        fillRuleInvalid: '✗ Invalid fill rule: ',
+        fillRuleErrorFormat: 'expected "column = method, method"',
+        fillRuleErrorColumn: 'duplicate column',
+        fillRuleErrorMethod: 'invalid method (forward, back, ancestor, filename:group, none): ',
+        filenamePreviewUnmatched: 'without a product',
+        filenamePreviewLimited: ' / showing the first ',
+        baselineLabel: 'Baseline Workbook (incremental append)',
+        baselineLoadBtn: 'Load previous result',
+        baselineClearBtn: 'Clear',
+        baselineEmpty: 'None (consolidate from scratch)',
+        baselineRowsText: { one: 'row', other: 'rows' },
+        baselineVersionsText: { one: 'product version', other: 'product versions' },
+        baselineReplaceLabel: 'Reprocess and replace product versions already in the baseline',
+        baselineLoaded: '✓ Baseline workbook loaded: ',
+        baselineLoadFailed: '✗ Failed to load baseline workbook: ',
+        dedupPolicyLabel: 'Consolidation Policy (multiple versions of a product)',
+        dedupPolicyAll: 'Keep all versions',
+        dedupPolicyLatestProduct: 'Latest version per product',
+        dedupPolicyLatestProductPlant: 'Latest version per product and Plant Code',
+        schemaProfileLabel: 'Column Schema (report layout)',
+        schemaProfileAuto: 'Auto-detect',
+        schemaImportBtn: '📥 Import Schema',
+        schemaImported: '✓ Imported schema profiles: ',
+        schemaImportFailed: '✗ Failed to import schema profile: ',
+        schemaBuiltInReadonly: '✗ Built-in schema profiles are read-only, please use another name',
+        schemaErrorName: 'Profile name must be non-empty and not "auto"',
+        schemaErrorColumn: 'Not a canonical column: ',
+        schemaErrorRequired: 'Required columns must include LV, Unit Usg and Part Number (or enable derivePartNumber)',
+        schemaErrorLevelFormat: 'levelFormat must be one of: ',
+        exportFormatLabel: 'Export Format',
+        exportFormatXlsx: 'Excel workbook (.xlsx)',
+        exportFormatCsv: 'CSV',
+        exportFormatJsonl: 'JSON Lines (.jsonl)',
+        exportFormatSplitZip: 'Split by product (.zip)',
+        csvEncodingLabel: 'CSV Encoding',
+        fileReportTitle: '📋 File Report',
+        filesFailed: {
+            one: 'file failed; the results of the remaining files can be reviewed and downloaded (see File Report)',
+            other: 'files failed; the results of the remaining files can be reviewed and downloaded (see File Report)'
+        },
+        encodingAuto: 'Auto-detect',
+        previewTitle: '🌳 Result Preview',
+        previewSearchLabel: 'Search Material',
+        previewDiffOnlyLabel: 'Only rows whose SYS_CPN differs from Material',
+        previewExpandAllBtn: 'Expand All',
+        previewCollapseAllBtn: 'Collapse All',
+        previewClearBtn: 'Clear Filters',
+        previewFilterPlaceholder: 'Filter',
+        previewProducts: { one: 'product version', other: 'product versions' },
+        previewRows: { one: 'row', other: 'rows' },
+        previewMatched: 'matched',
+        previewLimited: ' / showing the first ',
+        downloadBtn: '⬇️ Download Results',
+        encodingOverrideSaved: '✓ Encoding override saved; process again to apply',
+        encodingLowConfidence: 'Low encoding detection confidence; check the content or force an encoding',
         statsTitle: '📊 Processing Results',
         statFileCountLabel: 'File Count',
         statTotalRowsLabel: 'Total Rows',
         statElapsedTimeLabel: 'Processing Time',
         statAvgTimeLabel: 'Avg File Time',
         statThroughputLabel: 'Throughput',
+        statIssueCountLabel: 'Data Issues (errors / warnings)',
+        statExportFormatLabel: 'Export Format',
         footerText: '✨ XLS Consolidator v20260129 | Adam @Compal Server #55095',
         pathEmpty: 'No files selected',
 
         // 按钮标签
         optFile: '📄 File',
         optFolder: '📁 Folder',
-        optZip: '📦 ZIP/7z',
+        optZip: '📦 ZIP/7z/RAR/TAR/TGZ',
+        dropZoneText: 'Or drop files, folders and archives here (any mix; nested archives are extracted too)',
+        dropFailed: '✗ Could not read the dropped items: ',
 
         // 消息和反馈文本
         selectError: '✗ Please select files first',
-        processSuccess: '✓ Data processing completed!',
+        processSuccess: '✓ Data processing completed! Review the preview, then download',
+        compareResult: { one: 'version change', other: 'version changes' },
         downloadSuccess: '✓ File downloaded',
+        downloadFailed: '✗ Export failed: ',
         filesSelectedMsg: '✓ Selected',
-        filesSelectedCount: 'files',
+        filesSelectedCount: { one: 'file', other: 'files' },
         filesExtractedMsg: '✓ Extracted',
-        filesExtractedCount: 'files',
+        filesExtractedCount: { one: 'file', other: 'files' },
         archiveParseFailed: '✗ Archive parsing failed: ',
         processFailed: '✗ Processing failed: ',
-        fileCountText: 'files',
+        fileCountText: { one: 'file', other: 'files' },
         pathPrefixFile: 'File:',
         pathPrefixFolder: 'Folder:',
         pathPrefixZip: 'ZIP:',
+        pathPrefixDrop: 'Dropped:',
+        pathMore: ' ... (+{count} more)',
+        pathZipFile: 'ZIP file',
+
+        // 規則設定檔
+        ruleTitle: '🧩 Rule Profile',
+        ruleProfileLabel: 'Rule Profile',
+        rulePatternLabel: 'FIXED_PATTERN (Material prefixes separated by |)',
+        ruleSpecialLabel: 'SPECIAL_LV_RULES (returns itself when the LV condition holds and prefix matches)',
+        ruleLvHeader: 'LV condition',
+        ruleLvPlaceholder: '2, <3, =2, >=3, 2-4',
+        rulePrefixHeader: 'Prefixes (separated by |, ! excludes, /.../ is a regex)',
+        ruleAddBtn: '＋ Add Rule',
+        ruleChainLabel: 'PRIORITY_CHAINS (one chain per line, highest first, separated by >; climbing prefers the higher parent)',
+        ruleChainPlaceholder: '45 > 43',
+        ruleOverrideLabel: 'Product overrides (JSON array; the first override whose product matches wins, unset fields use the rules above)',
+        ruleOverridePlaceholder: '[{"product": "ABC|XYZ", "priorityChains": [["45", "43", "64"]]}]',
+        ruleSimulationLabel: 'Rule simulation (process the same input with a candidate profile; adds the rows whose SYS_CPN / Ttl. Usage change and a summary)',
+        ruleSimulationNone: 'No simulation',
+        simulationResult: { one: '{count} row changed by candidate {name}', other: '{count} rows changed by candidate {name}' },
+        ruleSaveBtn: '💾 Save',
+        ruleSaveAsBtn: '📑 Save As',
+        ruleDeleteBtn: '🗑️ Delete',
+        ruleImportBtn: '📥 Import',
+        ruleExportBtn: '📤 Export',
+        ruleNamePrompt: 'Enter a rule profile name:',
+        ruleOverwriteConfirm: 'A profile with this name already exists. Overwrite it?',
+        ruleDeleteConfirm: 'Delete this rule profile?',
+        ruleSaved: '✓ Rule profile saved',
+        ruleDeleted: '✓ Rule profile deleted',
+        ruleImported: '✓ Imported rule profiles: ',
+        ruleDefaultReadonly: '✗ The Default profile is read-only, use "Save As"',
+        ruleImportFailed: '✗ Rule profile import failed: ',
+        ruleErrorName: 'Profile name must be non-empty and at most 50 characters',
+        ruleErrorPatternEmpty: 'FIXED_PATTERN must not be empty',
+        ruleErrorPatternInvalid: 'FIXED_PATTERN is not a valid regular expression: ',
+        ruleErrorPatternEmptyAlt: 'FIXED_PATTERN has an empty | segment (would match every Material)',
+        ruleErrorRuleLv: 'Invalid LV condition (e.g. 2, <3, =2, >=3, 2-4), rule #',
+        ruleErrorRulePrefix: 'Prefix must not be empty (including | segments) and regexes must be valid, rule #',
+        ruleErrorChain: 'Priority chain needs at least two valid entries, chain #',
+        ruleErrorOverride: 'Product override #',
+        ruleErrorOverrideProduct: 'product must be a non-empty, valid matcher',
+        ruleErrorOverrideJson: '✗ Product overrides are not a valid JSON array: ',
+
+        // Export settings (see export-presets.js)
+        exportPresetTitle: '📤 Export Settings',
+        exportPresetLabel: 'Export preset (the settings below are applied on download, in every export format)',
+        exportPresetSaveBtn: '💾 Save',
+        exportPresetSaveAsBtn: '📑 Save As',
+        exportPresetDeleteBtn: '🗑️ Delete',
+        exportPresetImportBtn: '📥 Import',
+        exportPresetExportBtn: '📤 Export',
+        exportProductLabel: 'Product (matcher, e.g. ABC|XYZ; blank for all)',
+        exportLvLabel: 'LV range (e.g. 2-4, >=3, <=2; blank for all)',
+        exportMaterialLabel: 'Material prefix (| separated, ! to exclude, /.../ for a regular expression; blank for all)',
+        exportSysCpnLabel: 'SYS_CPN group (same matcher syntax as Material; blank for all)',
+        exportColumnsLabel: 'Output columns (one per line, in output order; "column = new name" renames; blank for all columns)',
+        exportColumnsPlaceholder: 'Product\nMaterial = Part\nSYS_CPN\nTtl. Usage = Qty',
+        exportColumnsFillBtn: '📋 Insert current columns',
+        exportCollapseLabel: 'One row per Product / Version / SYS_CPN (Ttl. Usage is the total of the SYS_CPN part itself, plus a Collapsed Rows column)',
+        exportPresetSummary: '{rows} of {total} rows, {columns} columns exported',
+        exportPresetNoData: 'Process files to see the exported row and column counts',
+        exportPresetNamePrompt: 'Enter an export preset name:',
+        exportPresetOverwriteConfirm: 'A preset with this name exists. Overwrite it?',
+        exportPresetDeleteConfirm: 'Delete this export preset?',
+        exportPresetSaved: '✓ Export preset saved',
+        exportPresetDeleted: '✓ Export preset deleted',
+        exportPresetImported: '✓ Imported export presets: ',
+        exportPresetDefaultReadonly: '✗ The Default preset is read-only, use "Save As"',
+        exportPresetImportFailed: '✗ Export preset import failed: ',
+        exportPresetInvalid: '✗ Invalid export settings: ',
+        exportErrorName: 'Preset name must be non-empty and at most 50 characters',
+        exportErrorLv: 'Invalid LV range (e.g. 2-4, >=3, <=2)',
+        exportErrorMatcher: 'Invalid matcher (no empty | segments, regular expressions must be valid): ',
+        exportErrorColumn: 'Output column source and name must not be empty, line #',
+        exportErrorDuplicate: 'Duplicate output column name: ',
+        exportErrorMissingColumn: 'The data has no {column} column',
+
+        // Where-used 反查
+        whereUsedTitle: '🔍 Where-used Lookup',
+        whereUsedLabel: 'Enter a Material to list every product/version that uses it',
+        whereUsedSearchBtn: '🔍 Search',
+        whereUsedExportBtn: '📤 Export Sheet',
+        whereUsedResultCount: { one: 'result', other: 'results' },
+        whereUsedNoResult: '✗ Material not found',
+        whereUsedEmptyIndex: '✗ Please process files first',
+        whereUsedEmptyQuery: '✗ Please enter a Material',
+
+        // Run history (see run-history.js)
+        historyTitle: '🕘 Run History',
+        historyRunCount: { one: 'run kept in this browser', other: 'runs kept in this browser' },
+        historyEmpty: 'No runs yet. Every completed run is saved in this browser automatically',
+        historyUnavailable: 'IndexedDB is not available in this browser; runs are not saved',
+        historyTimeHeader: 'Time',
+        historyFilesHeader: 'Input Files',
+        historyRowsHeader: 'Rows',
+        historyIssuesHeader: 'Errors / Warnings',
+        historyProfileHeader: 'Rule Profile',
+        historyDownloadBtn: '⬇️ Download',
+        historyDetailBtn: '🔍 Details',
+        historyDeleteBtn: '🗑️ Delete',
+        historyCompareLabel: 'Compare two runs (A → B)',
+        historyCompareBtn: '🔀 Compare',
+        historyCompareSame: '✗ Please select two different runs',
+        historyDeleteConfirm: 'Delete this run and its workbook?',
+        historyDeleted: '✓ Run deleted',
+        historyNoWorkbook: '✗ The workbook of this run was not found',
+        historySaveFailed: '✗ Run could not be saved: ',
+        historyLoadFailed: '✗ Run history could not be read: ',
+        historyDetailSection: 'Section',
+        historyDetailItem: 'Item',
+        historyDetailValue: 'Value',
+        historyCompareRunA: 'Run A',
+        historyCompareRunB: 'Run B',
+        historyCompareChange: 'Change',
+        historyChanged: 'Changed',
+        historySectionRun: 'Run',
+        historySectionSettings: 'Settings',
+        historySectionTotals: 'Totals',
+        historySectionFiles: 'Files',
+        historyItemCreated: 'Created',
+        historyItemWorkbook: 'Workbook',
+        historyItemRuleProfile: 'Rule Profile',
+        historyItemFiles: 'Files',
+        historyItemRows: 'Rows',
+        historyItemOutputRows: 'Output Rows',
+        historyItemErrors: 'Errors',
+        historyItemWarnings: 'Warnings',
+        historyItemElapsed: 'Elapsed (ms)',
+        historySettingTrace: 'Trace',
+        historySettingStrict: 'Strict',
+        historySettingCompare: 'Compare Versions',
+        historySettingSheet: 'Sheet',
+        historySettingDedup: 'Dedup Policy',
+        historySettingSchema: 'Schema',
+        historySettingFilenameTemplates: 'Filename Templates',
+        historySettingFillRules: 'Fill Rules',
+        historySettingEncodings: 'Encodings',
+        historySettingBaseline: 'Baseline',
+        historySettingReplace: 'Replace Baseline',
+        historySettingSimulation: 'Simulation Profile',
+        historyFileRowsText: { one: 'row', other: 'rows' },
+
+        // Material requirements (see material-requirements.js)
+        mrpTitle: '📦 Material Requirements',
+        mrpPlanLabel: 'Build quantities (one "product, quantity" or "product, version, quantity" per line; the latest version is used when none is given; a forecast CSV can be imported)',
+        mrpPlanPlaceholder: 'ABC12345678, 400\nXYZ98765432, 2026/2/1, 120',
+        mrpImportBtn: '📂 Import Forecast CSV',
+        mrpFillBtn: '📋 Fill Products',
+        mrpCalculateBtn: '🧮 Calculate',
+        mrpExportBtn: '📤 Export Requirements',
+        mrpSummary: { one: '{builds} product version: {materials} materials, {sysCpns} SYS_CPN', other: '{builds} product versions: {materials} materials, {sysCpns} SYS_CPN' },
+        mrpUnitConflicts: { one: '; {count} material has several units (one row per unit)', other: '; {count} materials have several units (one row per unit)' },
+        mrpNotFound: { one: '; {count} product not in the data', other: '; {count} products not in the data' },
+        mrpNoData: 'Process files to calculate material requirements from build quantities (the download gets MRP sheets)',
+        mrpNoPlan: '✗ Please enter build quantities or import a forecast CSV',
+        mrpImported: '✓ Forecast imported: ',
+        mrpImportFailed: '✗ Forecast import failed: ',
+        mrpInvalid: '✗ Invalid build quantities: ',
+        mrpFailed: '✗ Material requirements could not be calculated: ',
+        mrpErrorFormat: 'each line must be "product, quantity" or "product, version, quantity"',
+        mrpErrorQuantity: 'the quantity must be a number of 0 or more',
+        mrpMissingColumns: 'Missing columns needed for material requirements: {columns}',
+
+        // 檔案處理錯誤與報告（Files 工作表的 Error / Reason 欄位）
+        decodeFailed: 'Unable to decode the file content',
+        worksheetNotFound: 'Worksheet not found: {name} (available: {available})',
+        workbookEmpty: 'The workbook contains no worksheets',
+        missingColumns: 'Missing required columns: {columns} (no schema profile matches: {profiles})',
+        missingColumnsRootRow: 'LV 0 product row',
+        missingColumnsForSchema: 'Missing required columns for schema {schema}: {columns}',
+        reasonDuplicate: 'Duplicate of {file} ({version}{plant})',
+        reasonSuperseded: 'Superseded by {file} ({version}{plant})',
+        reasonPlant: ', Plant Code {plant}',
+        reasonInBaseline: 'Already in baseline ({product} {version})',
+        strictFailed: { one: '{failed} of {count} file failed: {names}', other: '{failed} of {count} files failed: {names}' },
+        baselineNotWorkbook: 'The baseline must be an .xlsx workbook exported by this tool',
+        baselineNoSheet: 'The baseline workbook has no "{sheet}" sheet (available: {available})',
+        baselineNoColumns: 'The "{sheet}" sheet of the baseline workbook is missing the Product / Version columns',
+        archiveTooDeep: 'Archive nesting deeper than {depth} levels: {path}',
+        archiveNestedFailed: 'Cannot open nested archive {path}: {message}',
+        splitMissingColumns: 'Cannot split by product: missing {product} / {version} column',
+        unsupportedExportFormat: 'Unsupported export format: {format} (available: {available})',
+        unsupportedCsvEncoding: 'Unsupported CSV encoding: {encoding} (available: {available})',
+        unknownDedupPolicy: 'Unknown consolidation policy: {policy} (available: {available})',
+        unknownSchemaProfile: 'Unknown schema profile: {schema} (available: {available})',
+
+        // 資料驗證問題（Issues 工作表，見 BOMHierarchyProcessor.validate）
+        issueUsageEmpty: 'Unit Usg of {material} is empty; treated as 1',
+        issueUsageNotNumeric: 'Unit Usg "{usage}" of {material} is not numeric; treated as 1',
+        issueUsageZero: 'Unit Usg of {material} is 0; treated as 1',
+        issueLvInvalid: 'LV "{lv}" of {material} is not a non-negative integer',
+        issueLvJump: 'LV jumps from {from} to {to} at {material}',
+        issuePartNumberEmpty: 'Part Number of {material} is empty at LV {lv}; SYS_CPN cannot climb',
+        issueParentMismatch: 'Part Number {partNumber} of {material} does not match the preceding LV {lv} Material {parent}',
+        issueParentMissing: 'Parent {partNumber} of {material} not found above LN {ln}',
+        issueCycle: 'Cycle: {material} appears in its own parent chain',
+        issueTooDeep: 'Parent chain of {material} is deeper than {depth} levels; Ttl. Usage stops climbing',
+
+        // 主控台訊息
+        consoleFileRead: 'File: {file}, encoding: {encoding}, rows: {rows}',
+        consoleDecoded: '✓ Successfully decoded with {encoding} ({source})',
+        consoleDecodeFailed: 'Decoding with {encoding} failed: {message}',
+        consoleDecodeScore: '{encoding} decoding score: {score}',
+        consolePlantCodeUnreadable: 'Cannot read the Plant Code of {file}',
+        consoleSkipped: 'Skipped {file}: {reason}',
+        consoleFilled: { one: '✓ Filled {column} ({method}): {count} cell', other: '✓ Filled {column} ({method}): {count} cells' },
+        consoleCompareDone: { one: '✓ Version comparison finished: {count} change', other: '✓ Version comparison finished: {count} changes' },
+        consoleSimulationFailed: 'Rule simulation failed, skipping {file}:',
+        consoleProcessorFailed: 'BOM hierarchy processing failed, using the raw data:',
+        consoleFileFailed: 'Error processing file {file}:',
+        consoleStorageReadFailed: 'Saved settings {key} could not be read:',
+        consoleStorageSaveFailed: 'Settings {key} could not be saved:',
+        consoleArchiveFailed: 'Archive extraction error:',
+        consoleCompareSkipped: 'Version diff skipped: missing Product, Version, LV or Material column',
+        consoleBig5Unmapped: { one: 'Big5: {count} character could not be encoded and was replaced with \'?\'', other: 'Big5: {count} characters could not be encoded and were replaced with \'?\'' },
+        consoleOverride: '✓ Product {product} uses the override rules for {override}',
+        consoleExportColumnMissing: 'Export column {column} does not exist, writing a blank column',
+        consoleMrpProductMissing: '⚠️ Build plan product not in the data: {product}',
+        consoleMrpUnitConflict: '⚠️ {material} has several units: {units} (one row per unit)',
+        processorInvalidLvRule: 'Invalid special LV rule:',
+        processorInvalidChainEntry: 'Invalid priority chain entry:',
+        processorInvalidPattern: 'Invalid pattern:',
+        processorInvalidLvCondition: 'Invalid LV condition: {lv}',
+        processorRenumbered: '✓ LN renumbered: 1-{last}',
+        processorReady: '✓ BOM Hierarchy Processor initialized',
+        processorRowCount: '  - Rows: {count}',
+        processorMaterialIndex: '  - Material index entries: {count} (occurrences: {occurrences})',
+        processorPattern: '  - Search pattern: {pattern}',
+        processorLvRuleCount: '  - Special rules: {count}',
+        processorLvRule: "    └─ Rule {index}: {condition} and prefix='{prefix}' (returns itself)",
+        processorLvRuleInvalid: "LV '{lv}' (invalid)",
+        processorChains: '  - Priority chains: {chains}',
+        processorProductCount: '  - Products: {count}',
+        processorValidated: { one: '✓ Validation finished: {count} issue', other: '✓ Validation finished: {count} issues' },
+        processorStart: { one: '\nProcessing {count} row...', other: '\nProcessing {count} rows...' },
+        processorDone: '✓ Processing finished',
 
         // 单位
         millisUnit: 'ms',
@@ -91,6 +1091,514 @@ const translations = {
 
         // 表头标签（CSV/Excel）
         productHeader: 'Product',
-        versionHeader: 'Version'
+        versionHeader: 'Version',
+        bomDataSheet: 'BOM Data'
+    },
+    'vi': {
+        // UI标题和标签
+        title: 'Công cụ hợp nhất XLS',
+        subtitle: 'Tệp XLS tải từ SAP ZSDR392:\nTự động hợp nhất & thêm cột mới',
+        inputTitle: '📥 Dữ liệu đầu vào',
+        typeLabel: 'Chọn loại đầu vào',
+        processBtn: '⚙️ Bắt đầu xử lý',
+        cancelBtn: '⏹ Hủy',
+        progressEta: 'Còn lại',
+        secondsUnit: ' giây',
+        processCancelled: '⏹ Đã hủy xử lý',
+        compareLabel: '🔀 So sánh các phiên bản của cùng một sản phẩm (thêm trang tính Changes)',
+        traceLabel: '🧭 Thêm cột truy vết SYS_CPN (quy tắc, đường tìm lên, hệ số định mức)',
+        strictLabel: '🛑 Dừng nếu có bất kỳ tệp nào lỗi (không xuất kết quả một phần)',
+        sheetNameLabel: '📑 Trang tính trong sổ làm việc (XLS/XLSX)',
+        sheetNamePlaceholder: 'Tự động (trang tính đầu tiên có LV và Unit Usg)',
+        filenameTemplateLabel: '🏷️ Mẫu tên tệp (mỗi dòng một biểu thức chính quy, nhóm có tên product / version / plant, các nhóm khác thành cột)',
+        filenameTemplatePlaceholder: 'Mặc định: PRODUCT_YYYYMMDDHHMMSS, ví dụ ^(?<plant>P\\d{3})-(?<product>\\w+)-(?<version>\\d{8})',
+        filenameTemplateInvalid: '✗ Mẫu tên tệp không hợp lệ: ',
+        filenameTemplateErrorRegex: 'không phải biểu thức chính quy hợp lệ: ',
+        filenameTemplateErrorProduct: 'thiếu nhóm có tên (?<product>...)',
+        fillRuleLabel: '🧩 Quy tắc điền cột (mỗi dòng một cột: cột = forward / back / ancestor / filename:nhóm / none, áp dụng lần lượt cho ô trống, ghi vào trang tính Fills)',
+        fillRulePlaceholder: 'Mặc định: ',
+        fillRuleInvalid: '✗ Quy tắc điền cột không hợp lệ: ',
+        fillRuleErrorFormat: 'định dạng phải là "cột = phương thức, phương thức"',
+        fillRuleErrorColumn: 'cột bị trùng',
+        fillRuleErrorMethod: 'phương thức không hợp lệ (forward, back, ancestor, filename:nhóm, none): ',
+        filenamePreviewUnmatched: 'không xác định được sản phẩm',
+        filenamePreviewLimited: ' / chỉ hiển thị ',
+        baselineLabel: 'Sổ làm việc gốc (hợp nhất tăng dần)',
+        baselineLoadBtn: 'Tải kết quả trước đó',
+        baselineClearBtn: 'Xóa',
+        baselineEmpty: 'Chưa tải (hợp nhất từ đầu)',
+        baselineRowsText: 'dòng',
+        baselineVersionsText: 'phiên bản sản phẩm',
+        baselineReplaceLabel: 'Xử lý lại và thay thế các phiên bản sản phẩm đã có trong sổ gốc',
+        baselineLoaded: '✓ Đã tải sổ làm việc gốc: ',
+        baselineLoadFailed: '✗ Không tải được sổ làm việc gốc: ',
+        dedupPolicyLabel: 'Chính sách hợp nhất (khi một sản phẩm có nhiều phiên bản)',
+        dedupPolicyAll: 'Giữ tất cả phiên bản',
+        dedupPolicyLatestProduct: 'Chỉ giữ phiên bản mới nhất của mỗi sản phẩm',
+        dedupPolicyLatestProductPlant: 'Chỉ giữ phiên bản mới nhất của mỗi sản phẩm và Plant Code',
+        schemaProfileLabel: 'Cấu trúc cột (định dạng báo cáo)',
+        schemaProfileAuto: 'Tự động phát hiện',
+        schemaImportBtn: '📥 Nhập cấu trúc cột',
+        schemaImported: '✓ Đã nhập cấu hình cấu trúc cột: ',
+        schemaImportFailed: '✗ Không nhập được cấu hình cấu trúc cột: ',
+        schemaBuiltInReadonly: '✗ Cấu hình cấu trúc cột có sẵn là chỉ đọc, vui lòng dùng tên khác',
+        schemaErrorName: 'Tên cấu hình không được để trống và không được là "auto"',
+        schemaErrorColumn: 'Không phải cột chuẩn: ',
+        schemaErrorRequired: 'Các cột bắt buộc phải gồm LV, Unit Usg và Part Number (hoặc bật derivePartNumber)',
+        schemaErrorLevelFormat: 'levelFormat phải là một trong: ',
+        exportFormatLabel: 'Định dạng xuất',
+        exportFormatXlsx: 'Sổ làm việc Excel (.xlsx)',
+        exportFormatCsv: 'CSV',
+        exportFormatJsonl: 'JSON Lines (.jsonl)',
+        exportFormatSplitZip: 'Tách theo sản phẩm (.zip)',
+        csvEncodingLabel: 'Mã hóa CSV',
+        fileReportTitle: '📋 Báo cáo xử lý tệp',
+        filesFailed: 'tệp xử lý lỗi; có thể xem trước và tải kết quả của các tệp còn lại (xem Báo cáo xử lý tệp)',
+        encodingAuto: 'Tự động phát hiện',
+        previewTitle: '🌳 Xem trước kết quả',
+        previewSearchLabel: 'Tìm Material',
+        previewDiffOnlyLabel: 'Chỉ hiện các dòng có SYS_CPN khác Material',
+        previewExpandAllBtn: 'Mở rộng tất cả',
+        previewCollapseAllBtn: 'Thu gọn tất cả',
+        previewClearBtn: 'Xóa bộ lọc',
+        previewFilterPlaceholder: 'Lọc',
+        previewProducts: 'phiên bản sản phẩm',
+        previewRows: 'dòng',
+        previewMatched: 'dòng khớp',
+        previewLimited: ' / chỉ hiển thị ',
+        downloadBtn: '⬇️ Tải kết quả',
+        encodingOverrideSaved: '✓ Đã chỉ định mã hóa; xử lý lại để áp dụng',
+        encodingLowConfidence: 'Độ tin cậy phát hiện mã hóa thấp; hãy kiểm tra nội dung hoặc chỉ định mã hóa',
+        statsTitle: '📊 Thống kê kết quả xử lý',
+        statFileCountLabel: 'Số tệp',
+        statTotalRowsLabel: 'Tổng số dòng',
+        statElapsedTimeLabel: 'Thời gian xử lý',
+        statAvgTimeLabel: 'Thời gian trung bình mỗi tệp',
+        statThroughputLabel: 'Tốc độ xử lý',
+        statIssueCountLabel: 'Vấn đề dữ liệu (lỗi / cảnh báo)',
+        statExportFormatLabel: 'Định dạng xuất',
+        footerText: '✨ Công cụ hợp nhất XLS v20260129 | Adam @Compal Server #55095',
+        pathEmpty: 'Chưa chọn tệp nào',
+
+        // 按钮标签
+        optFile: '📄 Tệp',
+        optFolder: '📁 Thư mục',
+        optZip: '📦 Tệp nén (.zip/.7z/.rar/.tar/.tgz)',
+        dropZoneText: 'Hoặc kéo thả tệp, thư mục, tệp nén vào đây (có thể trộn lẫn; tệp nén lồng nhau cũng được giải nén)',
+        dropFailed: '✗ Không đọc được các mục đã kéo thả: ',
+
+        // 消息和反馈文本
+        selectError: '✗ Vui lòng chọn tệp trước',
+        processSuccess: '✓ Xử lý dữ liệu thành công! Hãy xem trước kết quả rồi tải xuống',
+        compareResult: 'thay đổi phiên bản',
+        downloadSuccess: '✓ Đã tải tệp xuống',
+        downloadFailed: '✗ Xuất thất bại: ',
+        filesSelectedMsg: '✓ Đã chọn',
+        filesSelectedCount: 'tệp',
+        filesExtractedMsg: '✓ Đã giải nén',
+        filesExtractedCount: 'tệp',
+        archiveParseFailed: '✗ Không phân tích được tệp nén: ',
+        processFailed: '✗ Xử lý thất bại: ',
+        fileCountText: 'tệp',
+        pathPrefixFile: 'Tệp:',
+        pathPrefixFolder: 'Thư mục:',
+        pathPrefixZip: 'Tệp nén:',
+        pathPrefixDrop: 'Kéo thả:',
+        pathMore: ' ... (thêm {count})',
+        pathZipFile: 'Tệp nén',
+
+        // 規則設定檔
+        ruleTitle: '🧩 Thiết lập quy tắc',
+        ruleProfileLabel: 'Cấu hình quy tắc',
+        rulePatternLabel: 'FIXED_PATTERN (các tiền tố Material, phân cách bằng |)',
+        ruleSpecialLabel: 'SPECIAL_LV_RULES (trả về chính nó khi điều kiện LV thỏa và tiền tố khớp)',
+        ruleLvHeader: 'Điều kiện LV',
+        ruleLvPlaceholder: '2, <3, =2, >=3, 2-4',
+        rulePrefixHeader: 'Tiền tố (phân cách bằng |, ! để loại trừ, /.../ là biểu thức chính quy)',
+        ruleAddBtn: '＋ Thêm quy tắc',
+        ruleChainLabel: 'PRIORITY_CHAINS (mỗi dòng một chuỗi ưu tiên, từ cao đến thấp, phân cách bằng >; khi tìm lên sẽ ưu tiên mã cha có độ ưu tiên cao hơn)',
+        ruleChainPlaceholder: '45 > 43',
+        ruleOverrideLabel: 'Ghi đè theo sản phẩm (mảng JSON; dùng ghi đè đầu tiên có product khớp, các trường không đặt dùng quy tắc bên trên)',
+        ruleOverridePlaceholder: '[{"product": "ABC|XYZ", "priorityChains": [["45", "43", "64"]]}]',
+        ruleSimulationLabel: 'Mô phỏng quy tắc (xử lý cùng dữ liệu đầu vào với cấu hình ứng viên; xuất các dòng có SYS_CPN / Ttl. Usage thay đổi và bảng tổng hợp)',
+        ruleSimulationNone: 'Không mô phỏng',
+        simulationResult: '{count} dòng thay đổi theo cấu hình ứng viên {name}',
+        ruleSaveBtn: '💾 Lưu',
+        ruleSaveAsBtn: '📑 Lưu thành',
+        ruleDeleteBtn: '🗑️ Xóa',
+        ruleImportBtn: '📥 Nhập',
+        ruleExportBtn: '📤 Xuất',
+        ruleNamePrompt: 'Nhập tên cấu hình quy tắc:',
+        ruleOverwriteConfirm: 'Đã có cấu hình cùng tên. Ghi đè?',
+        ruleDeleteConfirm: 'Xóa cấu hình quy tắc này?',
+        ruleSaved: '✓ Đã lưu cấu hình quy tắc',
+        ruleDeleted: '✓ Đã xóa cấu hình quy tắc',
+        ruleImported: '✓ Đã nhập cấu hình quy tắc: ',
+        ruleDefaultReadonly: '✗ Cấu hình Default là chỉ đọc, vui lòng dùng "Lưu thành"',
+        ruleImportFailed: '✗ Không nhập được cấu hình quy tắc: ',
+        ruleErrorName: 'Tên cấu hình không được để trống và tối đa 50 ký tự',
+        ruleErrorPatternEmpty: 'FIXED_PATTERN không được để trống',
+        ruleErrorPatternInvalid: 'FIXED_PATTERN không phải biểu thức chính quy hợp lệ: ',
+        ruleErrorPatternEmptyAlt: 'FIXED_PATTERN có đoạn | trống (sẽ khớp mọi Material)',
+        ruleErrorRuleLv: 'Điều kiện LV không hợp lệ (ví dụ 2, <3, =2, >=3, 2-4), quy tắc #',
+        ruleErrorRulePrefix: 'Tiền tố không được để trống (kể cả các đoạn |) và biểu thức chính quy phải hợp lệ, quy tắc #',
+        ruleErrorChain: 'Chuỗi ưu tiên cần ít nhất hai mục hợp lệ, chuỗi #',
+        ruleErrorOverride: 'Ghi đè sản phẩm #',
+        ruleErrorOverrideProduct: 'product không được để trống và phải là điều kiện so khớp hợp lệ',
+        ruleErrorOverrideJson: '✗ Ghi đè sản phẩm không phải mảng JSON hợp lệ: ',
+
+        // Cài đặt xuất (xem export-presets.js)
+        exportPresetTitle: '📤 Cài đặt xuất',
+        exportPresetLabel: 'Mẫu xuất (các cài đặt bên dưới được áp dụng khi tải xuống, cho mọi định dạng xuất)',
+        exportPresetSaveBtn: '💾 Lưu',
+        exportPresetSaveAsBtn: '📑 Lưu thành',
+        exportPresetDeleteBtn: '🗑️ Xóa',
+        exportPresetImportBtn: '📥 Nhập',
+        exportPresetExportBtn: '📤 Xuất',
+        exportProductLabel: 'Product (điều kiện so khớp, ví dụ ABC|XYZ; để trống là tất cả)',
+        exportLvLabel: 'Phạm vi LV (ví dụ 2-4, >=3, <=2; để trống là tất cả)',
+        exportMaterialLabel: 'Tiền tố Material (phân cách bằng |, ! để loại trừ, /.../ là biểu thức chính quy; để trống là tất cả)',
+        exportSysCpnLabel: 'Nhóm SYS_CPN (cùng cú pháp so khớp như Material; để trống là tất cả)',
+        exportColumnsLabel: 'Cột xuất (mỗi dòng một cột, theo thứ tự xuất; "cột = tên mới" để đổi tên; để trống là tất cả các cột)',
+        exportColumnsPlaceholder: 'Product\nMaterial = Mã linh kiện\nSYS_CPN\nTtl. Usage = Số lượng',
+        exportColumnsFillBtn: '📋 Chèn các cột hiện tại',
+        exportCollapseLabel: 'Mỗi Product / Version / SYS_CPN chỉ một dòng (Ttl. Usage là tổng của chính linh kiện SYS_CPN, thêm cột Collapsed Rows)',
+        exportPresetSummary: 'Xuất {rows} / {total} dòng, {columns} cột',
+        exportPresetNoData: 'Xử lý tệp để xem số dòng và số cột được xuất',
+        exportPresetNamePrompt: 'Nhập tên mẫu xuất:',
+        exportPresetOverwriteConfirm: 'Đã có mẫu cùng tên. Ghi đè?',
+        exportPresetDeleteConfirm: 'Xóa mẫu xuất này?',
+        exportPresetSaved: '✓ Đã lưu mẫu xuất',
+        exportPresetDeleted: '✓ Đã xóa mẫu xuất',
+        exportPresetImported: '✓ Đã nhập mẫu xuất: ',
+        exportPresetDefaultReadonly: '✗ Mẫu Default là chỉ đọc, vui lòng dùng "Lưu thành"',
+        exportPresetImportFailed: '✗ Không nhập được mẫu xuất: ',
+        exportPresetInvalid: '✗ Cài đặt xuất không hợp lệ: ',
+        exportErrorName: 'Tên mẫu không được để trống và tối đa 50 ký tự',
+        exportErrorLv: 'Phạm vi LV không hợp lệ (ví dụ 2-4, >=3, <=2)',
+        exportErrorMatcher: 'Điều kiện so khớp không hợp lệ (không có đoạn | trống, biểu thức chính quy phải hợp lệ): ',
+        exportErrorColumn: 'Nguồn và tên cột xuất không được để trống, dòng #',
+        exportErrorDuplicate: 'Tên cột xuất bị trùng: ',
+        exportErrorMissingColumn: 'Dữ liệu không có cột {column}',
+
+        // Where-used 反查
+        whereUsedTitle: '🔍 Tra cứu Where-used',
+        whereUsedLabel: 'Nhập Material để liệt kê mọi sản phẩm/phiên bản sử dụng mã này',
+        whereUsedSearchBtn: '🔍 Tra cứu',
+        whereUsedExportBtn: '📤 Xuất trang tính',
+        whereUsedResultCount: 'kết quả',
+        whereUsedNoResult: '✗ Không tìm thấy Material này',
+        whereUsedEmptyIndex: '✗ Vui lòng xử lý tệp trước',
+        whereUsedEmptyQuery: '✗ Vui lòng nhập Material',
+
+        // Lịch sử chạy (xem run-history.js)
+        historyTitle: '🕘 Lịch sử chạy',
+        historyRunCount: 'lần chạy (lưu trong trình duyệt này)',
+        historyEmpty: 'Chưa có lần chạy nào. Mỗi lần xử lý xong sẽ tự động được lưu trong trình duyệt này',
+        historyUnavailable: 'Trình duyệt này không hỗ trợ IndexedDB, không lưu lịch sử chạy',
+        historyTimeHeader: 'Thời gian',
+        historyFilesHeader: 'Tệp đầu vào',
+        historyRowsHeader: 'Dòng',
+        historyIssuesHeader: 'Lỗi / Cảnh báo',
+        historyProfileHeader: 'Hồ sơ quy tắc',
+        historyDownloadBtn: '⬇️ Tải xuống',
+        historyDetailBtn: '🔍 Chi tiết',
+        historyDeleteBtn: '🗑️ Xóa',
+        historyCompareLabel: 'So sánh hai lần chạy (A → B)',
+        historyCompareBtn: '🔀 So sánh',
+        historyCompareSame: '✗ Vui lòng chọn hai lần chạy khác nhau',
+        historyDeleteConfirm: 'Xóa lần chạy này và sổ làm việc của nó?',
+        historyDeleted: '✓ Đã xóa lần chạy',
+        historyNoWorkbook: '✗ Không tìm thấy sổ làm việc của lần chạy này',
+        historySaveFailed: '✗ Không thể lưu lần chạy: ',
+        historyLoadFailed: '✗ Không thể đọc lịch sử chạy: ',
+        historyDetailSection: 'Mục',
+        historyDetailItem: 'Hạng mục',
+        historyDetailValue: 'Giá trị',
+        historyCompareRunA: 'Lần chạy A',
+        historyCompareRunB: 'Lần chạy B',
+        historyCompareChange: 'Thay đổi',
+        historyChanged: 'Đã thay đổi',
+        historySectionRun: 'Lần chạy',
+        historySectionSettings: 'Cài đặt',
+        historySectionTotals: 'Tổng',
+        historySectionFiles: 'Tệp đầu vào',
+        historyItemCreated: 'Thời gian tạo',
+        historyItemWorkbook: 'Sổ làm việc',
+        historyItemRuleProfile: 'Cấu hình quy tắc',
+        historyItemFiles: 'Số tệp',
+        historyItemRows: 'Số dòng',
+        historyItemOutputRows: 'Số dòng xuất',
+        historyItemErrors: 'Lỗi',
+        historyItemWarnings: 'Cảnh báo',
+        historyItemElapsed: 'Thời gian (ms)',
+        historySettingTrace: 'Cột truy vết',
+        historySettingStrict: 'Chế độ nghiêm ngặt',
+        historySettingCompare: 'So sánh phiên bản',
+        historySettingSheet: 'Trang tính',
+        historySettingDedup: 'Chính sách hợp nhất',
+        historySettingSchema: 'Cấu trúc cột',
+        historySettingFilenameTemplates: 'Mẫu tên tệp',
+        historySettingFillRules: 'Quy tắc điền',
+        historySettingEncodings: 'Mã hóa',
+        historySettingBaseline: 'Sổ làm việc cơ sở',
+        historySettingReplace: 'Thay thế cơ sở',
+        historySettingSimulation: 'Cấu hình mô phỏng',
+        historyFileRowsText: 'dòng',
+
+        // Tổng hợp nhu cầu vật tư (xem material-requirements.js)
+        mrpTitle: '📦 Nhu cầu vật tư',
+        mrpPlanLabel: 'Số lượng sản xuất (mỗi dòng "sản phẩm, số lượng" hoặc "sản phẩm, phiên bản, số lượng"; không ghi phiên bản thì dùng phiên bản mới nhất; có thể nhập CSV dự báo)',
+        mrpPlanPlaceholder: 'ABC12345678, 400\nXYZ98765432, 2026/2/1, 120',
+        mrpImportBtn: '📂 Nhập CSV dự báo',
+        mrpFillBtn: '📋 Điền sản phẩm',
+        mrpCalculateBtn: '🧮 Tính nhu cầu',
+        mrpExportBtn: '📤 Xuất nhu cầu',
+        mrpSummary: '{builds} phiên bản sản phẩm: {materials} vật tư, {sysCpns} SYS_CPN',
+        mrpUnitConflicts: '; {count} vật tư có nhiều đơn vị (mỗi đơn vị một dòng)',
+        mrpNotFound: '; {count} sản phẩm không có trong dữ liệu',
+        mrpNoData: 'Xử lý tệp để tính nhu cầu vật tư theo số lượng sản xuất (tệp tải xuống có thêm các trang MRP)',
+        mrpNoPlan: '✗ Vui lòng nhập số lượng sản xuất hoặc nhập CSV dự báo',
+        mrpImported: '✓ Đã nhập dự báo: ',
+        mrpImportFailed: '✗ Nhập dự báo thất bại: ',
+        mrpInvalid: '✗ Số lượng sản xuất không hợp lệ: ',
+        mrpFailed: '✗ Không thể tính nhu cầu vật tư: ',
+        mrpErrorFormat: 'mỗi dòng phải là "sản phẩm, số lượng" hoặc "sản phẩm, phiên bản, số lượng"',
+        mrpErrorQuantity: 'số lượng phải là số từ 0 trở lên',
+        mrpMissingColumns: 'Thiếu cột cần để tính nhu cầu vật tư: {columns}',
+
+        // 檔案處理錯誤與報告（Files 工作表的 Error / Reason 欄位）
+        decodeFailed: 'Không giải mã được nội dung tệp',
+        worksheetNotFound: 'Không tìm thấy trang tính: {name} (hiện có: {available})',
+        workbookEmpty: 'Sổ làm việc không có trang tính nào',
+        missingColumns: 'Thiếu cột bắt buộc: {columns} (không có cấu hình cấu trúc cột phù hợp: {profiles})',
+        missingColumnsRootRow: 'dòng sản phẩm LV 0',
+        missingColumnsForSchema: 'Cấu trúc cột {schema} thiếu cột bắt buộc: {columns}',
+        reasonDuplicate: 'Trùng với {file} ({version}{plant})',
+        reasonSuperseded: 'Đã được thay thế bởi {file} ({version}{plant})',
+        reasonPlant: ', Plant Code {plant}',
+        reasonInBaseline: 'Đã có trong sổ gốc ({product} {version})',
+        strictFailed: '{failed}/{count} tệp xử lý lỗi: {names}',
+        baselineNotWorkbook: 'Sổ gốc phải là sổ làm việc .xlsx do công cụ này xuất',
+        baselineNoSheet: 'Sổ làm việc gốc không có trang tính "{sheet}" (hiện có: {available})',
+        baselineNoColumns: 'Trang tính "{sheet}" của sổ làm việc gốc thiếu cột Product / Version',
+        archiveTooDeep: 'Tệp nén lồng nhau quá {depth} cấp: {path}',
+        archiveNestedFailed: 'Không mở được tệp nén lồng nhau {path}: {message}',
+        splitMissingColumns: 'Không thể tách theo sản phẩm: thiếu cột {product} / {version}',
+        unsupportedExportFormat: 'Định dạng xuất không được hỗ trợ: {format} (có sẵn: {available})',
+        unsupportedCsvEncoding: 'Mã hóa CSV không được hỗ trợ: {encoding} (có sẵn: {available})',
+        unknownDedupPolicy: 'Chính sách hợp nhất không xác định: {policy} (có sẵn: {available})',
+        unknownSchemaProfile: 'Cấu hình cấu trúc cột không xác định: {schema} (có sẵn: {available})',
+
+        // 資料驗證問題（Issues 工作表，見 BOMHierarchyProcessor.validate）
+        issueUsageEmpty: 'Unit Usg của {material} trống; tính là 1',
+        issueUsageNotNumeric: 'Unit Usg "{usage}" của {material} không phải số; tính là 1',
+        issueUsageZero: 'Unit Usg của {material} bằng 0; tính là 1',
+        issueLvInvalid: 'LV "{lv}" của {material} không phải số nguyên không âm',
+        issueLvJump: 'LV nhảy từ {from} lên {to} tại {material}',
+        issuePartNumberEmpty: 'Part Number của {material} trống tại LV {lv}; SYS_CPN không thể tìm lên',
+        issueParentMismatch: 'Part Number {partNumber} của {material} không khớp với Material {parent} của LV {lv} phía trên',
+        issueParentMissing: 'Không tìm thấy mã cha {partNumber} của {material} phía trên LN {ln}',
+        issueCycle: 'Tham chiếu vòng: {material} xuất hiện trong chuỗi cha của chính nó',
+        issueTooDeep: 'Chuỗi cha của {material} sâu hơn {depth} cấp; Ttl. Usage ngừng nhân lên',
+
+        // 主控台訊息
+        consoleFileRead: 'Tệp: {file}, mã hóa: {encoding}, số dòng: {rows}',
+        consoleDecoded: '✓ Giải mã thành công bằng {encoding} ({source})',
+        consoleDecodeFailed: 'Giải mã bằng {encoding} thất bại: {message}',
+        consoleDecodeScore: 'Điểm giải mã {encoding}: {score}',
+        consolePlantCodeUnreadable: 'Không đọc được Plant Code của {file}',
+        consoleSkipped: 'Bỏ qua {file}: {reason}',
+        consoleFilled: '✓ Đã điền {column} ({method}): {count} ô',
+        consoleCompareDone: '✓ So sánh phiên bản hoàn tất: {count} thay đổi',
+        consoleSimulationFailed: 'Mô phỏng quy tắc thất bại, bỏ qua {file}:',
+        consoleProcessorFailed: 'Xử lý phân cấp BOM thất bại, dùng dữ liệu gốc:',
+        consoleFileFailed: 'Lỗi xử lý tệp {file}:',
+        consoleStorageReadFailed: 'Không đọc được cài đặt đã lưu {key}:',
+        consoleStorageSaveFailed: 'Không lưu được cài đặt {key}:',
+        consoleArchiveFailed: 'Lỗi giải nén tệp nén:',
+        consoleCompareSkipped: 'Bỏ qua so sánh phiên bản: thiếu cột Product, Version, LV hoặc Material',
+        consoleBig5Unmapped: 'Big5: {count} ký tự không mã hóa được và đã được thay bằng \'?\'',
+        consoleOverride: '✓ Sản phẩm {product} dùng quy tắc ghi đè {override}',
+        consoleExportColumnMissing: 'Cột xuất {column} không tồn tại, ghi cột trống',
+        consoleMrpProductMissing: '⚠️ Sản phẩm trong kế hoạch sản xuất không có trong dữ liệu: {product}',
+        consoleMrpUnitConflict: '⚠️ {material} có nhiều đơn vị: {units} (mỗi đơn vị một dòng)',
+        processorInvalidLvRule: 'Quy tắc LV đặc biệt không hợp lệ:',
+        processorInvalidChainEntry: 'Mục chuỗi ưu tiên không hợp lệ:',
+        processorInvalidPattern: 'Pattern không hợp lệ:',
+        processorInvalidLvCondition: 'Điều kiện LV không hợp lệ: {lv}',
+        processorRenumbered: '✓ Đã đánh số lại LN: 1-{last}',
+        processorReady: '✓ Khởi tạo BOM Hierarchy Processor thành công',
+        processorRowCount: '  - Tổng số dòng: {count}',
+        processorMaterialIndex: '  - Số chỉ mục Material: {count} (tổng số lần xuất hiện: {occurrences})',
+        processorPattern: '  - Pattern tìm kiếm: {pattern}',
+        processorLvRuleCount: '  - Số quy tắc đặc biệt: {count}',
+        processorLvRule: "    └─ Quy tắc {index}: {condition} và tiền tố='{prefix}' (trả về chính nó)",
+        processorLvRuleInvalid: "LV '{lv}' (không hợp lệ)",
+        processorChains: '  - Chuỗi ưu tiên: {chains}',
+        processorProductCount: '  - Số Product: {count}',
+        processorValidated: '✓ Kiểm tra dữ liệu hoàn tất: {count} vấn đề',
+        processorStart: '\nBắt đầu xử lý {count} dòng dữ liệu...',
+        processorDone: '✓ Xử lý hoàn tất',
+
+        // 单位
+        millisUnit: 'ms',
+        rowsPerSecUnit: 'dòng/giây',
+
+        // 表头标签（CSV/Excel）
+        productHeader: 'Product',
+        versionHeader: 'Version',
+        bomDataSheet: 'Dữ liệu BOM'
+    }
+};
+
+// ##################################################################################################################################################
+// 語言選擇區塊 (Language Selection)
+// ##################################################################################################################################################
+
+/**
+ * 將語言標籤對應到支援的語言（zh-Hant / zh-HK / zh-MO → zh-TW，其他中文 → zh-CN，en-* → en，vi-* → vi）
+ * Map a language tag to a supported language
+ *
+ * @param {string} tag - 語言標籤，例如 'zh-TW'、'zh_CN.UTF-8'、'en-US'、'vi'
+ * @returns {string|null} 支援的語言（無法對應時為 null）
+ */
+const resolveLanguage = (tag) => {
+    const parts = String(tag ?? '').split('.')[0].replace(/_/g, '-').toLowerCase().split('-').filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const [language, ...subtags] = parts;
+    if (language === 'zh') {
+        return subtags.some(subtag => ['tw', 'hk', 'mo', 'hant'].includes(subtag)) ? 'zh-TW' : 'zh-CN';
     }
+    return SUPPORTED_LANGUAGES.includes(language) ? language : null;
 };
+
+/**
+ * 依偏好順序選擇第一個支援的語言
+ * Pick the first supported language in order of preference
+ *
+ * @param {Array<string>} tags - 語言標籤（例如 navigator.languages）
+ * @returns {string} 支援的語言（都無法對應時為 DEFAULT_LANGUAGE）
+ */
+const detectLanguage = (tags) => {
+    for (const tag of tags || []) {
+        const language = resolveLanguage(tag);
+        if (language) return language;
+    }
+    return DEFAULT_LANGUAGE;
+};
+
+/**
+ * 從 localStorage 讀取使用者選擇的語言
+ * Load the chosen language from localStorage
+ *
+ * @param {Storage|null} storage - 儲存區（預設 localStorage）
+ * @returns {string|null} 支援的語言（未儲存或無效時為 null）
+ */
+const loadLanguage = (storage = null) => {
+    try {
+        const language = (storage || localStorage).getItem(LANGUAGE_STORAGE_KEY);
+        return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+    } catch (e) {
+        console.warn(formatMessage('consoleStorageReadFailed', { key: LANGUAGE_STORAGE_KEY }), e);
+        return null;
+    }
+};
+
+/**
+ * 將使用者選擇的語言寫入 localStorage
+ * Save the chosen language to localStorage
+ *
+ * @param {string} language - 支援的語言
+ * @param {Storage|null} storage - 儲存區（預設 localStorage）
+ */
+const saveLanguage = (language, storage = null) => {
+    try {
+        (storage || localStorage).setItem(LANGUAGE_STORAGE_KEY, language);
+    } catch (e) {
+        console.warn(formatMessage('consoleStorageSaveFailed', { key: LANGUAGE_STORAGE_KEY }), e);
+    }
+};
+
+// ##################################################################################################################################################
+// 訊息格式化區塊 (Message Formatting)
+// ##################################################################################################################################################
+
+/**
+ * Intl 格式化器快取（依語言與選項）
+ * Cache of Intl formatters (per language and options)
+ */
+const intlFormatterCache = new Map();
+
+/**
+ * 取得（並快取）Intl 格式化器
+ * Get a cached Intl formatter
+ *
+ * @param {Function} Formatter - Intl.NumberFormat / Intl.DateTimeFormat / Intl.PluralRules
+ * @param {Object} options - 格式化選項
+ * @returns {Object} 格式化器
+ */
+const getIntlFormatter = (Formatter, options = {}) => {
+    const key = `${Formatter.name}|${currentLanguage}|${JSON.stringify(options)}`;
+    if (!intlFormatterCache.has(key)) {
+        intlFormatterCache.set(key, new Formatter(currentLanguage, options));
+    }
+    return intlFormatterCache.get(key);
+};
+
+/**
+ * 依目前語言格式化數字（千分位、小數點）
+ * Format a number for the current language (grouping, decimal separator)
+ *
+ * @param {number} value - 數字
+ * @param {Object} options - Intl.NumberFormat 選項（例如 {maximumFractionDigits: 1}）
+ * @returns {string}
+ */
+const formatNumber = (value, options = {}) => getIntlFormatter(Intl.NumberFormat, options).format(value);
+
+/**
+ * 依目前語言格式化日期時間
+ * Format a date/time for the current language
+ *
+ * @param {Date|number} date - 日期（或時間戳記）
+ * @param {Object} options - Intl.DateTimeFormat 選項（預設為日期與時間）
+ * @returns {string}
+ */
+const formatDateTime = (date, options = { dateStyle: 'medium', timeStyle: 'short' }) =>
+    getIntlFormatter(Intl.DateTimeFormat, options).format(date);
+
+/**
+ * 取得翻譯訊息並代入參數
+ * Look up a message and interpolate its parameters
+ *
+ * 訊息可為字串或複數形式物件 {one, other, ...}（依 params.count 以 Intl.PluralRules 選擇）；
+ * 目前語言沒有此鍵值時使用英文，英文也沒有時返回鍵值本身。
+ * {名稱} 以 params 的值代入，數字依目前語言格式化（代入識別碼時請先轉為字串，例如 LN）
+ *
+ * @param {string} key - 訊息鍵值
+ * @param {Object} params - 參數 {名稱: 值}
+ * @returns {string}
+ */
+const formatMessage = (key, params = {}) => {
+    let message = translations[currentLanguage]?.[key] ?? translations.en[key] ?? key;
+    if (typeof message === 'object') {
+        const form = getIntlFormatter(Intl.PluralRules).select(Number(params.count) || 0);
+        message = message[form] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? formatNumber(value) : String(value ?? '');
+    });
+};
+
+/**
+ * 格式化數量與單位，例如 '1,234 files'、'1,234 個檔案'
+ * Format a count followed by its (pluralized) unit
+ *
+ * @param {number} count - 數量
+ * @param {string} key - 單位的訊息鍵值（可為複數形式物件）
+ * @returns {string}
+ */
+const formatCount = (count, key) => `${formatNumber(count)} ${formatMessage(key, { count })}`;
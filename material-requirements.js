@@ -0,0 +1,502 @@
+/**
+ * 物料需求彙總 (Material Requirements Roll-up)
+ * 依每個產品的生產數量乘以 Ttl. Usage，彙總所有產品需要的 Material 與 SYS_CPN 數量（MRP 毛需求），
+ * 並列出每個產品版本的明細，回答「每個產品生產 N 台需要多少料號 X」
+ *
+ * 生產數量格式 (Build plan format, 見 parseBuildPlan):
+ *   CSV 文字（逗號、分號或 Tab 分隔），每行 '產品, 數量' 或 '產品, 版本, 數量'
+ *   - 第一行含 Product 與 Quantity 等欄位名稱時依欄位名稱讀取（預測 CSV，其他欄位略過，見 BUILD_PLAN_COLUMNS）
+ *   - 未指定版本時使用資料中該產品的最新版本；同一產品版本出現多次時數量相加（例如每月一行的預測）
+ *
+ * 計算方式 (Calculation, 見 calculateMaterialRequirements):
+ *   - 需求數量 = 生產數量 × Ttl. Usage（Ttl. Usage 為每一台產品的累計用量），LV 0（產品本身）不計入
+ *   - 依 Material 彙總所有資料行（各階的組件與子件都列出，即毛需求）
+ *   - 依 SYS_CPN 彙總 SYS_CPN 料號本身的資料行（Material 與 SYS_CPN 相同），並計算其下的組件數
+ *   - 單位取自資料的單位欄位（見 MRP_UNIT_HEADERS，沒有時為空白），大小寫與常見別名統一（見 UNIT_ALIASES）；
+ *     同一料號有多個單位時依單位分列，不相加
+ *   - 數量四捨五入至 MRP_QUANTITY_DECIMALS 位小數，避免浮點誤差
+ *
+ * 輸出工作表 (Sheets, 見 buildMaterialRequirementSheets):
+ *   - 'MRP by Material' / 'MRP by SYS_CPN'：每個產品版本一欄需求明細
+ *   - 'MRP Build Plan'：每行生產數量使用的版本與狀態，以及資料中未列入生產數量的產品
+ *
+ * 依賴全域 (Globals required):
+ *   - Papa (lib/papaparse.min.js)
+ *   - safeToNumber / formatProduct / productVersionKey (consolidator.js)
+ *   - findHeaderIndex / versionSortKey / groupRowsByVersion (bom-diff.js)
+ *   - translations / currentLanguage / formatMessage (i18n.js) - 驗證錯誤訊息與主控台訊息
+ */
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * localStorage 儲存鍵值
+ * localStorage key for the saved build plan
+ */
+const BUILD_PLAN_STORAGE_KEY = 'xlsConsolidator.buildPlan';
+
+/**
+ * 預測 CSV 的欄位名稱（不分大小寫）
+ * Column names recognized in the header row of a forecast CSV (case-insensitive)
+ */
+const BUILD_PLAN_COLUMNS = {
+    product: ['product', 'model', '產品', '产品', '機種', '机种', 'sản phẩm'],
+    version: ['version', 'revision', 'rev', '版本', 'phiên bản'],
+    quantity: ['quantity', 'qty', 'build qty', 'build quantity', 'forecast', 'demand', '數量', '数量', '需求', 'số lượng']
+};
+
+/**
+ * 資料中的單位欄位名稱（依序使用第一個存在的欄位）
+ * Unit of measure column names looked up in the data (the first one present is used)
+ */
+const MRP_UNIT_HEADERS = ['Unit', 'UoM', 'BUn', 'Base Unit', 'Base Unit of Measure', 'Component UoM', 'Un', '單位', '单位', 'Đơn vị'];
+
+/**
+ * 單位別名（統一為大寫後對照）
+ * Unit aliases (looked up after upper-casing)
+ */
+const UNIT_ALIASES = { PCS: 'PC', PCE: 'PC', EA: 'PC', EACH: 'PC', ST: 'PC', MTR: 'M', KGS: 'KG' };
+
+/**
+ * 需求數量的小數位數
+ * Decimal places of the required quantities
+ */
+const MRP_QUANTITY_DECIMALS = 6;
+
+/**
+ * 工作表名稱
+ * Sheet names
+ */
+const MRP_SHEETS = {
+    MATERIAL: 'MRP by Material',
+    SYS_CPN: 'MRP by SYS_CPN',
+    PLAN: 'MRP Build Plan'
+};
+
+/**
+ * 'MRP by Material' 工作表標題列（其後每個產品版本一欄）
+ * 'MRP by Material' sheet headers (followed by one column per product version)
+ */
+const MRP_MATERIAL_HEADERS = ['Material', 'Description', 'Unit', 'Required Qty'];
+
+/**
+ * 'MRP by SYS_CPN' 工作表標題列（其後每個產品版本一欄）
+ * 'MRP by SYS_CPN' sheet headers (followed by one column per product version)
+ */
+const MRP_SYS_CPN_HEADERS = ['SYS_CPN', 'Description', 'Unit', 'Required Qty', 'Components'];
+
+/**
+ * 'MRP Build Plan' 工作表標題列
+ * 'MRP Build Plan' sheet headers
+ */
+const MRP_PLAN_HEADERS = ['Product', 'Version', 'Build Qty', 'Rows', 'Status'];
+
+/**
+ * 生產數量的狀態
+ * Build plan entry statuses
+ */
+const MRP_PLAN_STATUS = {
+    OK: 'OK',
+    PRODUCT_NOT_FOUND: 'Product not found',
+    VERSION_NOT_FOUND: 'Version not found',
+    NOT_PLANNED: 'Not in build plan'
+};
+
+// ##################################################################################################################################################
+// 生產數量解析區塊 (Build Plan Parsing)
+// ##################################################################################################################################################
+
+/**
+ * 在預測 CSV 的標題列中查找欄位
+ * Find a build plan column in a forecast header row
+ *
+ * @param {Array<string>} headers - 標題列
+ * @param {string} column - BUILD_PLAN_COLUMNS 的鍵值
+ * @returns {number} 欄位索引，未找到返回 -1
+ */
+const findBuildPlanColumn = (headers, column) =>
+    headers.findIndex(header => BUILD_PLAN_COLUMNS[column].includes(String(header ?? '').trim().toLowerCase()));
+
+/**
+ * 解析生產數量（CSV 文字或預測 CSV，空白行略過）
+ * Parse build quantities (CSV text or a forecast CSV, blank lines ignored)
+ *
+ * @param {string} text - 生產數量文字
+ * @returns {Array<Object>} [{product, version, quantity}]（version 未指定時為空字串；沒有內容時為空陣列）
+ * @throws {Error} 任一行格式錯誤或數量無效時拋出錯誤（訊息含行號）
+ */
+const parseBuildPlan = (text) => {
+    const trans = translations[currentLanguage];
+    const rows = Papa.parse(String(text ?? '').trim(), { header: false, skipEmptyLines: 'greedy', dynamicTyping: false }).data
+        .map(row => row.map(cell => String(cell ?? '').trim()));
+    if (rows.length === 0) return [];
+
+    // 標題列：同時有產品與數量欄位時依欄位名稱讀取，否則依位置讀取
+    const cols = { product: findBuildPlanColumn(rows[0], 'product'), version: findBuildPlanColumn(rows[0], 'version'), quantity: findBuildPlanColumn(rows[0], 'quantity') };
+    const hasHeader = cols.product !== -1 && cols.quantity !== -1;
+
+    const entries = new Map();
+    rows.forEach((row, i) => {
+        if (hasHeader && i === 0) return;
+
+        const line = row.join(', ');
+        let cells;
+        if (hasHeader) {
+            cells = [row[cols.product], cols.version === -1 ? '' : row[cols.version], row[cols.quantity]];
+        } else {
+            // 忽略行尾的空白欄位（例如 'ABC, 400,'）
+            let end = row.length;
+            while (end > 0 && row[end - 1] === '') end--;
+            const values = row.slice(0, end);
+            cells = values.length === 2 ? [values[0], '', values[1]] : values.length === 3 ? values : null;
+        }
+
+        if (!cells || !cells[0]) {
+            throw new Error(`#${i + 1} ${line}: ${trans.mrpErrorFormat}`);
+        }
+
+        const quantity = safeToNumber(cells[2] ?? '');
+        if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity < 0) {
+            throw new Error(`#${i + 1} ${line}: ${trans.mrpErrorQuantity}`);
+        }
+
+        const product = formatProduct(cells[0]);
+        const version = cells[1] ?? '';
+        const key = productVersionKey(product, version);
+        if (entries.has(key)) {
+            entries.get(key).quantity += quantity;
+        } else {
+            entries.set(key, { product, version, quantity });
+        }
+    });
+
+    return [...entries.values()];
+};
+
+/**
+ * 將生產數量格式化為文字（每行一個產品版本）
+ * Format build quantities as text (one product version per line)
+ *
+ * @param {Array<Object>} entries - [{product, version, quantity}]
+ * @returns {string}
+ */
+const formatBuildPlan = (entries) => entries
+    .map(entry => [entry.product, entry.version, entry.quantity].filter(value => value !== '').join(', '))
+    .join('\n');
+
+// ##################################################################################################################################################
+// 需求計算區塊 (Requirement Calculation)
+// ##################################################################################################################################################
+
+/**
+ * 統一單位寫法（去除空白、大寫、別名）
+ * Normalize a unit of measure (trimmed, upper-cased, aliases resolved)
+ *
+ * @param {*} unit - 單位
+ * @returns {string}
+ */
+const normalizeUnit = (unit) => {
+    const text = String(unit ?? '').trim().toUpperCase();
+    return UNIT_ALIASES[text] || text;
+};
+
+/**
+ * 四捨五入需求數量
+ * Round a required quantity
+ *
+ * @param {number} value - 數量
+ * @returns {number}
+ */
+const roundQuantity = (value) => {
+    const factor = 10 ** MRP_QUANTITY_DECIMALS;
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * 累加一筆需求（依料號與單位分組）
+ * Add a requirement to its Material / unit group
+ *
+ * @param {Map<string, Object>} groups - 分組 {id, unit, description, total, byBuild: Map<產品版本鍵值, 數量>}（會被修改）
+ * @param {string} id - Material 或 SYS_CPN
+ * @param {string} unit - 單位
+ * @param {string} description - 說明
+ * @param {string|null} buildKey - 產品版本鍵值（null 只建立分組，不累加）
+ * @param {number} required - 需求數量
+ * @returns {Object} 分組
+ */
+const addRequirement = (groups, id, unit, description, buildKey, required) => {
+    const key = `${id}\u0000${unit}`;
+    let group = groups.get(key);
+    if (!group) {
+        group = { id, unit, description: '', total: null, byBuild: new Map() };
+        groups.set(key, group);
+    }
+    if (!group.description && description) {
+        group.description = description;
+    }
+    if (buildKey !== null) {
+        group.total = (group.total || 0) + required;
+        group.byBuild.set(buildKey, (group.byBuild.get(buildKey) || 0) + required);
+    }
+    return group;
+};
+
+/**
+ * 依 ID 與單位排序分組
+ * Sort groups by ID, then unit
+ *
+ * @param {Map<string, Object>} groups - 分組
+ * @returns {Array<Object>}
+ */
+const sortRequirementGroups = (groups) => [...groups.values()].sort((a, b) =>
+    a.id < b.id ? -1 : a.id > b.id ? 1 : a.unit < b.unit ? -1 : a.unit > b.unit ? 1 : 0
+);
+
+/**
+ * 依生產數量計算物料需求
+ * Calculate material requirements from build quantities
+ *
+ * @param {Array<Array>} data - 合併後的資料陣列（含標題列）
+ * @param {Array<Object>} plan - 生產數量（見 parseBuildPlan）
+ * @returns {Object} {plan: [{product, version, quantity, rows, status}], builds: [{key, product, version, quantity}],
+ *                    materials: [{id, unit, description, total, byBuild}], sysCpns: [{..., components}], unitConflicts: [Material]}
+ * @throws {Error} 缺少 Product / Version / LV / Material / Ttl. Usage 欄位時拋出錯誤
+ */
+const calculateMaterialRequirements = (data, plan) => {
+    const trans = translations[currentLanguage];
+    const headers = data[0] || [];
+    const cols = {
+        product: findHeaderIndex(headers, trans.productHeader),
+        version: findHeaderIndex(headers, trans.versionHeader),
+        lv: findHeaderIndex(headers, 'LV'),
+        material: findHeaderIndex(headers, 'Material'),
+        description: findHeaderIndex(headers, 'Description'),
+        sysCpn: findHeaderIndex(headers, 'SYS_CPN'),
+        ttlUsage: findHeaderIndex(headers, 'Ttl. Usage'),
+        unit: MRP_UNIT_HEADERS.map(name => findHeaderIndex(headers, name)).find(index => index !== -1) ?? -1
+    };
+
+    const missing = [[trans.productHeader, cols.product], [trans.versionHeader, cols.version], ['LV', cols.lv], ['Material', cols.material], ['Ttl. Usage', cols.ttlUsage]]
+        .filter(([, index]) => index === -1)
+        .map(([name]) => name);
+    if (missing.length > 0) {
+        throw new Error(formatMessage('mrpMissingColumns', { columns: missing.join(', ') }));
+    }
+
+    const versions = groupRowsByVersion(data.slice(1), cols);
+    const latestVersion = (product) => [...versions.get(product).keys()].sort((a, b) => versionSortKey(b) - versionSortKey(a))[0];
+
+    // 決定每行生產數量使用的版本（同一產品版本的多行合併為一個生產）
+    const builds = new Map();
+    const planRows = plan.map(entry => {
+        const productVersions = versions.get(entry.product);
+        let version = entry.version;
+        let status = MRP_PLAN_STATUS.OK;
+
+        if (!productVersions) {
+            status = MRP_PLAN_STATUS.PRODUCT_NOT_FOUND;
+        } else if (entry.version) {
+            version = [...productVersions.keys()].find(candidate => versionSortKey(candidate) === versionSortKey(entry.version));
+            if (version === undefined) {
+                version = entry.version;
+                status = MRP_PLAN_STATUS.VERSION_NOT_FOUND;
+            }
+        } else {
+            version = latestVersion(entry.product);
+        }
+
+        if (status !== MRP_PLAN_STATUS.OK) {
+            console.warn(formatMessage('consoleMrpProductMissing', { product: [entry.product, version].filter(Boolean).join(' ') }));
+            return { product: entry.product, version, quantity: entry.quantity, rows: null, status };
+        }
+
+        const key = productVersionKey(entry.product, version);
+        if (builds.has(key)) {
+            builds.get(key).quantity += entry.quantity;
+        } else {
+            builds.set(key, { key, product: entry.product, version, quantity: entry.quantity });
+        }
+        return { product: entry.product, version, quantity: entry.quantity, rows: 0, status, key };
+    });
+
+    // 彙總需求：每行的需求數量 = 生產數量 × Ttl. Usage
+    const materials = new Map();
+    const sysCpns = new Map();
+    const components = new Map();
+    const rowCounts = new Map();
+    builds.forEach(build => {
+        let count = 0;
+        versions.get(build.product).get(build.version).forEach(row => {
+            const lv = Number(String(row[cols.lv] ?? '').trim());
+            const material = String(row[cols.material] ?? '').trim();
+            const usage = safeToNumber(row[cols.ttlUsage]);
+            if (!(lv > 0) || !material || typeof usage !== 'number' || !Number.isFinite(usage)) return;
+
+            count++;
+            const unit = cols.unit === -1 ? '' : normalizeUnit(row[cols.unit]);
+            const description = cols.description === -1 ? '' : String(row[cols.description] ?? '').trim();
+            const required = build.quantity * usage;
+            addRequirement(materials, material, unit, description, build.key, required);
+
+            const sysCpn = cols.sysCpn === -1 ? '' : String(row[cols.sysCpn] ?? '').trim();
+            if (!sysCpn) return;
+            if (sysCpn === material) {
+                addRequirement(sysCpns, sysCpn, unit, description, build.key, required);
+            } else {
+                if (!components.has(sysCpn)) components.set(sysCpn, new Set());
+                components.get(sysCpn).add(material);
+            }
+        });
+        rowCounts.set(build.key, count);
+    });
+
+    // SYS_CPN 料號本身不在資料中時仍列出（需求數量空白）
+    const sysCpnIds = new Set([...sysCpns.values()].map(group => group.id));
+    components.forEach((set, sysCpn) => {
+        if (!sysCpnIds.has(sysCpn)) {
+            addRequirement(sysCpns, sysCpn, '', '', null, 0);
+        }
+    });
+
+    // 資料中未列入生產數量的產品（最新版本）
+    const planned = new Set(plan.map(entry => entry.product));
+    versions.forEach((productVersions, product) => {
+        if (!planned.has(product)) {
+            planRows.push({ product, version: latestVersion(product), quantity: null, rows: null, status: MRP_PLAN_STATUS.NOT_PLANNED });
+        }
+    });
+
+    // 同一料號有多個單位時依單位分列
+    const unitsById = new Map();
+    materials.forEach(group => {
+        if (!unitsById.has(group.id)) unitsById.set(group.id, []);
+        unitsById.get(group.id).push(group.unit);
+    });
+    const unitConflicts = [...unitsById.keys()].filter(id => unitsById.get(id).length > 1).sort();
+    unitConflicts.forEach(material => {
+        console.warn(formatMessage('consoleMrpUnitConflict', { material, units: unitsById.get(material).map(unit => unit || '-').join(', ') }));
+    });
+
+    return {
+        plan: planRows.map(({ key, ...entry }) => ({ ...entry, rows: key ? rowCounts.get(key) : entry.rows })),
+        builds: [...builds.values()],
+        materials: sortRequirementGroups(materials),
+        sysCpns: sortRequirementGroups(sysCpns).map(group => ({ ...group, components: components.get(group.id)?.size ?? 0 })),
+        unitConflicts
+    };
+};
+
+// ##################################################################################################################################################
+// 工作表輸出區塊 (Sheet Output)
+// ##################################################################################################################################################
+
+/**
+ * 產品版本欄位名稱
+ * Column header of a product version
+ *
+ * @param {Object} build - {product, version}
+ * @returns {string}
+ */
+const buildColumnHeader = (build) => `${build.product} ${build.version}`;
+
+/**
+ * 建立需求工作表的資料行（每個產品版本一欄）
+ * Build requirement rows with one column per product version
+ *
+ * @param {Array<Object>} groups - 需求分組
+ * @param {Array<Object>} builds - 產品版本
+ * @param {Function} leading - (group) => 產品版本欄位之前的欄位值
+ * @returns {Array<Array>}
+ */
+const buildRequirementRows = (groups, builds, leading) => groups.map(group => [
+    ...leading(group),
+    ...builds.map(build => group.byBuild.has(build.key) ? roundQuantity(group.byBuild.get(build.key)) : null)
+]);
+
+/**
+ * 建立 'MRP by Material' 工作表內容
+ * Build the 'MRP by Material' sheet rows
+ *
+ * @param {Object} result - calculateMaterialRequirements 的結果
+ * @returns {Array<Array>} 工作表資料陣列（含標題列）
+ */
+const buildMaterialRequirementRows = (result) => [
+    [...MRP_MATERIAL_HEADERS, ...result.builds.map(buildColumnHeader)],
+    ...buildRequirementRows(result.materials, result.builds, group => [group.id, group.description, group.unit, roundQuantity(group.total)])
+];
+
+/**
+ * 建立 'MRP by SYS_CPN' 工作表內容
+ * Build the 'MRP by SYS_CPN' sheet rows
+ *
+ * @param {Object} result - calculateMaterialRequirements 的結果
+ * @returns {Array<Array>} 工作表資料陣列（含標題列）
+ */
+const buildSysCpnRequirementRows = (result) => [
+    [...MRP_SYS_CPN_HEADERS, ...result.builds.map(buildColumnHeader)],
+    ...buildRequirementRows(result.sysCpns, result.builds, group => [
+        group.id, group.description, group.unit, group.total === null ? null : roundQuantity(group.total), group.components
+    ])
+];
+
+/**
+ * 建立 'MRP Build Plan' 工作表內容
+ * Build the 'MRP Build Plan' sheet rows
+ *
+ * @param {Object} result - calculateMaterialRequirements 的結果
+ * @returns {Array<Array>} 工作表資料陣列（含標題列）
+ */
+const buildBuildPlanRows = (result) => [
+    MRP_PLAN_HEADERS,
+    ...result.plan.map(entry => [entry.product, entry.version, entry.quantity, entry.rows, entry.status])
+];
+
+/**
+ * 建立物料需求的所有工作表（瀏覽器下載與 CLI 共用）
+ * Build all material requirement sheets (shared by the browser download and the CLI)
+ *
+ * @param {Object} result - calculateMaterialRequirements 的結果
+ * @returns {Array<Object>} [{name, rows}]
+ */
+const buildMaterialRequirementSheets = (result) => [
+    { name: MRP_SHEETS.MATERIAL, rows: buildMaterialRequirementRows(result) },
+    { name: MRP_SHEETS.SYS_CPN, rows: buildSysCpnRequirementRows(result) },
+    { name: MRP_SHEETS.PLAN, rows: buildBuildPlanRows(result) }
+];
+
+// ##################################################################################################################################################
+// 生產數量儲存區塊 (Build Plan Storage)
+// ##################################################################################################################################################
+
+/**
+ * 從 localStorage 讀取生產數量文字
+ * Load the build plan text from localStorage
+ *
+ * @param {Storage|null} storage - 儲存區（預設 localStorage）
+ * @returns {string} 生產數量文字（未儲存時為空字串）
+ */
+const loadBuildPlan = (storage = null) => {
+    try {
+        return (storage || localStorage).getItem(BUILD_PLAN_STORAGE_KEY) || '';
+    } catch (e) {
+        console.warn(formatMessage('consoleStorageReadFailed', { key: BUILD_PLAN_STORAGE_KEY }), e);
+        return '';
+    }
+};
+
+/**
+ * 將生產數量文字寫入 localStorage
+ * Save the build plan text to localStorage
+ *
+ * @param {string} text - 生產數量文字
+ * @param {Storage|null} storage - 儲存區（預設 localStorage）
+ */
+const saveBuildPlan = (text, storage = null) => {
+    try {
+        (storage || localStorage).setItem(BUILD_PLAN_STORAGE_KEY, text);
+    } catch (e) {
+        console.warn(formatMessage('consoleStorageSaveFailed', { key: BUILD_PLAN_STORAGE_KEY }), e);
+    }
+};
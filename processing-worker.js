@@ -0,0 +1,94 @@
+/**
+ * 背景處理 Worker (Processing Worker)
+ * 在 Web Worker 中執行解碼、Papa / XLSX 解析與 BOMHierarchyProcessor，大量檔案處理時頁面不會凍結
+ * Runs decoding, Papa / XLSX parsing and BOMHierarchyProcessor off the main thread
+ *
+ * 訊息協定 (Message protocol):
+ *   主執行緒 → Worker
+ *     {type: 'start', files, options: {trace, strict, sheet, dedup, schema, filenameTemplates, fillRules, encodings, simulation}, ruleProfile, language}
+ *     {type: 'cancel'}
+ *     {type: 'whereUsed', id, query}
+ *   Worker → 主執行緒
+ *     {type: 'ready'}
+ *     {type: 'progress', progress: {done, total, currentFile, rows, elapsedMs}}
+ *     {type: 'done', data, issues, fills, report, simulation, cancelled}
+ *     {type: 'error', message, report}
+ *     {type: 'whereUsedResult', id, results}
+ *
+ * 處理完成後 Worker 保留 whereUsedIndex（精簡的料號索引，不含處理器），直到下一次處理（Where-used 查詢經由訊息進行）
+ */
+
+importScripts(
+    'lib/papaparse.min.js',
+    'lib/xlsx.full.min.js',
+    'i18n.js',
+    'bom_processor.js',
+    'where-used.js',
+    'encoding-detection.js',
+    'consolidator.js',
+    'rule-profiles.js',
+    'rule-simulation.js',
+    'schema-profiles.js',
+    'filename-templates.js',
+    'fill-rules.js'
+);
+
+/**
+ * 目前處理的取消控制器（未處理時為 null）
+ * Abort controller of the running job (null when idle)
+ */
+let cancelController = null;
+
+/**
+ * 執行一次合併處理，並將進度與結果傳回主執行緒
+ * Run one consolidation job, posting progress and the result back
+ *
+ * @param {Object} message - 'start' 訊息
+ */
+const runProcessing = async ({ files, options, ruleProfile, language }) => {
+    currentLanguage = language;
+    activeRuleProfile = ruleProfile;
+    whereUsedIndex.clear();
+    cancelController = new AbortController();
+
+    const issues = [];
+    const fills = [];
+    const report = [];
+
+    try {
+        const data = await processFileList(files, [], null, {
+            ...options,
+            issues,
+            fills,
+            report,
+            signal: cancelController.signal,
+            onProgress: progress => self.postMessage({ type: 'progress', progress })
+        });
+        // 規則模擬結果在 Worker 中填入（options 為主執行緒傳入的複本），一併傳回
+        self.postMessage({ type: 'done', data, issues, fills, report, simulation: options.simulation || null, cancelled: cancelController.signal.aborted });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message, report });
+    } finally {
+        cancelController = null;
+    }
+};
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'start':
+            runProcessing(message);
+            break;
+        case 'cancel':
+            if (cancelController) {
+                cancelController.abort();
+            }
+            break;
+        case 'whereUsed':
+            self.postMessage({ type: 'whereUsedResult', id: message.id, results: whereUsedIndex.search(message.query) });
+            break;
+    }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,387 @@
+/**
+ * 規則設定檔管理 (Rule Profile Manager)
+ * 管理 FIXED_PATTERN 與 SPECIAL_LV_RULES 的命名設定檔：驗證、localStorage 儲存、JSON 匯入匯出
+ *
+ * 設定檔格式 (Profile format):
+ *   {
+ *     name: 'Default',
+ *     fixedPattern: '45|43|64',
+ *     specialLvRules: [{lv: 2, prefix: 'DCS|DC02'}, {lv: '>=3', prefix: 'XY|!XY9'}],
+ *     priorityChains: [['45', '43']],
+ *     productOverrides: [{product: 'ABC|/^X\d/', fixedPattern: '45|64', specialLvRules: [...], priorityChains: [...]}]
+ *   }
+ *
+ *   - specialLvRules.lv：數字（<=）或 '<3'、'=2'、'>=3'、'2-4'（見 BOMHierarchyProcessor.parseLvCondition）
+ *   - prefix、priorityChains 的項目與 productOverrides.product：'A|B' 前綴、'!' 排除前綴或 '/正規表達式/'
+ *     （見 BOMHierarchyProcessor.parseMaterialMatcher；product 比對輸出格式的產品代碼）
+ *   - priorityChains：每條鏈由高至低排列，沒有此欄位的舊設定檔使用 CONFIG.PRIORITY_CHAINS（原本寫死的 43→45）
+ *   - productOverrides：依順序使用第一個 product 相符的覆寫，未設定的欄位沿用設定檔本身的值
+ *
+ * 依賴全域 (Globals required):
+ *   - CONFIG (consolidator.js) - 內建 Default 設定檔來源
+ *   - BOMHierarchyProcessor (bom_processor.js) - LV 條件與比對條件的解析
+ *   - translations / currentLanguage / formatMessage (i18n.js) - 驗證錯誤訊息與主控台訊息
+ */
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * localStorage 儲存鍵值
+ * localStorage key for the profile store
+ */
+const RULE_PROFILE_STORAGE_KEY = 'xlsConsolidator.ruleProfiles';
+
+/**
+ * 內建設定檔名稱（唯讀，對應 CONFIG 的預設值）
+ * Built-in read-only profile name (mirrors CONFIG defaults)
+ */
+const DEFAULT_RULE_PROFILE_NAME = 'Default';
+
+/**
+ * 設定檔名稱最大長度
+ * Maximum profile name length
+ */
+const RULE_PROFILE_NAME_MAX_LENGTH = 50;
+
+// ##################################################################################################################################################
+// 設定檔建立與驗證 (Profile Creation and Validation)
+// ##################################################################################################################################################
+
+/**
+ * 建立內建 Default 設定檔
+ * Create the built-in Default profile from CONFIG
+ *
+ * @returns {Object} 設定檔物件
+ */
+const createDefaultRuleProfile = () => ({
+    name: DEFAULT_RULE_PROFILE_NAME,
+    fixedPattern: CONFIG.FIXED_PATTERN,
+    specialLvRules: CONFIG.SPECIAL_LV_RULES.map(rule => ({ lv: rule.lv, prefix: rule.prefix })),
+    priorityChains: CONFIG.PRIORITY_CHAINS.map(chain => [...chain]),
+    productOverrides: []
+});
+
+/**
+ * 將優先順序鏈格式化為文字（例如 '45 > 43 > 64'）
+ * Format a priority chain as text
+ *
+ * @param {Array<string>} chain - 優先順序鏈
+ * @returns {string}
+ */
+const formatPriorityChain = (chain) => chain.join(' > ');
+
+/**
+ * 解析優先順序鏈文字（每行一條鏈，項目以 > 分隔，空白行略過）
+ * Parse priority chain text (one chain per line, entries separated by >)
+ *
+ * @param {string} text - 優先順序鏈文字
+ * @returns {Array<Array<string>>}
+ */
+const parsePriorityChains = (text) => String(text ?? '').split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => line.split('>').map(entry => entry.trim()));
+
+/**
+ * 正規化 LV 條件（純數字轉為數字，其他保留為去除空白的文字）
+ * Normalize an LV condition (plain numbers become numbers)
+ *
+ * @param {*} lv - LV 條件
+ * @returns {number|string} 空值時為 NaN
+ */
+const normalizeLvCondition = (lv) => {
+    if (lv === '' || lv == null) return NaN;
+    const text = String(lv).trim();
+    return /^\d+$/.test(text) ? Number(text) : text;
+};
+
+/**
+ * 正規化特殊 LV 規則
+ * Normalize special LV rules
+ *
+ * @param {*} rules - 原始規則陣列
+ * @returns {Array<Object>} [{lv, prefix}]
+ */
+const normalizeSpecialLvRules = (rules) => (Array.isArray(rules) ? rules : []).map(rule => ({
+    lv: normalizeLvCondition(rule?.lv),
+    prefix: String(rule?.prefix ?? '').trim()
+}));
+
+/**
+ * 正規化優先順序鏈
+ * Normalize priority chains
+ *
+ * @param {*} chains - 原始優先順序鏈陣列
+ * @returns {Array<Array<string>>}
+ */
+const normalizePriorityChains = (chains) => (Array.isArray(chains) ? chains : []).map(chain =>
+    (Array.isArray(chain) ? chain : []).map(entry => String(entry ?? '').trim())
+);
+
+/**
+ * 正規化設定檔（去除空白、轉換數字型別）
+ * Normalize a profile (trim strings, coerce LV to number)
+ *
+ * @param {Object} profile - 原始設定檔（可能來自使用者輸入或 JSON）
+ * @returns {Object} 正規化後的設定檔
+ *
+ * 沒有 priorityChains 的舊設定檔使用 CONFIG.PRIORITY_CHAINS，維持原本的 43→45 行為
+ * productOverrides 只保留有設定的欄位
+ */
+const normalizeRuleProfile = (profile) => ({
+    name: String(profile?.name ?? '').trim(),
+    fixedPattern: String(profile?.fixedPattern ?? '').trim(),
+    specialLvRules: normalizeSpecialLvRules(profile?.specialLvRules),
+    priorityChains: profile?.priorityChains == null
+        ? CONFIG.PRIORITY_CHAINS.map(chain => [...chain])
+        : normalizePriorityChains(profile.priorityChains),
+    productOverrides: (Array.isArray(profile?.productOverrides) ? profile.productOverrides : []).map(override => ({
+        product: String(override?.product ?? '').trim(),
+        ...(override?.fixedPattern != null ? { fixedPattern: String(override.fixedPattern).trim() } : {}),
+        ...(override?.specialLvRules != null ? { specialLvRules: normalizeSpecialLvRules(override.specialLvRules) } : {}),
+        ...(override?.priorityChains != null ? { priorityChains: normalizePriorityChains(override.priorityChains) } : {})
+    }))
+});
+
+/**
+ * 檢查 Material 比對條件是否有效
+ * Check whether a material matcher is valid
+ *
+ * @param {string} text - 比對條件
+ * @returns {boolean} 正規表達式可編譯；或至少有一個前綴且沒有空的 | 分段
+ */
+const isValidMaterialMatcher = (text) => {
+    try {
+        const { regex, includes, excludes } = BOMHierarchyProcessor.parseMaterialMatcher(text);
+        return Boolean(regex) || (includes.length > 0 && [...includes, ...excludes].every(Boolean));
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * 驗證規則（設定檔本身或產品覆寫中有設定的欄位）
+ * Validate the rule fields of a profile or product override
+ *
+ * @param {Object} rules - {fixedPattern, specialLvRules, priorityChains}（未設定的欄位略過）
+ * @returns {Array<string>} 錯誤訊息陣列
+ */
+const validateRuleFields = (rules) => {
+    const trans = translations[currentLanguage];
+    const errors = [];
+
+    if (rules.fixedPattern !== undefined) {
+        if (!rules.fixedPattern) {
+            errors.push(trans.ruleErrorPatternEmpty);
+        } else {
+            try {
+                // 與 BOMHierarchyProcessor 相同的編譯方式，避免其退回 /^$/
+                new RegExp(`^(${rules.fixedPattern})`);
+                if (rules.fixedPattern.split('|').some(part => part.trim() === '')) {
+                    errors.push(trans.ruleErrorPatternEmptyAlt);
+                }
+            } catch (e) {
+                errors.push(`${trans.ruleErrorPatternInvalid}${e.message}`);
+            }
+        }
+    }
+
+    (rules.specialLvRules || []).forEach((rule, idx) => {
+        if (!BOMHierarchyProcessor.parseLvCondition(rule.lv)) {
+            errors.push(`${trans.ruleErrorRuleLv}${idx + 1}`);
+        }
+        if (!isValidMaterialMatcher(rule.prefix)) {
+            errors.push(`${trans.ruleErrorRulePrefix}${idx + 1}`);
+        }
+    });
+
+    (rules.priorityChains || []).forEach((chain, idx) => {
+        if (chain.length < 2 || !chain.every(isValidMaterialMatcher)) {
+            errors.push(`${trans.ruleErrorChain}${idx + 1}`);
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * 驗證設定檔
+ * Validate a profile
+ *
+ * @param {Object} profile - 正規化後的設定檔
+ * @returns {Array<string>} 錯誤訊息陣列（空陣列表示通過）
+ *
+ * 檢查項目 (Checks):
+ * - 名稱不可為空且不超過長度上限
+ * - FIXED_PATTERN 必須是可編譯的正規表達式，且不可有空的 | 分段（會匹配所有 Material）
+ * - 每條 SPECIAL_LV_RULES 的 lv 必須是有效的 LV 條件，prefix 必須是有效的比對條件（| 分段不可為空）
+ * - 每條優先順序鏈至少兩個項目，且每個項目都是有效的比對條件
+ * - 每個產品覆寫的 product 必須是有效的比對條件，有設定的欄位依上述規則檢查
+ */
+const validateRuleProfile = (profile) => {
+    const trans = translations[currentLanguage];
+    const errors = [];
+
+    if (!profile.name || profile.name.length > RULE_PROFILE_NAME_MAX_LENGTH) {
+        errors.push(trans.ruleErrorName);
+    }
+
+    errors.push(...validateRuleFields(profile));
+
+    profile.productOverrides.forEach((override, idx) => {
+        const overrideErrors = validateRuleFields(override);
+        if (!isValidMaterialMatcher(override.product)) {
+            overrideErrors.unshift(trans.ruleErrorOverrideProduct);
+        }
+        errors.push(...overrideErrors.map(error => `${trans.ruleErrorOverride}${idx + 1}: ${error}`));
+    });
+
+    return errors;
+};
+
+/**
+ * 取得產品實際使用的規則（套用第一個 product 相符的覆寫）
+ * Resolve the rules used for a product (the first matching override wins)
+ *
+ * @param {Object} profile - 規則設定檔
+ * @param {string} product - 產品代碼（輸出格式，見 formatProduct）
+ * @returns {Object} {fixedPattern, specialLvRules, priorityChains, override: 相符覆寫的 product（沒有時為 null）}
+ */
+const resolveProductRules = (profile, product) => {
+    const rules = {
+        fixedPattern: profile.fixedPattern,
+        specialLvRules: profile.specialLvRules,
+        priorityChains: profile.priorityChains,
+        override: null
+    };
+
+    const productText = String(product ?? '').trim();
+    const override = (profile.productOverrides || []).find(candidate => {
+        try {
+            return BOMHierarchyProcessor.compileMaterialMatcher(candidate.product)(productText);
+        } catch (e) {
+            return false;
+        }
+    });
+
+    if (override) {
+        console.log(formatMessage('consoleOverride', { product: productText, override: override.product }));
+        Object.assign(rules, {
+            fixedPattern: override.fixedPattern ?? rules.fixedPattern,
+            specialLvRules: override.specialLvRules ?? rules.specialLvRules,
+            priorityChains: override.priorityChains ?? rules.priorityChains,
+            override: override.product
+        });
+    }
+
+    return rules;
+};
+
+/**
+ * 解析 JSON 格式的設定檔（單一設定檔或設定檔陣列）
+ * Parse profiles from JSON (a single profile or an array)
+ *
+ * @param {string} json - JSON 字串
+ * @returns {Array<Object>} 正規化且驗證通過的設定檔陣列
+ * @throws {Error} JSON 格式錯誤或任一設定檔驗證失敗時拋出錯誤
+ */
+const parseRuleProfilesJson = (json) => {
+    const parsed = JSON.parse(json);
+    const profiles = (Array.isArray(parsed) ? parsed : [parsed]).map(normalizeRuleProfile);
+
+    profiles.forEach(profile => {
+        const errors = validateRuleProfile(profile);
+        if (errors.length > 0) {
+            throw new Error(`${profile.name || '?'}: ${errors.join('; ')}`);
+        }
+    });
+
+    return profiles;
+};
+
+/**
+ * 將設定檔序列化為可分享的 JSON
+ * Serialize a profile to shareable JSON
+ *
+ * @param {Object} profile - 設定檔
+ * @returns {string} JSON 字串
+ */
+const serializeRuleProfile = (profile) => JSON.stringify({
+    name: profile.name,
+    fixedPattern: profile.fixedPattern,
+    specialLvRules: profile.specialLvRules.map(rule => ({ lv: rule.lv, prefix: rule.prefix })),
+    priorityChains: profile.priorityChains,
+    productOverrides: profile.productOverrides
+}, null, 2);
+
+// ##################################################################################################################################################
+// 設定檔儲存區塊 (Profile Storage)
+// ##################################################################################################################################################
+
+/**
+ * 從 localStorage 讀取設定檔儲存區
+ * Load the profile store from localStorage
+ *
+ * @param {Storage|null} storage - 儲存區（預設 localStorage）
+ * @returns {Object} {active: string, profiles: Object<string, Object>}
+ *
+ * 無效的設定檔會被略過；Default 一律由 CONFIG 產生，不會被覆蓋
+ * localStorage 無法使用時（例如部分瀏覽器的 file:// 頁面）僅提供 Default
+ */
+const loadRuleProfileStore = (storage = null) => {
+    const store = { active: DEFAULT_RULE_PROFILE_NAME, profiles: {} };
+
+    try {
+        const saved = JSON.parse((storage || localStorage).getItem(RULE_PROFILE_STORAGE_KEY) || 'null');
+        if (saved && saved.profiles) {
+            Object.values(saved.profiles).forEach(raw => {
+                const profile = normalizeRuleProfile(raw);
+                if (profile.name !== DEFAULT_RULE_PROFILE_NAME && validateRuleProfile(profile).length === 0) {
+                    store.profiles[profile.name] = profile;
+                }
+            });
+            if (store.profiles[saved.active]) {
+                store.active = saved.active;
+            }
+        }
+    } catch (e) {
+        console.warn(formatMessage('consoleStorageReadFailed', { key: RULE_PROFILE_STORAGE_KEY }), e);
+    }
+
+    store.profiles[DEFAULT_RULE_PROFILE_NAME] = createDefaultRuleProfile();
+    return store;
+};
+
+/**
+ * 將設定檔儲存區寫入 localStorage（不含 Default）
+ * Save the profile store to localStorage (Default is never persisted)
+ *
+ * @param {Object} store - 設定檔儲存區
+ * @param {Storage|null} storage - 儲存區（預設 localStorage）
+ */
+const saveRuleProfileStore = (store, storage = null) => {
+    const profiles = {};
+    Object.values(store.profiles).forEach(profile => {
+        if (profile.name !== DEFAULT_RULE_PROFILE_NAME) {
+            profiles[profile.name] = profile;
+        }
+    });
+
+    try {
+        (storage || localStorage).setItem(RULE_PROFILE_STORAGE_KEY, JSON.stringify({ active: store.active, profiles }));
+    } catch (e) {
+        console.warn(formatMessage('consoleStorageSaveFailed', { key: RULE_PROFILE_STORAGE_KEY }), e);
+    }
+};
+
+// ##################################################################################################################################################
+// 目前使用中的設定檔 (Active Profile)
+// ##################################################################################################################################################
+
+/**
+ * 處理時使用的設定檔（convertFile 與 buildWorkbook 讀取）
+ * Profile used for processing (read by convertFile and buildWorkbook)
+ */
+let activeRuleProfile = createDefaultRuleProfile();
@@ -0,0 +1,217 @@
+/**
+ * 規則模擬 (Rule Simulation)
+ * 以目前的規則設定檔與候選規則設定檔處理相同的輸入，列出 SYS_CPN 或 Ttl. Usage 改變的每一行，
+ * 並依產品與規則彙總，作為修改 FIXED_PATTERN / SPECIAL_LV_RULES / PRIORITY_CHAINS 前的影響評估
+ *
+ * 模擬結果 (Simulation, 見 createRuleSimulation):
+ *   {current: 目前設定檔, candidate: 候選設定檔,
+ *    changes: [{product, version, ln, lv, material, partNumber, current: {sysCpn, ttlUsage, rule}, candidate: {...}}],
+ *    products: [{product, version, rows, changed, sysCpnChanged, ttlUsageChanged, currentOverride, candidateOverride}],
+ *    rules: {規則標籤: {current, candidate, changedFrom, changedTo}}}
+ *   - 規則標籤為追蹤欄位 'SYS_CPN Rule' 的值（例如 'P2 FIXED_PATTERN 43→45'，見 SYS_CPN_RULES）
+ *   - 結果只含可複製的資料，可由 Worker 傳回主執行緒
+ *
+ * 依賴全域 (Globals required):
+ *   - BOMHierarchyProcessor (bom_processor.js)
+ *   - resolveProductRules (rule-profiles.js)
+ *   - productVersionKey (consolidator.js)
+ */
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * 'Simulation' 工作表標題列
+ * 'Simulation' sheet headers
+ */
+const SIMULATION_HEADERS = [
+    'Product', 'Version', 'LN', 'LV', 'Material', 'Part Number', 'Change',
+    'Current SYS_CPN', 'Candidate SYS_CPN', 'Current Ttl. Usage', 'Candidate Ttl. Usage', 'Current Rule', 'Candidate Rule'
+];
+
+/**
+ * 'Simulation Summary' 工作表的產品彙總標題列
+ * Per-product summary headers of the 'Simulation Summary' sheet
+ */
+const SIMULATION_PRODUCT_HEADERS = [
+    'Product', 'Version', 'Rows', 'Changed Rows', 'SYS_CPN Changes', 'Ttl. Usage Changes', 'Current Override', 'Candidate Override'
+];
+
+/**
+ * 'Simulation Summary' 工作表的規則彙總標題列
+ * Per-rule summary headers of the 'Simulation Summary' sheet
+ */
+const SIMULATION_RULE_HEADERS = ['Rule', 'Current Rows', 'Candidate Rows', 'Difference', 'Changed From', 'Changed To'];
+
+// ##################################################################################################################################################
+// 模擬區塊 (Simulation)
+// ##################################################################################################################################################
+
+/**
+ * 建立空的模擬結果
+ * Create an empty simulation result
+ *
+ * @param {Object} currentProfile - 目前的規則設定檔
+ * @param {Object} candidateProfile - 候選規則設定檔
+ * @returns {Object} 模擬結果（見檔案開頭說明）
+ */
+const createRuleSimulation = (currentProfile, candidateProfile) => ({
+    current: currentProfile,
+    candidate: candidateProfile,
+    changes: [],
+    products: [],
+    rules: {}
+});
+
+/**
+ * 以規則設定檔處理資料（含追蹤欄位）
+ * Run the processor on the data with a rule profile (with trace columns)
+ *
+ * @param {Array<Object>} dataObjects - 資料物件陣列（convertFile 步驟 6 的結果，不會被修改）
+ * @param {Object} profile - 規則設定檔
+ * @param {string} product - 產品代碼（套用產品覆寫）
+ * @returns {Object} {rows: 處理後的資料物件陣列, override: 套用的產品覆寫（沒有時為 null）}
+ */
+const runRuleProfile = (dataObjects, profile, product) => {
+    const rules = resolveProductRules(profile, product);
+    const processor = new BOMHierarchyProcessor(dataObjects, rules.fixedPattern, rules.specialLvRules, rules.priorityChains);
+    return { rows: processor.process(true), override: rules.override };
+};
+
+/**
+ * 以目前與候選規則設定檔處理同一個檔案的資料，記錄差異
+ * Simulate both profiles on one file's data and record the differences
+ *
+ * @param {Object} simulation - 模擬結果（會被修改）
+ * @param {Array<Object>} dataObjects - 資料物件陣列（不會被修改）
+ * @param {string} product - 產品代碼（輸出格式）
+ * @param {string} version - 版本（輸出格式）
+ * @param {Array<Object>|null} currentRows - 主處理以目前設定檔 process(true) 的結果（可選，提供時不重新處理目前設定檔）
+ */
+const simulateRuleProfiles = (simulation, dataObjects, product, version, currentRows = null) => {
+    const current = currentRows
+        ? { rows: currentRows, override: resolveProductRules(simulation.current, product).override }
+        : runRuleProfile(dataObjects, simulation.current, product);
+    const candidate = runRuleProfile(dataObjects, simulation.candidate, product);
+
+    const key = productVersionKey(product, version);
+    let summary = simulation.products.find(entry => productVersionKey(entry.product, entry.version) === key);
+    if (!summary) {
+        summary = {
+            product, version, rows: 0, changed: 0, sysCpnChanged: 0, ttlUsageChanged: 0,
+            currentOverride: current.override, candidateOverride: candidate.override
+        };
+        simulation.products.push(summary);
+    }
+
+    const ruleSummary = (rule) => {
+        if (!simulation.rules[rule]) {
+            simulation.rules[rule] = { current: 0, candidate: 0, changedFrom: 0, changedTo: 0 };
+        }
+        return simulation.rules[rule];
+    };
+
+    for (let i = 0; i < current.rows.length; i++) {
+        const before = current.rows[i];
+        const after = candidate.rows[i];
+        const sysCpnChanged = before.SYS_CPN !== after.SYS_CPN;
+        const ttlUsageChanged = before['Ttl. Usage'] !== after['Ttl. Usage'];
+
+        summary.rows++;
+        ruleSummary(before['SYS_CPN Rule']).current++;
+        ruleSummary(after['SYS_CPN Rule']).candidate++;
+
+        if (!sysCpnChanged && !ttlUsageChanged) {
+            continue;
+        }
+
+        summary.changed++;
+        if (sysCpnChanged) summary.sysCpnChanged++;
+        if (ttlUsageChanged) summary.ttlUsageChanged++;
+        ruleSummary(before['SYS_CPN Rule']).changedFrom++;
+        ruleSummary(after['SYS_CPN Rule']).changedTo++;
+
+        simulation.changes.push({
+            product,
+            version,
+            ln: before.LN,
+            lv: before.LV,
+            material: before.Material,
+            partNumber: before['Part Number'],
+            current: { sysCpn: before.SYS_CPN, ttlUsage: before['Ttl. Usage'], rule: before['SYS_CPN Rule'] },
+            candidate: { sysCpn: after.SYS_CPN, ttlUsage: after['Ttl. Usage'], rule: after['SYS_CPN Rule'] }
+        });
+    }
+};
+
+// ##################################################################################################################################################
+// 工作表區塊 (Sheet Rows)
+// ##################################################################################################################################################
+
+/**
+ * 建立 'Simulation' 工作表內容（SYS_CPN 或 Ttl. Usage 改變的每一行）
+ * Build the 'Simulation' sheet rows (every row whose SYS_CPN or Ttl. Usage changes)
+ *
+ * @param {Object} simulation - 模擬結果
+ * @returns {Array<Array>} 工作表資料陣列（含標題列）
+ */
+const buildRuleSimulationRows = (simulation) => [
+    SIMULATION_HEADERS,
+    ...simulation.changes.map(change => [
+        change.product,
+        change.version,
+        change.ln,
+        change.lv,
+        change.material,
+        change.partNumber,
+        [
+            change.current.sysCpn !== change.candidate.sysCpn ? 'SYS_CPN' : null,
+            change.current.ttlUsage !== change.candidate.ttlUsage ? 'Ttl. Usage' : null
+        ].filter(Boolean).join(', '),
+        change.current.sysCpn,
+        change.candidate.sysCpn,
+        change.current.ttlUsage,
+        change.candidate.ttlUsage,
+        change.current.rule,
+        change.candidate.rule
+    ])
+];
+
+/**
+ * 建立 'Simulation Summary' 工作表內容（設定檔名稱、依產品彙總、依規則彙總）
+ * Build the 'Simulation Summary' sheet rows (profiles, per-product and per-rule summaries)
+ *
+ * @param {Object} simulation - 模擬結果
+ * @returns {Array<Array>} 工作表資料陣列
+ */
+const buildRuleSimulationSummaryRows = (simulation) => {
+    const totalRows = simulation.products.reduce((sum, entry) => sum + entry.rows, 0);
+
+    return [
+        ['Current Profile', simulation.current.name],
+        ['Candidate Profile', simulation.candidate.name],
+        ['Rows', totalRows],
+        ['Changed Rows', simulation.changes.length],
+        [],
+        ['By Product'],
+        SIMULATION_PRODUCT_HEADERS,
+        ...simulation.products.map(entry => [
+            entry.product,
+            entry.version,
+            entry.rows,
+            entry.changed,
+            entry.sysCpnChanged,
+            entry.ttlUsageChanged,
+            entry.currentOverride ?? '',
+            entry.candidateOverride ?? ''
+        ]),
+        [],
+        ['By Rule'],
+        SIMULATION_RULE_HEADERS,
+        ...Object.keys(simulation.rules).sort().map(rule => {
+            const counts = simulation.rules[rule];
+            return [rule, counts.current, counts.candidate, counts.candidate - counts.current, counts.changedFrom, counts.changedTo];
+        })
+    ];
+};
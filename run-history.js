@@ -0,0 +1,380 @@
+/**
+ * 執行記錄 (Run History)
+ * 每次處理完成後將輸入檔、設定、檔案處理報告、統計與產生的活頁簿保存在瀏覽器的 IndexedDB，
+ * 之後不需重新處理即可重新下載、檢視、比較或刪除過去的執行
+ *
+ * 記錄格式 (Run record, 見 buildRunRecord):
+ *   {id, createdAt: ISO 時間, language, files: [{name, size, sha256}], settings: {...見 RUN_SETTING_NAMES},
+ *    ruleProfile: 規則設定檔, ruleProfileSha256, report: 檔案處理報告（見 processFile）,
+ *    totals: {files, rows, outputRows, errors, warnings, elapsedMs}, workbook: {name, size}}
+ *   - 活頁簿（xlsx，含 Files / Issues / Changes 等附加工作表）另存於 'workbooks' 儲存區（鍵值為記錄 id），列出記錄時不需讀取
+ *   - sha256 在瀏覽器不支援 crypto.subtle 時（非安全來源）為 null
+ *   - 超過 RUN_HISTORY_LIMIT 筆時刪除最舊的記錄
+ *
+ * 依賴全域 (Globals required):
+ *   - indexedDB、crypto.subtle（瀏覽器）
+ *   - translations / currentLanguage / formatCount (i18n.js) - 錯誤訊息、明細與比較表的標籤
+ *   - CHANGE_TYPES (bom-diff.js) - 比較結果的 Added / Removed
+ */
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * IndexedDB 資料庫名稱與版本
+ * IndexedDB database name and version
+ */
+const RUN_HISTORY_DB_NAME = 'xlsConsolidator';
+const RUN_HISTORY_DB_VERSION = 1;
+
+/**
+ * IndexedDB 儲存區：runs 為記錄（自動遞增 id），workbooks 為活頁簿內容（鍵值為記錄 id）
+ * IndexedDB object stores: run records and their workbook bytes
+ */
+const RUN_HISTORY_STORES = {
+    RUNS: 'runs',
+    WORKBOOKS: 'workbooks'
+};
+
+/**
+ * 保留的記錄筆數上限
+ * Maximum number of runs kept
+ */
+const RUN_HISTORY_LIMIT = 50;
+
+/**
+ * 設定名稱的翻譯鍵值（記錄明細與比較的 Item 欄位，依此順序列出）
+ * Translation keys of the setting names (Item column of run details and comparisons, in this order)
+ */
+const RUN_SETTING_NAMES = {
+    trace: 'historySettingTrace',
+    strict: 'historySettingStrict',
+    compare: 'historySettingCompare',
+    sheet: 'historySettingSheet',
+    dedup: 'historySettingDedup',
+    schema: 'historySettingSchema',
+    filenameTemplates: 'historySettingFilenameTemplates',
+    fillRules: 'historySettingFillRules',
+    encodings: 'historySettingEncodings',
+    baseline: 'historySettingBaseline',
+    replace: 'historySettingReplace',
+    simulation: 'historySettingSimulation'
+};
+
+/**
+ * 記錄明細與比較標題列的翻譯鍵值
+ * Translation keys of the run detail and comparison headers
+ */
+const RUN_DETAIL_HEADERS = ['historyDetailSection', 'historyDetailItem', 'historyDetailValue'];
+const RUN_COMPARE_HEADERS = ['historyDetailSection', 'historyDetailItem', 'historyCompareRunA', 'historyCompareRunB', 'historyCompareChange'];
+
+// ##################################################################################################################################################
+// 記錄建立區塊 (Run Records)
+// ##################################################################################################################################################
+
+/**
+ * 計算內容的 SHA-256
+ * Compute the SHA-256 of some bytes
+ *
+ * @param {ArrayBuffer|Uint8Array} data - 內容
+ * @returns {Promise<string|null>} 十六進位字串；瀏覽器不支援 crypto.subtle 時返回 null
+ */
+const hashContent = async (data) => {
+    if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * 產生活頁簿的下載檔名（與「下載結果」相同的時間戳記格式）
+ * Build the download file name of a run's workbook (same timestamp format as downloads)
+ *
+ * @param {Date} date - 執行時間
+ * @returns {string} 例如 '20260129.143005_consolidated_data.xlsx'
+ */
+const runWorkbookName = (date) => {
+    const timestamp = date.toLocaleString('sv-SE').replace(' ', '.').replace(/[-:]/g, '');
+    return `${timestamp}_consolidated_data.xlsx`;
+};
+
+/**
+ * 建立執行記錄（計算輸入檔與規則設定檔的 SHA-256）
+ * Build a run record (hashes the input files and the rule profile)
+ *
+ * @param {Object} run - 執行內容
+ *        - files: 輸入檔案（File 物件陣列）
+ *        - settings: 處理設定（見 RUN_SETTING_NAMES）
+ *        - ruleProfile: 處理時使用的規則設定檔
+ *        - report: 檔案處理報告
+ *        - issues: 資料驗證問題 {severity}
+ *        - rows: 本次處理的資料行數；outputRows: 輸出資料行數（含基準活頁簿的資料）
+ *        - elapsedMs: 處理時間
+ *        - workbookSize: 活頁簿大小（bytes）
+ *        - createdAt: 執行時間（預設現在）
+ * @returns {Promise<Object>} 執行記錄（見檔案開頭說明，尚無 id）
+ */
+const buildRunRecord = async ({ files, settings, ruleProfile, report, issues, rows, outputRows, elapsedMs, workbookSize, createdAt = new Date() }) => {
+    const inputFiles = [];
+    for (const file of files) {
+        inputFiles.push({ name: file.name, size: file.size, sha256: await hashContent(await file.arrayBuffer()) });
+    }
+
+    return {
+        createdAt: createdAt.toISOString(),
+        language: currentLanguage,
+        files: inputFiles,
+        settings,
+        ruleProfile,
+        ruleProfileSha256: await hashContent(new TextEncoder().encode(JSON.stringify(ruleProfile))),
+        report,
+        totals: {
+            files: report.filter(entry => entry.status !== 'cancelled' && entry.status !== 'skipped').length,
+            rows,
+            outputRows,
+            errors: issues.filter(issue => issue.severity === 'error').length,
+            warnings: issues.filter(issue => issue.severity === 'warning').length,
+            elapsedMs: Math.round(elapsedMs)
+        },
+        workbook: { name: runWorkbookName(createdAt), size: workbookSize }
+    };
+};
+
+// ##################################################################################################################################################
+// IndexedDB 儲存區塊 (IndexedDB Storage)
+// ##################################################################################################################################################
+
+let runHistoryDb = null;    // 開啟中或已開啟的資料庫 Promise
+
+/**
+ * 檢查瀏覽器是否支援 IndexedDB
+ * Check whether IndexedDB is available
+ *
+ * @returns {boolean}
+ */
+const isRunHistoryAvailable = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+/**
+ * 開啟記錄資料庫（第一次開啟時建立儲存區）
+ * Open the history database (creates the stores on first use)
+ *
+ * @returns {Promise<IDBDatabase>}
+ * @throws {Error} 瀏覽器不支援或拒絕使用 IndexedDB 時拋出錯誤
+ */
+const openRunHistory = () => {
+    if (!runHistoryDb) {
+        runHistoryDb = new Promise((resolve, reject) => {
+            if (!isRunHistoryAvailable()) {
+                reject(new Error(translations[currentLanguage].historyUnavailable));
+                return;
+            }
+            const request = indexedDB.open(RUN_HISTORY_DB_NAME, RUN_HISTORY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(RUN_HISTORY_STORES.RUNS, { keyPath: 'id', autoIncrement: true });
+                request.result.createObjectStore(RUN_HISTORY_STORES.WORKBOOKS);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            runHistoryDb = null;    // 下次重新嘗試
+            throw error;
+        });
+    }
+    return runHistoryDb;
+};
+
+/**
+ * 在兩個儲存區的交易中執行操作，交易完成後返回結果
+ * Run requests in a transaction over both stores and resolve when it completes
+ *
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} callback - (runs, workbooks) => IDBRequest|undefined，必須同步發出請求
+ * @returns {Promise<*>} callback 返回的請求結果
+ */
+const runHistoryTransaction = async (mode, callback) => {
+    const db = await openRunHistory();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([RUN_HISTORY_STORES.RUNS, RUN_HISTORY_STORES.WORKBOOKS], mode);
+        const request = callback(transaction.objectStore(RUN_HISTORY_STORES.RUNS), transaction.objectStore(RUN_HISTORY_STORES.WORKBOOKS));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = (event) => reject(event.target.error);    // 失敗的請求
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+/**
+ * 保存執行記錄與活頁簿（超過上限時刪除最舊的記錄）
+ * Save a run record with its workbook (prunes the oldest runs beyond the limit)
+ *
+ * @param {Object} record - 執行記錄（見 buildRunRecord）
+ * @param {Uint8Array} bytes - 活頁簿內容
+ * @param {number} limit - 保留筆數（預設 RUN_HISTORY_LIMIT）
+ * @returns {Promise<number>} 記錄 id
+ */
+const saveRun = (record, bytes, limit = RUN_HISTORY_LIMIT) => runHistoryTransaction('readwrite', (runs, workbooks) => {
+    const request = runs.add(record);
+    request.onsuccess = () => {
+        workbooks.put(bytes, request.result);
+
+        // id 依建立順序遞增：刪除最前面超過上限的記錄
+        const keys = runs.getAllKeys();
+        keys.onsuccess = () => keys.result.slice(0, Math.max(0, keys.result.length - limit)).forEach(id => {
+            runs.delete(id);
+            workbooks.delete(id);
+        });
+    };
+    return request;
+});
+
+/**
+ * 列出所有執行記錄（最新的在前）
+ * List all runs, newest first
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+const listRuns = async () => {
+    const runs = await runHistoryTransaction('readonly', (store) => store.getAll());
+    return runs.reverse();
+};
+
+/**
+ * 讀取執行記錄的活頁簿
+ * Read the workbook of a run
+ *
+ * @param {number} id - 記錄 id
+ * @returns {Promise<Uint8Array|null>} 活頁簿內容（記錄已刪除時為 null）
+ */
+const getRunWorkbook = async (id) => {
+    const bytes = await runHistoryTransaction('readonly', (runs, workbooks) => workbooks.get(id));
+    return bytes ?? null;
+};
+
+/**
+ * 刪除執行記錄與活頁簿
+ * Delete a run and its workbook
+ *
+ * @param {number} id - 記錄 id
+ * @returns {Promise<void>}
+ */
+const deleteRun = (id) => runHistoryTransaction('readwrite', (runs, workbooks) => {
+    runs.delete(id);
+    workbooks.delete(id);
+});
+
+// ##################################################################################################################################################
+// 明細與比較區塊 (Details and Comparison)
+// ##################################################################################################################################################
+
+/**
+ * 格式化設定值
+ * Format a setting value
+ *
+ * @param {*} value - 設定值
+ * @returns {string}
+ */
+const formatRunSetting = (value) => {
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'object') return Object.keys(value).length > 0 ? JSON.stringify(value) : '';
+    return String(value);
+};
+
+/**
+ * 將執行記錄展開為明細項目（設定、統計、每個輸入檔）
+ * Expand a run into detail entries (settings, totals, one per input file)
+ *
+ * @param {Object} run - 執行記錄
+ * @returns {Array<Object>} [{key, section, item, value}]；key 為比較用的固定鍵值，section / item 為目前語言的標籤；
+ *          同名輸入檔以 #2、#3 區分
+ */
+const describeRun = (run) => {
+    const trans = translations[currentLanguage];
+    const shortHash = (hash) => hash ? hash.slice(0, 12) : '-';
+    const entry = (section, item, value) => ({ key: `${section}\u0000${item}`, section: trans[section], item: trans[item], value });
+
+    const entries = [
+        entry('historySectionRun', 'historyItemCreated', run.createdAt),
+        entry('historySectionRun', 'historyItemWorkbook', run.workbook.name),
+        entry('historySectionSettings', 'historyItemRuleProfile', `${run.ruleProfile.name} (${shortHash(run.ruleProfileSha256)})`),
+        ...Object.entries(RUN_SETTING_NAMES).map(([key, item]) => entry('historySectionSettings', item, formatRunSetting(run.settings[key]))),
+        entry('historySectionTotals', 'historyItemFiles', run.totals.files),
+        entry('historySectionTotals', 'historyItemRows', run.totals.rows),
+        entry('historySectionTotals', 'historyItemOutputRows', run.totals.outputRows),
+        entry('historySectionTotals', 'historyItemErrors', run.totals.errors),
+        entry('historySectionTotals', 'historyItemWarnings', run.totals.warnings),
+        entry('historySectionTotals', 'historyItemElapsed', run.totals.elapsedMs)
+    ];
+
+    // 輸入檔與檔案處理報告依名稱對應（同名檔案依順序）
+    const reports = new Map();
+    run.report.forEach(entry => reports.set(entry.name, [...(reports.get(entry.name) || []), entry]));
+
+    const seen = new Map();
+    run.files.forEach(file => {
+        const count = (seen.get(file.name) || 0) + 1;
+        seen.set(file.name, count);
+
+        const report = (reports.get(file.name) || [])[count - 1];
+        const result = report
+            ? [report.status, formatCount(report.rows, 'historyFileRowsText'), [report.product, report.version].filter(Boolean).join(' ')]
+            : [];
+        const item = count > 1 ? `${file.name} #${count}` : file.name;
+        entries.push({
+            key: `historySectionFiles\u0000${item}`,
+            section: trans.historySectionFiles,
+            item,
+            value: [...result, `SHA-256 ${shortHash(file.sha256)}`].filter(Boolean).join(', ')
+        });
+    });
+
+    return entries;
+};
+
+/**
+ * 建立執行記錄的明細表
+ * Build the detail rows of a run
+ *
+ * @param {Object} run - 執行記錄
+ * @returns {Array<Array>} 資料陣列（含標題列）
+ */
+const buildRunDetailRows = (run) => [
+    RUN_DETAIL_HEADERS.map(key => translations[currentLanguage][key]),
+    ...describeRun(run).map(entry => [entry.section, entry.item, entry.value])
+];
+
+/**
+ * 比較兩次執行的設定、統計與輸入檔
+ * Compare the settings, totals and input files of two runs
+ *
+ * Change 欄位：
+ *   - Added / Removed：只出現在 B / A 的輸入檔
+ *   - 兩邊都是數字時為差值（例如 '+12'），其他不同的值為 'Changed'（historyChanged），相同時為空白
+ *
+ * @param {Object} runA - 執行記錄 A（通常為較舊的執行）
+ * @param {Object} runB - 執行記錄 B
+ * @returns {Array<Array>} 資料陣列（含標題列）
+ */
+const compareRuns = (runA, runB) => {
+    const trans = translations[currentLanguage];
+    const entriesA = describeRun(runA);
+    const entriesB = new Map(describeRun(runB).map(entry => [entry.key, entry]));
+
+    // 依 A 的順序列出，只出現在 B 的輸入檔接在最後
+    const rows = entriesA.map(entry => {
+        const other = entriesB.get(entry.key);
+        entriesB.delete(entry.key);
+        if (!other) return [entry.section, entry.item, entry.value, '', CHANGE_TYPES.REMOVED];
+
+        let change = '';
+        if (typeof entry.value === 'number' && typeof other.value === 'number') {
+            const difference = other.value - entry.value;
+            change = difference === 0 ? '' : `${difference > 0 ? '+' : ''}${difference}`;
+        } else if (entry.value !== other.value && !entry.key.startsWith('historySectionRun\u0000')) {
+            // 'Run' 區段（建立時間、活頁簿檔名）每次執行都不同，不標示變更
+            change = trans.historyChanged;
+        }
+        return [entry.section, entry.item, entry.value, other.value, change];
+    });
+    entriesB.forEach(entry => rows.push([entry.section, entry.item, '', entry.value, CHANGE_TYPES.ADDED]));
+
+    return [RUN_COMPARE_HEADERS.map(key => trans[key]), ...rows];
+};
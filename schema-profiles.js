@@ -0,0 +1,487 @@
+/**
+ * 欄位結構設定檔 (Schema Profiles)
+ * 將不同 SAP BOM 報表（ZSDR392、CS12 / CS11 展開）的欄位對應到標準欄位，使混合來源的資料夾合併為一致的工作表
+ *
+ * 設定檔格式 (Profile format):
+ *   {
+ *     name: 'CS12',
+ *     aliases: {'Unit Usg': ['comp. qty (bun)']},   // 額外的欄位別名（加在 HEADER_ALIASES 之後）
+ *     required: ['LV', 'Material', 'Unit Usg'],     // 必要的標準欄位
+ *     levelFormat: 'dotted',                        // LV 格式：'number'（1、2）或 'dotted'（.1、..2）
+ *     derivePartNumber: true,                       // 沒有 Part Number 欄位時依 LV 順序推導父層
+ *     orderByParent: false,                         // 依 Part Number 將逐階排列的資料列重排為深度優先順序
+ *     rootRow: true                                 // 沒有 LV 0 行時以檔名的產品代碼補上
+ *   }
+ *
+ * 處理方式 (Processing):
+ *   1. 標題列依別名（不分大小寫、忽略多餘空白）改為 CANONICAL_HEADERS 中的標準名稱
+ *   2. 檢查設定檔的必要欄位；自動模式依 SCHEMA_PROFILES 的順序選擇第一個必要欄位齊全的設定檔
+ *   3. 依設定檔轉換 LV、重排資料列、補上 LV 0 行、Part Number 與 LN
+ *      （BOMHierarchyProcessor 需要深度優先順序：每個元件緊接在其父層之後）
+ *   4. 欄位順序不變（原本的 ZSDR392 輸出不受影響）；同一次處理混合不同設定檔時，
+ *      processFileList 以 orderCanonicalColumns 將標準欄位依 CANONICAL_HEADERS 順序排在前面（缺少的欄位為空白）
+ *
+ * 依賴全域 (Globals required):
+ *   - translations / currentLanguage / formatMessage (i18n.js) - 驗證錯誤訊息與主控台訊息
+ */
+
+// ##################################################################################################################################################
+// 設定與常數區塊 (Configuration and Constants)
+// ##################################################################################################################################################
+
+/**
+ * 標準欄位（輸出順序，BOMHierarchyProcessor 使用這些名稱）
+ * Canonical columns in output order (the names BOMHierarchyProcessor reads)
+ */
+const CANONICAL_HEADERS = ['LN', 'LV', 'Plant Code', 'Part Number', 'Material', 'Description', 'Unit Usg'];
+
+/**
+ * 所有設定檔共用的欄位別名（小寫比對；'qty'、'plant' 等通用名稱只用於 CS11 / CS12，見 SCHEMA_PROFILES）
+ * Header aliases shared by every profile (compared in lower case)
+ */
+const HEADER_ALIASES = {
+    'LN': ['ln', 'line', 'line no.', '行號', '行号'],
+    'LV': ['lv', 'level', 'lvl', 'explosion level', '階層', '层级', '階', '层次'],
+    'Plant Code': ['plant code', '工廠', '工厂'],
+    'Part Number': ['part number', 'parent material', 'assembly', '上階料號', '父件', '父项'],
+    'Material': ['material', 'component', 'component number', 'comp. number', 'component material', '料號', '元件', '组件'],
+    'Description': ['description', 'object description', 'component description', 'material description', '品名', '說明', '描述'],
+    'Unit Usg': ['unit usg', 'comp. qty', 'comp. qty (bun)', 'component quantity', '用量', '數量', '数量']
+};
+
+/**
+ * 自動選擇設定檔
+ * Automatic profile selection
+ */
+const SCHEMA_AUTO = 'auto';
+
+/**
+ * LV 格式
+ * Level formats
+ */
+const LEVEL_FORMATS = ['number', 'dotted'];
+
+/**
+ * 內建設定檔（自動模式依此順序選擇）
+ * Built-in profiles (automatic selection tries them in this order)
+ *
+ * - ZSDR392：原本的報表，LV 0 為產品行，Part Number 為父層料號
+ * - CS11：逐階展開，同一階的元件排在一起，必須有父層（Assembly）欄位，依父層重排為深度優先順序
+ * - CS12：多階展開（深度優先），LV 以 .1、..2 表示，沒有父層欄位時依 LV 順序推導
+ */
+const SCHEMA_PROFILES = [
+    { name: 'ZSDR392', aliases: {}, required: ['LV', 'Part Number', 'Material', 'Unit Usg'], levelFormat: 'number', derivePartNumber: false, orderByParent: false, rootRow: false },
+    {
+        name: 'CS11',
+        aliases: { 'Plant Code': ['plant'], 'Part Number': ['parent'], 'Unit Usg': ['quantity', 'qty'] },
+        required: ['LV', 'Part Number', 'Material', 'Unit Usg'], levelFormat: 'dotted', derivePartNumber: false, orderByParent: true, rootRow: true
+    },
+    {
+        name: 'CS12',
+        aliases: { 'Plant Code': ['plant'], 'Unit Usg': ['quantity', 'qty'] },
+        required: ['LV', 'Material', 'Unit Usg'], levelFormat: 'dotted', derivePartNumber: true, orderByParent: false, rootRow: true
+    }
+];
+
+/**
+ * localStorage 儲存鍵值（匯入的自訂設定檔）
+ * localStorage key for imported custom profiles
+ */
+const SCHEMA_PROFILE_STORAGE_KEY = 'xlsConsolidator.schemaProfiles';
+
+// ##################################################################################################################################################
+// 設定檔驗證區塊 (Profile Validation)
+// ##################################################################################################################################################
+
+/**
+ * 正規化設定檔（去除空白、別名轉為小寫）
+ * Normalize a profile (trim strings, lower-case aliases)
+ *
+ * @param {Object} profile - 原始設定檔（可能來自 JSON）
+ * @returns {Object} 正規化後的設定檔
+ */
+const normalizeSchemaProfile = (profile) => {
+    const aliases = {};
+    Object.entries(profile?.aliases && typeof profile.aliases === 'object' ? profile.aliases : {}).forEach(([column, names]) => {
+        aliases[String(column).trim()] = (Array.isArray(names) ? names : [names]).map(normalizeHeaderName).filter(Boolean);
+    });
+
+    return {
+        name: String(profile?.name ?? '').trim(),
+        aliases,
+        required: (Array.isArray(profile?.required) ? profile.required : []).map(column => String(column).trim()),
+        levelFormat: String(profile?.levelFormat ?? 'number').trim(),
+        derivePartNumber: Boolean(profile?.derivePartNumber),
+        orderByParent: Boolean(profile?.orderByParent),
+        rootRow: Boolean(profile?.rootRow)
+    };
+};
+
+/**
+ * 驗證設定檔
+ * Validate a profile
+ *
+ * @param {Object} profile - 正規化後的設定檔
+ * @returns {Array<string>} 錯誤訊息陣列（空陣列表示通過）
+ *
+ * 檢查項目 (Checks):
+ * - 名稱不可為空，且不可為 'auto'
+ * - 別名與必要欄位只能使用標準欄位
+ * - 必要欄位須包含 LV 與 Unit Usg（BOM 處理必需），Part Number 須為必要欄位或可推導
+ * - orderByParent 需要 Part Number 為必要欄位
+ */
+const validateSchemaProfile = (profile) => {
+    const trans = translations[currentLanguage];
+    const errors = [];
+
+    if (!profile.name || profile.name === SCHEMA_AUTO) {
+        errors.push(trans.schemaErrorName);
+    }
+
+    const unknown = [...Object.keys(profile.aliases), ...profile.required].filter(column => !CANONICAL_HEADERS.includes(column));
+    if (unknown.length > 0) {
+        errors.push(`${trans.schemaErrorColumn}${[...new Set(unknown)].join(', ')}`);
+    }
+
+    if (!profile.required.includes('LV') || !profile.required.includes('Unit Usg') ||
+        !(profile.required.includes('Part Number') || profile.derivePartNumber) ||
+        (profile.orderByParent && !profile.required.includes('Part Number'))) {
+        errors.push(trans.schemaErrorRequired);
+    }
+
+    if (!LEVEL_FORMATS.includes(profile.levelFormat)) {
+        errors.push(`${trans.schemaErrorLevelFormat}${LEVEL_FORMATS.join(', ')}`);
+    }
+
+    return errors;
+};
+
+/**
+ * 解析 JSON 格式的設定檔（單一設定檔或設定檔陣列）
+ * Parse profiles from JSON (a single profile or an array)
+ *
+ * @param {string} json - JSON 字串
+ * @returns {Array<Object>} 正規化且驗證通過的設定檔陣列
+ * @throws {Error} JSON 格式錯誤或任一設定檔驗證失敗時拋出錯誤
+ */
+const parseSchemaProfilesJson = (json) => {
+    const parsed = JSON.parse(json);
+    const profiles = (Array.isArray(parsed) ? parsed : [parsed]).map(normalizeSchemaProfile);
+
+    profiles.forEach(profile => {
+        const errors = validateSchemaProfile(profile);
+        if (errors.length > 0) {
+            throw new Error(`${profile.name || '?'}: ${errors.join('; ')}`);
+        }
+    });
+
+    return profiles;
+};
+
+// ##################################################################################################################################################
+// 設定檔儲存區塊 (Profile Storage)
+// ##################################################################################################################################################
+
+/**
+ * 從 localStorage 讀取匯入的自訂設定檔
+ * Load imported custom profiles from localStorage
+ *
+ * @param {Storage|null} storage - 儲存區（預設 localStorage）
+ * @returns {Array<Object>} 自訂設定檔（無效或與內建設定檔同名者略過）
+ */
+const loadCustomSchemaProfiles = (storage = null) => {
+    try {
+        const saved = JSON.parse((storage || localStorage).getItem(SCHEMA_PROFILE_STORAGE_KEY) || '[]');
+        return (Array.isArray(saved) ? saved : [])
+            .map(normalizeSchemaProfile)
+            .filter(profile => validateSchemaProfile(profile).length === 0 && !SCHEMA_PROFILES.some(p => p.name === profile.name));
+    } catch (e) {
+        console.warn(formatMessage('consoleStorageReadFailed', { key: SCHEMA_PROFILE_STORAGE_KEY }), e);
+        return [];
+    }
+};
+
+/**
+ * 將自訂設定檔寫入 localStorage
+ * Save custom profiles to localStorage
+ *
+ * @param {Array<Object>} profiles - 自訂設定檔
+ * @param {Storage|null} storage - 儲存區（預設 localStorage）
+ */
+const saveCustomSchemaProfiles = (profiles, storage = null) => {
+    try {
+        (storage || localStorage).setItem(SCHEMA_PROFILE_STORAGE_KEY, JSON.stringify(profiles));
+    } catch (e) {
+        console.warn(formatMessage('consoleStorageSaveFailed', { key: SCHEMA_PROFILE_STORAGE_KEY }), e);
+    }
+};
+
+// ##################################################################################################################################################
+// 欄位對應區塊 (Header Mapping)
+// ##################################################################################################################################################
+
+/**
+ * 正規化欄位名稱以便比對（去除空白、轉小寫、合併連續空白）
+ * Normalize a header for alias comparison
+ *
+ * @param {*} header - 欄位名稱
+ * @returns {string}
+ */
+const normalizeHeaderName = (header) => String(header ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * 依設定檔將標題列對應到標準欄位
+ * Map a header row to canonical columns under a profile
+ *
+ * @param {Array<string>} headers - 原始標題列
+ * @param {Object} profile - 設定檔
+ * @returns {Array<string>} 對應後的標題列（非標準欄位保留原名稱；同一標準欄位只對應第一個相符的欄位）
+ */
+const mapHeaders = (headers, profile) => {
+    const aliasToColumn = new Map();
+    CANONICAL_HEADERS.forEach(column => {
+        [column, ...(HEADER_ALIASES[column] || []), ...(profile.aliases[column] || [])].forEach(alias => {
+            const key = normalizeHeaderName(alias);
+            if (!aliasToColumn.has(key)) aliasToColumn.set(key, column);
+        });
+    });
+
+    const used = new Set();
+    return headers.map(header => {
+        const column = aliasToColumn.get(normalizeHeaderName(header));
+        if (column && !used.has(column)) {
+            used.add(column);
+            return column;
+        }
+        return String(header ?? '').trim();
+    });
+};
+
+/**
+ * 查找標準欄位在原始標題列中的索引（依別名比對）
+ * Find the index of a canonical column in a raw header row (matched by alias)
+ *
+ * @param {Array<string>} headers - 原始標題列
+ * @param {string} column - 標準欄位名稱
+ * @param {string|Object} schema - 設定檔物件或內建設定檔名稱（使用其額外別名）；'auto' 依序嘗試所有內建設定檔
+ * @returns {number} 索引，未找到為 -1
+ */
+const findCanonicalColumn = (headers, column, schema = SCHEMA_AUTO) => {
+    const profiles = schema && typeof schema === 'object'
+        ? [schema]
+        : SCHEMA_PROFILES.filter(p => !schema || schema === SCHEMA_AUTO || p.name.toLowerCase() === String(schema).toLowerCase());
+    for (const profile of profiles) {
+        const index = mapHeaders(headers, profile).indexOf(column);
+        if (index !== -1) return index;
+    }
+    return -1;
+};
+
+/**
+ * 將 LV 儲存格轉為數字字串（dotted 格式：'..2' → '2'）
+ * Convert a level cell to a plain number string (dotted format: '..2' → '2')
+ *
+ * @param {*} value - LV 儲存格
+ * @param {string} levelFormat - 'number' 或 'dotted'
+ * @returns {string}
+ */
+const parseLevel = (value, levelFormat) => {
+    const text = String(value ?? '').trim();
+    return levelFormat === 'dotted' ? text.replace(/^\.+/, '') : text;
+};
+
+/**
+ * 依父層將資料列重排為深度優先順序（逐階展開 → 多階展開）
+ * Reorder rows depth-first by their parent (level-by-level → multi-level explosion)
+ *
+ * @param {Array<Array<string>>} rows - 資料列（不含標題列，LV 已轉為數字字串）
+ * @param {number} lvIndex - LV 欄位索引
+ * @param {number} partNumberIndex - Part Number 欄位索引
+ * @param {number} materialIndex - Material 欄位索引
+ * @returns {Array<Array<string>>} 重排後的資料列
+ *
+ * LV 0 與 LV 1 的資料列依原順序作為起點；LV n 且 Part Number 為 P 的資料列
+ * 排在第一個 LV n-1、Material 為 P 的資料列之後（同一父層的元件保持原順序），
+ * 找不到父層的資料列依原順序加在最後（驗證時會回報，見 BOMHierarchyProcessor.validate）
+ */
+const orderRowsByParent = (rows, lvIndex, partNumberIndex, materialIndex) => {
+    const key = (lv, material) => `${lv}\u0000${String(material ?? '').trim()}`;
+    const children = new Map();
+    const roots = [];
+
+    rows.forEach(row => {
+        const lv = Number(row[lvIndex]);
+        if (!(lv > 1)) {
+            roots.push(row);
+            return;
+        }
+        const parentKey = key(lv - 1, row[partNumberIndex]);
+        if (!children.has(parentKey)) children.set(parentKey, []);
+        children.get(parentKey).push(row);
+    });
+
+    const ordered = [];
+    const visit = row => {
+        ordered.push(row);
+        const childKey = key(Number(row[lvIndex]), row[materialIndex]);
+        const group = children.get(childKey);
+        if (!group) return;
+        children.delete(childKey); // 每組元件只排在第一個父層之後
+        group.forEach(visit);
+    };
+    roots.forEach(visit);
+
+    const placed = new Set(ordered);
+    return [...ordered, ...rows.filter(row => !placed.has(row))];
+};
+
+/**
+ * 選擇設定檔
+ * Resolve the profile for a data array
+ *
+ * @param {Array<Array<string>>} data - 原始資料（含標題列）
+ * @param {string|Object} schema - 設定檔物件、內建設定檔名稱或 'auto'（預設）
+ * @returns {Object} {profile, headers: 對應後的標題列}
+ * @throws {Error} 設定檔名稱不存在或缺少必要欄位時拋出錯誤
+ *
+ * 自動模式依 SCHEMA_PROFILES 的順序選擇第一個必要欄位齊全的設定檔；
+ * 不補 LV 0 行的設定檔（ZSDR392）另外要求第一個資料行為 LV 0，
+ * 因此有父層欄位但從 LV 1 開始的報表會選擇 CS11，沒有父層欄位的報表選擇 CS12
+ */
+const resolveSchemaProfile = (data, schema = SCHEMA_AUTO) => {
+    const [headers = [], firstRow = []] = data;
+    const missingColumns = (profile, mapped) => profile.required.filter(column => !mapped.includes(column));
+
+    if (schema && typeof schema === 'object') {
+        const mapped = mapHeaders(headers, schema);
+        const missing = missingColumns(schema, mapped);
+        if (missing.length > 0) {
+            throw new Error(formatMessage('missingColumnsForSchema', { schema: schema.name, columns: missing.join(', ') }));
+        }
+        return { profile: schema, headers: mapped };
+    }
+
+    if (schema && schema !== SCHEMA_AUTO) {
+        const profile = SCHEMA_PROFILES.find(p => p.name.toLowerCase() === String(schema).toLowerCase());
+        if (!profile) {
+            throw new Error(formatMessage('unknownSchemaProfile', { schema, available: SCHEMA_PROFILES.map(p => p.name).join(', ') }));
+        }
+        return resolveSchemaProfile(data, profile);
+    }
+
+    const candidates = SCHEMA_PROFILES.map(profile => {
+        const mapped = mapHeaders(headers, profile);
+        return { profile, mapped, missing: missingColumns(profile, mapped) };
+    });
+    const match = candidates.find(({ profile, mapped, missing }) =>
+        missing.length === 0 &&
+        (profile.rootRow || parseLevel(firstRow[mapped.indexOf('LV')], profile.levelFormat) === '0'));
+    if (match) {
+        return { profile: match.profile, headers: match.mapped };
+    }
+
+    // 沒有相符的設定檔：回報缺少欄位最少的設定檔所缺少的欄位
+    const closest = candidates.reduce((best, candidate) => (candidate.missing.length < best.missing.length ? candidate : best));
+    throw new Error(formatMessage('missingColumns', {
+        columns: closest.missing.join(', ') || formatMessage('missingColumnsRootRow'),
+        profiles: SCHEMA_PROFILES.map(p => p.name).join(', ')
+    }));
+};
+
+/**
+ * 套用設定檔：標準化標題列、轉換 LV、補上 LV 0 行、Part Number 與 LN（原有欄位的順序不變，見 orderCanonicalColumns）
+ * Apply a profile: canonical headers, level conversion, root row and derived Part Number
+ *
+ * @param {Array<Array<string>>} data - 原始資料（含標題列，內容會被替換）
+ * @param {string|Object} schema - 設定檔物件、內建設定檔名稱或 'auto'
+ * @param {string} product - 產品代碼（LV 0 行的 Material）
+ * @returns {Object} 使用的設定檔
+ * @throws {Error} 缺少必要欄位時拋出錯誤（見 resolveSchemaProfile）
+ */
+const applySchemaProfile = (data, schema, product) => {
+    const { profile, headers } = resolveSchemaProfile(data, schema);
+    const lvIndex = headers.indexOf('LV');
+    const materialIndex = headers.indexOf('Material');
+    const unitUsgIndex = headers.indexOf('Unit Usg');
+    let rows = data.slice(1);
+
+    // LV：.1、..2 → 1、2
+    if (profile.levelFormat === 'dotted') {
+        rows.forEach(row => {
+            row[lvIndex] = parseLevel(row[lvIndex], profile.levelFormat);
+        });
+    }
+
+    // 逐階展開：依父層重排為深度優先順序
+    if (profile.orderByParent && headers.includes('Part Number') && materialIndex !== -1) {
+        rows = orderRowsByParent(rows, lvIndex, headers.indexOf('Part Number'), materialIndex);
+    }
+
+    // LV 0 行：展開報表只列出元件，以檔名的產品代碼補上產品行
+    if (profile.rootRow && product && rows.length > 0 && parseLevel(rows[0][lvIndex]) !== '0') {
+        const root = headers.map(() => '');
+        root[lvIndex] = '0';
+        if (materialIndex !== -1) root[materialIndex] = product;
+        root[unitUsgIndex] = '1';
+        rows = [root, ...rows];
+    }
+
+    // Part Number：深度優先排列的報表中，父層為前方最近一個上一階的 Material
+    if (!headers.includes('Part Number') && profile.derivePartNumber && materialIndex !== -1) {
+        headers.push('Part Number');
+        const stack = [];
+        rows.forEach(row => {
+            const level = parseLevel(row[lvIndex]);
+            const lv = level === '' ? NaN : Number(level);
+            row[headers.length - 1] = lv > 0 ? (stack[lv - 1] ?? '') : '';
+            if (Number.isInteger(lv) && lv >= 0) {
+                stack.length = lv;
+                stack[lv] = String(row[materialIndex] ?? '').trim();
+            }
+        });
+    }
+
+    // LN：展開報表沒有行號，補上欄位以輸出 BOM 處理器重新編號的 LN（與 Issues / Fills 工作表的 LN 對應）
+    if (!headers.includes('LN') && profile.rootRow) {
+        headers.push('LN');
+        rows.forEach(row => {
+            row[headers.length - 1] = '';
+        });
+    }
+
+    data.length = 0;
+    data.push(headers, ...rows);
+
+    return profile;
+};
+
+/**
+ * 混合不同設定檔的合併結果：標準欄位依 CANONICAL_HEADERS 順序排列
+ * Put the canonical columns of a mixed-layout consolidation in CANONICAL_HEADERS order
+ *
+ * @param {Array<Array>} data - 合併資料陣列（含標題列，內容會被修改）
+ * @param {number} leadingColumns - 保持在最前面的欄位數（Product、Version 與檔名欄位）
+ *
+ * 標準欄位緊接在前導欄位之後（所有檔案都沒有的欄位補上空白欄），其他欄位依原順序在後
+ */
+const orderCanonicalColumns = (data, leadingColumns) => {
+    if (data.length === 0) return;
+
+    const headers = data[0];
+    const indices = headers.map((header, i) => i);
+    const canonical = CANONICAL_HEADERS.map(column => indices.find(i => i >= leadingColumns && headers[i] === column) ?? -1);
+    const order = [
+        ...indices.slice(0, leadingColumns),
+        ...canonical,
+        ...indices.slice(leadingColumns).filter(i => !canonical.includes(i))
+    ];
+
+    data.forEach((row, r) => {
+        const reordered = order.map((i, n) => {
+            if (i !== -1) return row[i] ?? null;
+            return r === 0 ? CANONICAL_HEADERS[n - leadingColumns] : null;
+        });
+        row.length = 0;
+        row.push(...reordered);
+    });
+};
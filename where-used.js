@@ -0,0 +1,113 @@
+/**
+ * Where-used 反查索引 (Where-used Reverse Lookup)
+ * 每個檔案處理完成時，由 BOMHierarchyProcessor 的結果建立 料號 → 出現位置 的精簡索引，提供跨檔案的料號反查
+ * （只保留查詢需要的欄位與 Parent Chain，不保留處理器與完整資料，處理大量檔案時可釋放記憶體）
+ *
+ * 查詢結果 (Result fields):
+ *   - Product / Version：包含該料號的產品與版本
+ *   - LN / LV：出現位置與層級
+ *   - Parent Chain：由 LV 0 到直接父層的完整路徑
+ *   - SYS_CPN / Ttl. Usage：該行的處理結果
+ *
+ * 依賴全域 (Globals required):
+ *   - formatProduct (consolidator.js)
+ */
+
+/**
+ * 'Where Used' 工作表標題列
+ * 'Where Used' sheet headers
+ */
+const WHERE_USED_HEADERS = ['Material', 'Product', 'Version', 'LN', 'LV', 'Parent Chain', 'SYS_CPN', 'Ttl. Usage'];
+
+class WhereUsedIndex {
+    constructor() {
+        this.entries = new Map(); // 料號 → [{file, product, version, ln, lv, parentChain, sysCpn, ttlUsage}]
+        this.fileCount = 0;
+    }
+
+    /**
+     * 清除所有已登錄的檔案
+     * Clear all registered files
+     */
+    clear() {
+        this.entries = new Map();
+        this.fileCount = 0;
+    }
+
+    /**
+     * 登錄一個已處理完成的檔案（將出現位置加入索引，之後不再參照處理器）
+     * Register a processed file (its occurrences are copied into the index; the processor is not kept)
+     *
+     * @param {string} file - 檔案名稱
+     * @param {string} product - 產品代碼
+     * @param {string} version - 版本
+     * @param {BOMHierarchyProcessor} processor - 已執行 process() 的處理器
+     */
+    addFile(file, product, version, processor) {
+        processor.materialIndex.forEach((indices, material) => {
+            if (!this.entries.has(material)) this.entries.set(material, []);
+            const entries = this.entries.get(material);
+
+            indices.forEach(idx => {
+                const row = processor.data[idx];
+                entries.push({
+                    file,
+                    product,
+                    version,
+                    ln: row.LN,
+                    lv: row.LV,
+                    // getParentChain 由近到遠，反轉為 LV 0 → 直接父層
+                    parentChain: processor.getParentChain(idx).reverse(),
+                    sysCpn: row.SYS_CPN,
+                    ttlUsage: row['Ttl. Usage']
+                });
+            });
+        });
+        this.fileCount++;
+    }
+
+    /**
+     * 已登錄的檔案數量
+     * Number of registered files
+     *
+     * @returns {number}
+     */
+    get size() {
+        return this.fileCount;
+    }
+
+    /**
+     * 查詢料號出現在哪些產品/版本
+     * Look up every product/version that contains a material
+     *
+     * @param {string} query - 料號（純數字料號會去除前導零，與清洗後的 Material 一致）
+     * @returns {Array<Object>} {material, file, product, version, ln, lv, parentChain, sysCpn, ttlUsage}（依檔案登錄順序）
+     */
+    search(query) {
+        const material = formatProduct(String(query ?? '').trim());
+        return (this.entries.get(material) || []).map(entry => ({ material, ...entry }));
+    }
+
+    /**
+     * 將查詢結果轉換為工作表資料
+     * Convert search results to sheet rows
+     *
+     * @param {Array<Object>} results - search() 的結果
+     * @returns {Array<Array>} 工作表資料（含標題列）
+     */
+    static toSheetRows(results) {
+        return [
+            WHERE_USED_HEADERS,
+            ...results.map(r => [
+                r.material, r.product, r.version, r.ln, r.lv,
+                r.parentChain.join(' > '), r.sysCpn ?? null, r.ttlUsage ?? null
+            ])
+        ];
+    }
+}
+
+/**
+ * 本次處理的跨檔案索引（convertFile 於每個檔案處理完成時登錄，每次處理前清除）
+ * Cross-file index of the current run (filled by convertFile, cleared before each run)
+ */
+const whereUsedIndex = new WhereUsedIndex();